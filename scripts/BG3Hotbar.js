@@ -5,7 +5,16 @@ import { InteractionCoordinator } from './managers/InteractionCoordinator.js';
 import { UpdateCoordinator } from './managers/UpdateCoordinator.js';
 import { ComponentFactory } from './managers/ComponentFactory.js';
 import { ItemUpdateManager } from './managers/ItemUpdateManager.js';
+import { SnapshotManager } from './managers/SnapshotManager.js';
+import { LayoutTemplateManager } from './managers/LayoutTemplateManager.js';
+import { ReferenceScanner } from './managers/ReferenceScanner.js';
+import { ViewRuleManager } from './managers/ViewRuleManager.js';
+import { ViewTransferManager } from './managers/ViewTransferManager.js';
+import { LayoutTransferManager } from './managers/LayoutTransferManager.js';
+import { LayoutPackManager } from './managers/LayoutPackManager.js';
+import { FocusNavigationManager } from './managers/FocusNavigationManager.js';
 import { HotbarViewsContainer } from './components/containers/HotbarViewsContainer.js';
+import { SwitchIndicator } from './components/ui/SwitchIndicator.js';
 import { ControlsManager } from './managers/ControlsManager.js';
 
 /**
@@ -75,6 +84,30 @@ export class BG3Hotbar extends foundry.applications.api.HandlebarsApplicationMix
             hotbarApp: this,
             persistenceManager: this.persistenceManager
         });
+        this.snapshotManager = new SnapshotManager({
+            persistenceManager: this.persistenceManager
+        });
+        this.layoutTemplateManager = new LayoutTemplateManager({
+            hotbarApp: this
+        });
+        this.referenceScanner = new ReferenceScanner({
+            persistenceManager: this.persistenceManager
+        });
+        this.viewRuleManager = new ViewRuleManager({
+            hotbarApp: this
+        });
+        this.viewTransferManager = new ViewTransferManager({
+            hotbarApp: this
+        });
+        this.layoutTransferManager = new LayoutTransferManager({
+            hotbarApp: this
+        });
+        this.layoutPackManager = new LayoutPackManager({
+            hotbarApp: this
+        });
+        this.focusNavigationManager = new FocusNavigationManager({
+            hotbarApp: this
+        });
 
         // Register Foundry hooks via coordinator
         this.updateCoordinator.registerHooks();
@@ -287,6 +320,7 @@ export class BG3Hotbar extends foundry.applications.api.HandlebarsApplicationMix
         }
 
         await this._syncHotbarViewsForActor();
+        this._updateViewsForContext();
 
         if (this.components.filters && typeof this.components.filters.update === 'function') {
             await this.components.filters.update();
@@ -431,6 +465,8 @@ export class BG3Hotbar extends foundry.applications.api.HandlebarsApplicationMix
 
         // Initialize components after DOM is ready
         await this._initializeComponents();
+        this.interactionCoordinator.selection.attach(this.element);
+        this.focusNavigationManager.attach(this.element);
 
         // Always re-sync Foundry macro bar after component init.
         // This covers token select/deselect refreshes where UI visibility context changes.
@@ -450,6 +486,24 @@ export class BG3Hotbar extends foundry.applications.api.HandlebarsApplicationMix
         // Only now, when UI is fully built and styled, show it (fade-in)
         // Checks internal state (building/hidden) but also respects global visibility
         this._finalizeRenderVisibility();
+
+        // Select the view the activation rules call for (new actor, scene change, ...)
+        this._updateViewsForContext();
+    }
+
+    /**
+     * Bring linked views up to date with their templates, then let activation rules pick the view
+     * Callers don't wait for it; both steps only save when something changed.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _updateViewsForContext() {
+        try {
+            await this.viewTransferManager.syncLinkedViews();
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to sync linked views:', error);
+        }
+        await this.viewRuleManager.evaluate();
     }
 
     /**
@@ -503,6 +557,117 @@ export class BG3Hotbar extends foundry.applications.api.HandlebarsApplicationMix
         return newState;
     }
 
+    /**
+     * Undo the last layout edit for the current actor (or GM hotbar)
+     * Only grids whose contents change are re-rendered
+     * @returns {Promise<boolean>} True if an edit was undone
+     */
+    async undoLayout() {
+        const entry = await this.persistenceManager.undo();
+        if (!entry) {
+            ui.notifications.info(game.i18n.localize('bg3-hud-core.Notifications.NothingToUndo'));
+            return false;
+        }
+
+        await this.updateCoordinator.reconcileComponents(this.persistenceManager.getState());
+        return true;
+    }
+
+    /**
+     * Redo the last undone layout edit for the current actor (or GM hotbar)
+     * @returns {Promise<boolean>} True if an edit was redone
+     */
+    async redoLayout() {
+        const entry = await this.persistenceManager.redo();
+        if (!entry) {
+            ui.notifications.info(game.i18n.localize('bg3-hud-core.Notifications.NothingToRedo'));
+            return false;
+        }
+
+        await this.updateCoordinator.reconcileComponents(this.persistenceManager.getState());
+        return true;
+    }
+
+    /**
+     * Switch to the next or previous hotbar view (keybindings), wrapping around
+     * @param {number} step - 1 for next, -1 for previous
+     * @returns {Promise<boolean>} True if the view changed
+     */
+    async cycleView(step) {
+        const views = this.persistenceManager.getViews();
+        if (!this.components.views || views.length < 2) return false;
+
+        const current = views.findIndex(v => v.id === this.persistenceManager.getActiveViewId());
+        const index = (current + step + views.length) % views.length;
+        return this.selectView(index);
+    }
+
+    /**
+     * Switch to a hotbar view by its position in the view list (keybindings)
+     * @param {number} index - Zero-based view position
+     * @returns {Promise<boolean>} True if the view changed
+     */
+    async selectView(index) {
+        const view = this.persistenceManager.getViews()[index];
+        if (!this.components.views || !view) return false;
+        if (view.id === this.persistenceManager.getActiveViewId()) return false;
+
+        await this.components.views.switchToView(view.id);
+        if (this.persistenceManager.getActiveViewId() !== view.id) return false;
+
+        this._showSwitchIndicator(view.name, `fas ${view.icon || 'fa-bookmark'}`);
+        return true;
+    }
+
+    /**
+     * Switch to the next or previous weapon set (keybindings), wrapping around
+     * @param {number} step - 1 for next, -1 for previous
+     * @returns {Promise<boolean>} True if the set changed
+     */
+    async cycleWeaponSet(step) {
+        const weaponSets = this.components.weaponSets;
+        const count = weaponSets?.gridContainers?.length ?? 0;
+        if (count < 2) return false;
+
+        return this.selectWeaponSet((weaponSets.getActiveSet() + step + count) % count);
+    }
+
+    /**
+     * Switch to a weapon set (keybindings)
+     * Goes through the same path as clicking the set: the adapter equips it, then
+     * PersistenceManager.setActiveWeaponSet saves it.
+     * @param {number} index - Zero-based set index
+     * @returns {Promise<boolean>} True if the set changed
+     */
+    async selectWeaponSet(index) {
+        const weaponSets = this.components.weaponSets;
+        if (!weaponSets?.gridContainers?.[index]) return false;
+        if (index === weaponSets.getActiveSet()) return false;
+
+        await weaponSets.switchToSet(index);
+        this._showSwitchIndicator(
+            game.i18n.format('bg3-hud-core.ViewRules.WeaponSetNumber', { number: index + 1 }),
+            'fas fa-shield-halved'
+        );
+        return true;
+    }
+
+    /**
+     * Briefly show what a keybinding switched to, above the hotbar
+     * @param {string} label - View name or weapon set label
+     * @param {string} icon - Font Awesome classes
+     * @private
+     */
+    async _showSwitchIndicator(label, icon) {
+        const hotbar = this.components.hotbar?.element;
+        if (!hotbar) return;
+
+        this.switchIndicator ??= new SwitchIndicator();
+        const element = await this.switchIndicator.render();
+        if (element.parentElement !== hotbar) hotbar.appendChild(element);
+        this.switchIndicator.show(label, icon);
+    }
+
     /**
      * Update visibility based on setting
      * @param {boolean} visible - Whether UI should be visible
@@ -738,10 +903,13 @@ export class BG3Hotbar extends foundry.applications.api.HandlebarsApplicationMix
      */
     async close(options = {}) {
         this._destroyComponents();
+        this.switchIndicator?.destroy();
+        this.switchIndicator = null;
 
         // Unregister manager hooks to prevent memory leaks
         this.updateCoordinator.unregisterHooks();
         this.itemUpdateManager.destroy();
+        this.focusNavigationManager.destroy();
 
         // Unregister the registration-complete hook
         if (this._registrationCompleteHookId !== undefined) {
@@ -48,6 +48,10 @@ export class ViewButton extends BaseButton {
         if (this.element) {
             this.element.dataset.viewId = this.view.id;
             this.element.dataset.viewName = this.view.name;
+            // Views with activation rules get a marker (see ViewRuleManager)
+            this.element.classList.toggle('has-rules', !!this.view.rules?.length);
+            // Views that follow a world view template (see ViewTransferManager)
+            this.element.classList.toggle('linked', !!this.view.link);
         }
 
         return this.element;
@@ -107,14 +111,16 @@ export class NewViewButton extends BaseButton {
      * Create a new view button
      * @param {Object} options - Button options
      * @param {Function} options.onCreate - Callback when button is clicked
+     * @param {Function} [options.onContextMenu] - Callback for right-click (import options)
      */
     constructor(options = {}) {
         super({
             key: 'new-view',
             classes: ['bg3-view-button', 'bg3-view-button-new'],
             icon: 'fas fa-plus',
-            tooltip: 'Create New View',
-            onClick: options.onCreate
+            tooltip: 'Create New View<br>Right-click to import',
+            onClick: options.onCreate,
+            onRightClick: options.onContextMenu
         });
     }
 
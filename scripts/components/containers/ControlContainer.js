@@ -3,10 +3,18 @@ import { BaseButton } from '../buttons/BaseButton.js';
 import { ContextMenu } from '../ui/ContextMenu.js';
 import { BG3HUD_API } from '../../utils/registry.js';
 import { ControlsManager } from '../../managers/ControlsManager.js';
+import { LayoutSnapshotsDialog } from '../ui/LayoutSnapshotsDialog.js';
+import { StateDiagnosticsDialog } from '../ui/StateDiagnosticsDialog.js';
+import { LayoutTemplatesDialog } from '../ui/LayoutTemplatesDialog.js';
+import { ReferenceReviewDialog } from '../ui/ReferenceReviewDialog.js';
+import { LayoutTransferDialog } from '../ui/LayoutTransferDialog.js';
+import { LayoutPacksDialog } from '../ui/LayoutPacksDialog.js';
+import { LayoutTransferManager } from '../../managers/LayoutTransferManager.js';
+import { showButtonChoiceDialog } from '../../utils/dialogs.js';
 
 /**
  * Control Container
- * Holds control buttons: row +/-, lock, settings
+ * Holds control buttons: row +/-, undo/redo, lock, settings
  * System-agnostic - displays vertically on the right side
  */
 export class ControlContainer extends BG3Component {
@@ -48,6 +56,8 @@ export class ControlContainer extends BG3Component {
         const buttons = [
             this._getAddRowButton(),
             this._getRemoveRowButton(),
+            this._getUndoButton(),
+            this._getRedoButton(),
             this._getLockButton(),
             this._getSettingsButton()
         ];
@@ -123,6 +133,40 @@ export class ControlContainer extends BG3Component {
         };
     }
 
+    /**
+     * Get undo button
+     * @returns {Object} Button data
+     * @private
+     */
+    _getUndoButton() {
+        return {
+            key: 'control-undo',
+            classes: ['hotbar-control-button'],
+            icon: 'fas fa-rotate-left',
+            tooltip: game.i18n.localize('bg3-hud-core.Controls.History.Undo'),
+            onClick: async () => {
+                await this.hotbarApp.undoLayout();
+            }
+        };
+    }
+
+    /**
+     * Get redo button
+     * @returns {Object} Button data
+     * @private
+     */
+    _getRedoButton() {
+        return {
+            key: 'control-redo',
+            classes: ['hotbar-control-button'],
+            icon: 'fas fa-rotate-right',
+            tooltip: game.i18n.localize('bg3-hud-core.Controls.History.Redo'),
+            onClick: async () => {
+                await this.hotbarApp.redoLayout();
+            }
+        };
+    }
+
     /**
      * Get lock button
      * @returns {Object} Button data
@@ -391,6 +435,10 @@ export class ControlContainer extends BG3Component {
      * @private
      */
     _getCoreSettingsMenuItems() {
+        const actor = this.hotbarApp?.currentActor;
+        const isUnlinkedToken = !!actor?.isToken;
+        const baseActor = isUnlinkedToken ? this.hotbarApp.persistenceManager.getBaseActor(actor) : null;
+
         return [
             {
                 label: game.i18n.localize('bg3-hud-core.Controls.Settings.ResetLayout'),
@@ -409,10 +457,27 @@ export class ControlContainer extends BG3Component {
             {
                 label: game.i18n.localize('bg3-hud-core.Controls.Settings.SaveLayout'),
                 icon: 'fas fa-clone',
+                visible: !isUnlinkedToken,
                 onClick: async () => {
                     await this._saveLayoutAsActorDefault();
                 }
             },
+            {
+                label: game.i18n.localize('bg3-hud-core.Controls.Settings.PushLayoutToBase'),
+                icon: 'fas fa-arrow-up-from-bracket',
+                visible: isUnlinkedToken && !!baseActor?.isOwner,
+                onClick: async () => {
+                    await this._pushLayoutToBaseActor();
+                }
+            },
+            {
+                label: game.i18n.localize('bg3-hud-core.Controls.Settings.TokenLayoutPolicy'),
+                icon: 'fas fa-users-rectangle',
+                visible: isUnlinkedToken && !!baseActor?.isOwner,
+                onClick: async () => {
+                    await this._chooseTokenLayoutPolicy();
+                }
+            },
             {
                 separator: true
             },
@@ -429,12 +494,74 @@ export class ControlContainer extends BG3Component {
                 onClick: () => {
                     this._importLayout();
                 }
+            },
+            {
+                label: game.i18n.localize('bg3-hud-core.Controls.Settings.CopyLayout'),
+                icon: 'fas fa-clipboard',
+                onClick: async () => {
+                    await this._copyLayout();
+                }
+            },
+            {
+                label: game.i18n.localize('bg3-hud-core.Controls.Settings.PasteLayout'),
+                icon: 'fas fa-paste',
+                onClick: async () => {
+                    await LayoutTransferDialog.openPaste(this.hotbarApp);
+                }
+            },
+            {
+                label: game.i18n.localize('bg3-hud-core.Controls.Settings.LayoutPacks'),
+                icon: 'fas fa-box-archive',
+                onClick: () => {
+                    new LayoutPacksDialog({ hotbarApp: this.hotbarApp }).render(true);
+                }
+            },
+            {
+                label: game.i18n.localize('bg3-hud-core.Controls.Settings.LayoutSnapshots'),
+                icon: 'fas fa-clock-rotate-left',
+                visible: !!this.hotbarApp?.currentActor,
+                onClick: () => {
+                    this._openSnapshotsDialog();
+                }
+            },
+            {
+                label: game.i18n.localize('bg3-hud-core.Controls.Settings.LayoutTemplates'),
+                icon: 'fas fa-layer-group',
+                visible: game.user.isGM,
+                onClick: () => {
+                    new LayoutTemplatesDialog({ hotbarApp: this.hotbarApp }).render(true);
+                }
+            },
+            {
+                label: game.i18n.localize('bg3-hud-core.Controls.Settings.CheckReferences'),
+                icon: 'fas fa-link-slash',
+                visible: !!this.hotbarApp?.currentActor,
+                onClick: () => {
+                    new ReferenceReviewDialog({ hotbarApp: this.hotbarApp }).render(true);
+                }
+            },
+            {
+                label: game.i18n.localize('bg3-hud-core.Controls.Settings.Diagnostics'),
+                icon: 'fas fa-stethoscope',
+                onClick: () => {
+                    new StateDiagnosticsDialog({ hotbarApp: this.hotbarApp }).render(true);
+                }
             }
         ];
     }
 
+    /**
+     * Open the layout snapshots browser for the current actor
+     * @private
+     */
+    _openSnapshotsDialog() {
+        if (!this.hotbarApp?.currentActor) return;
+        new LayoutSnapshotsDialog({ hotbarApp: this.hotbarApp }).render(true);
+    }
+
     /**
      * Save current layout/state to the actor so future tokens start with it
+     * Always the actor's own layout, which users without a layout of their own fall back to.
      * @private
      */
     async _saveLayoutAsActorDefault() {
@@ -450,11 +577,7 @@ export class ControlContainer extends BG3Component {
             // Resolve the base actor (handles unlinked tokens)
             const baseActor = game.actors?.get(this.hotbarApp.currentActor.id) || this.hotbarApp.currentActor;
 
-            // Use a fresh persistence manager to write onto the base actor
-            const { PersistenceManager } = await import('/modules/bg3-hud-core/scripts/managers/PersistenceManager.js');
-            const pm = new PersistenceManager();
-            pm.setToken(baseActor);
-            await pm.saveState(foundry.utils.deepClone(currentState));
+            await this.hotbarApp.persistenceManager.saveActorLayout(baseActor, currentState);
 
             ui.notifications?.info(game.i18n.localize('bg3-hud-core.Notifications.SaveLayoutSuccess'));
         } catch (error) {
@@ -463,6 +586,70 @@ export class ControlContainer extends BG3Component {
         }
     }
 
+    /**
+     * Copy an unlinked token's layout onto its base actor, after confirmation
+     * @private
+     */
+    async _pushLayoutToBaseActor() {
+        const pm = this.hotbarApp?.persistenceManager;
+        const baseActor = pm?.getBaseActor();
+        if (!baseActor) return;
+
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: game.i18n.localize('bg3-hud-core.Controls.Settings.PushLayoutToBase') },
+            content: `<p>${game.i18n.format('bg3-hud-core.TokenLayout.PushConfirm', { name: foundry.utils.escapeHTML(baseActor.name) })}</p>`,
+            rejectClose: false
+        });
+        if (!confirmed) return;
+
+        try {
+            await pm.pushLayoutToBaseActor();
+            ui.notifications?.info(game.i18n.format('bg3-hud-core.TokenLayout.Pushed', { name: baseActor.name }));
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to push token layout to base actor:', error);
+            ui.notifications?.error(game.i18n.localize('bg3-hud-core.TokenLayout.PushFailed'));
+        }
+    }
+
+    /**
+     * Choose how unlinked tokens of the current base actor use its layout
+     * Stored on the base actor; "world default" removes the override.
+     * @private
+     */
+    async _chooseTokenLayoutPolicy() {
+        const pm = this.hotbarApp?.persistenceManager;
+        const baseActor = pm?.getBaseActor();
+        if (!baseActor) return;
+
+        const current = baseActor.getFlag(pm.MODULE_ID, pm.TOKEN_POLICY_FLAG) ?? 'default';
+        const policies = [
+            { action: 'inherit', icon: 'fas fa-lock' },
+            { action: 'copy', icon: 'fas fa-copy' },
+            { action: 'share', icon: 'fas fa-link' },
+            { action: 'default', icon: 'fas fa-globe' }
+        ];
+
+        const choice = await showButtonChoiceDialog({
+            title: game.i18n.localize('bg3-hud-core.Controls.Settings.TokenLayoutPolicy'),
+            content: `<p>${game.i18n.format('bg3-hud-core.TokenLayout.PolicyPrompt', {
+                name: foundry.utils.escapeHTML(baseActor.name),
+                policy: game.i18n.localize(`bg3-hud-core.TokenLayout.Policy.${current}`)
+            })}</p>`,
+            buttons: policies.map(p => ({
+                ...p,
+                label: game.i18n.localize(`bg3-hud-core.TokenLayout.Policy.${p.action}`)
+            }))
+        });
+        if (!choice || choice === current) return;
+
+        if (choice === 'default') {
+            await baseActor.unsetFlag(pm.MODULE_ID, pm.TOKEN_POLICY_FLAG);
+        } else {
+            await baseActor.setFlag(pm.MODULE_ID, pm.TOKEN_POLICY_FLAG, choice);
+        }
+        await this.hotbarApp.refresh();
+    }
+
     /**
      * Reset layout to defaults
      * @private
@@ -508,6 +695,11 @@ export class ControlContainer extends BG3Component {
         if (!this.hotbarApp) return;
 
         try {
+            await this.hotbarApp.snapshotManager?.createSnapshot(
+                game.i18n.localize('bg3-hud-core.Snapshots.BeforeClearAll'),
+                { automatic: true }
+            );
+
             // Centralized clear: use PersistenceManager to clear everything
             await this.hotbarApp.persistenceManager.clearAll();
 
@@ -552,54 +744,43 @@ export class ControlContainer extends BG3Component {
     }
 
     /**
-     * Export layout as JSON (ALL PANELS by default)
-     * Includes hotbar, weapon sets, active set index, quick access, and views
+     * Export or copy the panels and views picked in the layout transfer dialog
      * @private
      */
     _exportLayout() {
         if (!this.hotbarApp) return;
+        new LayoutTransferDialog({ hotbarApp: this.hotbarApp, mode: 'export' }).render(true);
+    }
 
-        const actor = this.hotbarApp.currentActor;
-        const token = this.hotbarApp.currentToken;
-
-        // Gather data from unified state
-        const state = this.hotbarApp.persistenceManager.getState();
-        const hotbar = state?.hotbar?.grids || [];
-        const weaponSets = state?.weaponSets?.sets || [];
-        const activeWeaponSet = state?.weaponSets?.activeSet ?? 0;
-        const quickAccess = state?.quickAccess || { rows: 2, cols: 3, items: {} };
-        const views = state?.views || { list: [], activeViewId: null };
-
-        const exportPayload = {
-            meta: {
-                module: 'bg3-hud-core',
-                version: 2, // Bumped for views support
-                timestamp: new Date().toISOString(),
-                actorUuid: actor?.uuid || null,
-                tokenId: token?.id || null
-            },
-            hotbar,
-            weaponSets,
-            activeWeaponSet,
-            quickAccess,
-            views
+    /**
+     * Copy the whole layout (every panel and view, portable) to the clipboard
+     * Export Layout opens the transfer dialog, which can also copy part of it.
+     * @private
+     */
+    async _copyLayout() {
+        const manager = this.hotbarApp?.layoutTransferManager;
+        const state = manager?.getCurrentState();
+        if (!state) return;
+
+        const selection = {
+            panels: LayoutTransferManager.PANELS.filter(panel => state[panel] !== undefined),
+            viewIds: state.views?.list?.map(view => view.id) ?? [],
+            portable: true
         };
 
-        const dataStr = JSON.stringify(exportPayload, null, 2);
-        const blob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `bg3-hud-layout-${Date.now()}.json`;
-        link.click();
-
-        URL.revokeObjectURL(url);
+        try {
+            if (await manager.copyLayout(selection)) {
+                ui.notifications.info(game.i18n.localize('bg3-hud-core.LayoutTransfer.Copied'));
+            }
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to copy layout:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.LayoutTransfer.CopyFailed'));
+        }
     }
 
     /**
-     * Import layout from JSON
-     * Supports both legacy (v1) and new (v2) format with views
+     * Import a layout file (format 2 with views, or a legacy hotbar array)
+     * See LayoutTransferDialog.openImport.
      * @private
      */
     _importLayout() {
@@ -611,119 +792,15 @@ export class ControlContainer extends BG3Component {
             const file = e.target.files[0];
             if (!file) return;
 
-            const reader = new FileReader();
-            reader.onload = async (e) => {
-                try {
-                    const importData = JSON.parse(e.target.result);
-
-                    // Check format version
-                    const version = importData.meta?.version || 1;
-
-                    if (version === 2) {
-                        // New format with views
-                        await this._importLayoutV2(importData);
-                    } else {
-                        // Legacy format (just hotbar arrays)
-                        await this._importLayoutV1(importData);
-                    }
-                } catch (error) {
-                    console.error('[bg3-hud-core] Failed to import layout:', error);
-                    ui.notifications.error(game.i18n.localize('bg3-hud-core.Notifications.ImportLayoutFailed'));
-                }
-            };
-            reader.readAsText(file);
+            try {
+                const importData = JSON.parse(await foundry.utils.readTextFromFile(file));
+                await LayoutTransferDialog.openImport(this.hotbarApp, importData);
+            } catch (error) {
+                console.error('[bg3-hud-core] Failed to import layout:', error);
+                ui.notifications.error(game.i18n.localize('bg3-hud-core.Notifications.ImportLayoutFailed'));
+            }
         };
 
         input.click();
     }
-
-    /**
-     * Import layout V2 format (with views)
-     * @param {Object} importData - Import data
-     * @private
-     */
-    async _importLayoutV2(importData) {
-        const state = await this.hotbarApp.persistenceManager.loadState();
-
-        // Import views if present
-        if (importData.views && Array.isArray(importData.views.list)) {
-            state.views = foundry.utils.deepClone(importData.views);
-
-            // If there's an active view, load its hotbar state (views only affect hotbar)
-            if (state.views.activeViewId) {
-                const activeView = state.views.list.find(v => v.id === state.views.activeViewId);
-                if (activeView?.hotbarState?.hotbar) {
-                    state.hotbar = foundry.utils.deepClone(activeView.hotbarState.hotbar);
-                }
-            }
-
-            // Import weapon sets and quick access separately (not part of views)
-            if (importData.weaponSets) {
-                state.weaponSets = {
-                    sets: foundry.utils.deepClone(importData.weaponSets),
-                    activeSet: importData.activeWeaponSet ?? 0
-                };
-            }
-            if (importData.quickAccess) {
-                state.quickAccess = foundry.utils.deepClone(importData.quickAccess);
-            }
-        } else {
-            // Import legacy data directly (no views)
-            if (importData.hotbar) {
-                state.hotbar = { grids: foundry.utils.deepClone(importData.hotbar) };
-            }
-            if (importData.weaponSets) {
-                state.weaponSets = {
-                    sets: foundry.utils.deepClone(importData.weaponSets),
-                    activeSet: importData.activeWeaponSet ?? 0
-                };
-            }
-            if (importData.quickAccess) {
-                state.quickAccess = foundry.utils.deepClone(importData.quickAccess);
-            }
-
-            // Sync to active view
-            this.hotbarApp.persistenceManager._syncCurrentStateToActiveView(state);
-        }
-
-        // Save the imported state
-        await this.hotbarApp.persistenceManager.saveState(state);
-
-        // Refresh the hotbar to show imported data
-        await this.hotbarApp.refresh();
-    }
-
-    /**
-     * Import layout V1 format (legacy - just hotbar grids)
-     * @param {Array} layout - Legacy layout array
-     * @private
-     */
-    async _importLayoutV1(layout) {
-        // Validate layout
-        if (!Array.isArray(layout)) {
-            throw new Error('Invalid layout format');
-        }
-
-        // Update grids data
-        const hotbarContainer = this.hotbarApp.components.hotbar;
-        hotbarContainer.grids = layout;
-
-        // Update each grid container individually
-        for (let i = 0; i < layout.length && i < hotbarContainer.gridContainers.length; i++) {
-            const gridContainer = hotbarContainer.gridContainers[i];
-            gridContainer.rows = layout[i].rows;
-            gridContainer.cols = layout[i].cols;
-            gridContainer.items = layout[i].items || {};
-            await gridContainer.render();
-        }
-
-        // Save layout - update each grid's config and items
-        for (let i = 0; i < layout.length; i++) {
-            await this.hotbarApp.persistenceManager.updateGridConfig(i, {
-                rows: layout[i].rows,
-                cols: layout[i].cols
-            });
-            await this.hotbarApp.persistenceManager.updateContainer('hotbar', i, layout[i].items || {});
-        }
-    }
 }
@@ -1,5 +1,8 @@
 import { BG3Component } from '../BG3Component.js';
 import { ControlsManager } from '../../managers/ControlsManager.js';
+import { SlotKeybindings } from '../../utils/SlotKeybindings.js';
+import { CellOverrides } from '../../utils/CellOverrides.js';
+import { CellCooldowns } from '../../utils/CellCooldowns.js';
 
 /**
  * Grid Cell Component
@@ -17,6 +20,7 @@ export class GridCell extends BG3Component {
      * @param {number} options.containerIndex - Container index (for hotbar grids or weapon sets)
      * @param {PersistenceManager} options.persistenceManager - Persistence manager reference
      * @param {Object} options.data - Cell data (generic structure: {uuid, name, img, uses, quantity})
+     * @param {boolean} options.pinned - Whether the slot is pinned
      * @param {Function} options.onClick - Click handler
      * @param {Function} options.onRightClick - Right-click handler
      * @param {Function} options.onDragStart - Drag start handler
@@ -34,6 +38,7 @@ export class GridCell extends BG3Component {
         this.persistenceManager = options.persistenceManager || null;
         this.data = options.data || null;
         this.isEmpty = !this.data;
+        this.pinned = !!options.pinned;
         // Create a stable element once to avoid flicker on re-renders
         this.element = this.createElement('div', ['bg3-grid-cell']);
     }
@@ -59,6 +64,8 @@ export class GridCell extends BG3Component {
         }
         this.element.dataset.index = this.index;
         this._resetRenderedState();
+        this.updateKeyLabel();
+        this.setPinned(this.pinned);
 
         // Add empty state
         if (this.isEmpty) {
@@ -87,6 +94,24 @@ export class GridCell extends BG3Component {
         return this.element;
     }
 
+    /**
+     * Show the key bound to this slot, if any (see SlotKeybindings)
+     */
+    updateKeyLabel() {
+        const label = SlotKeybindings.getLabel(this.containerType, this.containerIndex, this.index);
+        if (label) this.element.dataset.keybind = label;
+        else delete this.element.dataset.keybind;
+    }
+
+    /**
+     * Mark the slot as pinned (drawn as a small lock)
+     * @param {boolean} pinned
+     */
+    setPinned(pinned) {
+        this.pinned = !!pinned;
+        this.element.classList.toggle('pinned', this.pinned);
+    }
+
     /**
      * Render empty cell state
      * @private
@@ -119,11 +144,14 @@ export class GridCell extends BG3Component {
             this.element.dataset.uuid = this.data.uuid;
         }
 
+        // Name, icon and tint the user set on this cell take precedence (see CellOverrides)
+        const display = CellOverrides.resolve(this.data);
+
         // Add item image
-        if (this.data.img) {
+        if (display.img) {
             const img = this.createElement('img', ['hotbar-item']);
-            img.src = this.data.img;
-            img.alt = this.data.name || '';
+            img.src = display.img;
+            img.alt = display.name;
             img.draggable = false;
 
             // Apply depleted class based on:
@@ -136,10 +164,17 @@ export class GridCell extends BG3Component {
             this.element.appendChild(img);
         }
 
+        // Tint overlay and border colour
+        if (display.color) {
+            this.element.classList.add('tinted');
+            this.element.style.setProperty('--bg3-cell-tint', display.color);
+            this.element.appendChild(this.createElement('div', ['hotbar-item-tint']));
+        }
+
         // Add item name (optional, usually hidden)
-        if (this.data.name) {
+        if (display.name) {
             const nameDiv = this.createElement('div', ['hotbar-item-name']);
-            nameDiv.textContent = this.data.name;
+            nameDiv.textContent = display.name;
             this.element.appendChild(nameDiv);
         }
 
@@ -163,6 +198,35 @@ export class GridCell extends BG3Component {
             quantityDiv.textContent = this.data.quantity;
             this.element.appendChild(quantityDiv);
         }
+
+        await this.updateCooldown();
+    }
+
+    /**
+     * Show the cooldown the adapter reports for this cell, if any (see CellCooldowns)
+     * Drawn as a radial sweep over the icon with the remaining rounds or turns.
+     * @returns {Promise<void>}
+     */
+    async updateCooldown() {
+        const data = this.data;
+        const cooldown = await CellCooldowns.get(data);
+        // The cell may have been given other data while the adapter answered
+        if (this.data !== data) return;
+
+        let overlay = this.element.querySelector(':scope > .hotbar-item-cooldown');
+        this.element.classList.toggle('cooling-down', !!cooldown);
+        if (!cooldown) {
+            overlay?.remove();
+            return;
+        }
+
+        if (!overlay) {
+            overlay = this.createElement('div', ['hotbar-item-cooldown']);
+            overlay.appendChild(this.createElement('span', ['hotbar-item-cooldown-label']));
+            this.element.appendChild(overlay);
+        }
+        overlay.style.setProperty('--bg3-cooldown-progress', cooldown.progress);
+        overlay.firstElementChild.textContent = cooldown.label;
     }
 
 
@@ -359,7 +423,8 @@ export class GridCell extends BG3Component {
 
     _resetRenderedState() {
         this.element.innerHTML = '';
-        this.element.classList.remove('empty', 'filled', 'hover', 'drag-over', 'dragging');
+        this.element.classList.remove('empty', 'filled', 'hover', 'drag-over', 'dragging', 'tinted', 'cooling-down');
+        this.element.style.removeProperty('--bg3-cell-tint');
         this.element.removeAttribute('data-uuid');
         this.element.removeAttribute('data-slot');
         this.element.removeAttribute('data-tooltip');
@@ -1,5 +1,6 @@
 import { BG3Component } from '../BG3Component.js';
 import { GridCell } from './GridCell.js';
+import { CellOverrides } from '../../utils/CellOverrides.js';
 
 /**
  * Grid Container Component
@@ -13,6 +14,7 @@ export class GridContainer extends BG3Component {
      * @param {number} options.rows - Number of rows
      * @param {number} options.cols - Number of columns
      * @param {Object} options.items - Item data keyed by "col-row" (e.g., "0-0", "1-2")
+     * @param {Array<string>} options.pinned - Pinned slot keys (skipped by sort, auto-populate, auto-add and plain drops)
      * @param {string} options.id - Container identifier
      * @param {number} options.index - Container index
      * @param {string} options.containerType - Container type ('hotbar', 'weaponSet', 'quickAccess')
@@ -25,6 +27,7 @@ export class GridContainer extends BG3Component {
         this.rows = options.rows || 1;
         this.cols = options.cols || 10;
         this.items = options.items || {};
+        this.pinned = options.pinned || [];
         this.id = options.id || 'grid';
         this.index = options.index || 0;
         this.containerType = options.containerType || 'hotbar';
@@ -76,6 +79,7 @@ export class GridContainer extends BG3Component {
                         row: row,
                         col: col,
                         data: itemData,
+                        pinned: this.isPinned(cellKey),
                         containerType: this.containerType,
                         containerIndex: this.containerIndex,
                         parentCell: this.options.parentCell, // For containerPopover: reference to parent cell
@@ -108,6 +112,7 @@ export class GridContainer extends BG3Component {
 
                     if (!cell) continue;
 
+                    cell.setPinned(this.isPinned(cellKey));
                     if (!this._areCellDatasEqual(cell.data, itemData)) {
                         updates.push(cell.setData(itemData, { decorateCellElement: this.decorateCellElement }));
                     }
@@ -143,10 +148,20 @@ export class GridContainer extends BG3Component {
         if ((a.uses?.max || 0) !== (b.uses?.max || 0)) return false;
         if (!!a.depleted !== !!b.depleted) return false;
         if (!!a.expended !== !!b.expended) return false;
+        if (!CellOverrides.equals(a, b)) return false;
 
         return true;
     }
 
+    /**
+     * Whether a slot is pinned
+     * @param {string} slotKey - Slot key "col-row"
+     * @returns {boolean}
+     */
+    isPinned(slotKey) {
+        return this.pinned.includes(slotKey);
+    }
+
     /**
      * Get cell by position
      * @param {number} col - Column index
@@ -129,6 +129,7 @@ export class HotbarContainer extends BG3Component {
                     rows: gridData.rows,
                     cols: gridData.cols,
                     items: gridData.items || {},
+                    pinned: gridData.pinned,
                     id: 'hotbar',
                     index: i,
                     containerType: 'hotbar',
@@ -182,6 +183,7 @@ export class HotbarContainer extends BG3Component {
                 gridContainer.rows = gridData.rows;
                 gridContainer.cols = gridData.cols;
                 gridContainer.items = gridData.items || {};
+                gridContainer.pinned = gridData.pinned || [];
                 
                 // Hide/show container based on column count
                 if (gridData.cols === 0) {
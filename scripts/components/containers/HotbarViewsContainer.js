@@ -1,17 +1,24 @@
 import { BG3Component } from '../BG3Component.js';
+import { BaseButton } from '../buttons/BaseButton.js';
 import { ViewButton, NewViewButton } from '../buttons/ViewButton.js';
-import { showCreateViewDialog, showEditViewDialog } from '../../utils/dialogs.js';
+import { showCreateViewDialog, showEditViewDialog, showButtonChoiceDialog, showSelectionDialog } from '../../utils/dialogs.js';
+import { ViewRulesDialog } from '../ui/ViewRulesDialog.js';
+import { LayoutTransferDialog } from '../ui/LayoutTransferDialog.js';
+import { ViewPanels } from '../../utils/ViewPanels.js';
+import { PersistenceManager } from '../../managers/PersistenceManager.js';
 
 /**
  * Hotbar Views Container
  * Displays saved hotbar views (configurations) and allows switching between them
+ * A view can also own the weapon sets, quick access and passives selection (see ViewPanels)
+ * Views are reordered by dragging; views sharing a group collapse into a dropdown
  * Positioned at bottom-center of hotbar, hover-activated
  */
 export class HotbarViewsContainer extends BG3Component {
     /**
-     * Maximum number of views allowed
+     * Drag data type for view buttons (not text/plain, so grid cells ignore it)
      */
-    static MAX_VIEWS = 5;
+    static DRAG_TYPE = 'application/x-bg3-hud-view';
 
     /**
      * Create hotbar views container
@@ -23,6 +30,7 @@ export class HotbarViewsContainer extends BG3Component {
         this.hotbarApp = options.hotbarApp;
         this.persistenceManager = options.hotbarApp?.persistenceManager;
         this.viewButtons = [];
+        this.groupButtons = [];
         this.newViewButton = null;
     }
 
@@ -34,22 +42,40 @@ export class HotbarViewsContainer extends BG3Component {
         // Create container element on first render
         if (!this.element) {
             this.element = this.createElement('div', ['bg3-views-container']);
+
+            // Dropping on the bar itself ungroups a view and moves it to the end
+            this._bindDropTarget(this.element, () => ({ before: null, group: null }));
+
+            // Clicking elsewhere closes an open group
+            this._onDocumentPointerDown = (event) => {
+                if (!this.element?.contains(event.target)) this._closeGroups();
+            };
+            document.addEventListener('pointerdown', this._onDocumentPointerDown);
         }
 
         // Clear existing content
         this.element.innerHTML = '';
         this.viewButtons = [];
+        this.groupButtons = [];
 
         // Get views from persistence manager
         const views = this.persistenceManager?.getViews() || [];
         const activeViewId = this.persistenceManager?.getActiveViewId();
 
-        // Create view buttons
+        // Create view buttons; a group is shown where its first view sits
+        const renderedGroups = new Set();
+        views.forEach((view, index) => { view.nextId = views[index + 1]?.id ?? null; });
         for (const view of views) {
-            const isActive = view.id === activeViewId;
-            const button = await this._createViewButton(view, isActive);
-            this.viewButtons.push(button);
-            this.element.appendChild(button.element);
+            if (!view.group) {
+                const button = await this._createViewButton(view, view.id === activeViewId);
+                this.element.appendChild(button.element);
+                continue;
+            }
+            if (renderedGroups.has(view.group)) continue;
+            renderedGroups.add(view.group);
+
+            const members = views.filter(v => v.group === view.group);
+            this.element.appendChild(await this._createGroupElement(view.group, members, activeViewId));
         }
 
         // Add separator if we have views
@@ -68,12 +94,13 @@ export class HotbarViewsContainer extends BG3Component {
 
     /**
      * Create a view button
-     * @param {Object} view - View data
+     * @param {Object} view - View data (nextId: the view after it in the list)
      * @param {boolean} isActive - Whether this view is active
+     * @param {boolean} [inGroup=false] - Whether it sits in a (vertical) group dropdown
      * @returns {Promise<ViewButton>}
      * @private
      */
-    async _createViewButton(view, isActive) {
+    async _createViewButton(view, isActive, inGroup = false) {
         const button = new ViewButton({
             view: view,
             isActive: isActive,
@@ -86,9 +113,126 @@ export class HotbarViewsContainer extends BG3Component {
         });
 
         await button.render();
+        this.viewButtons.push(button);
+
+        // Drag to reorder: dropping on a view inserts before or after it and joins its group
+        const element = button.element;
+        element.draggable = true;
+        this.addEventListener(element, 'dragstart', (event) => {
+            event.stopPropagation();
+            event.dataTransfer.setData(HotbarViewsContainer.DRAG_TYPE, view.id);
+            event.dataTransfer.effectAllowed = 'move';
+            element.classList.add('dragging');
+        });
+        this.addEventListener(element, 'dragend', () => element.classList.remove('dragging'));
+        this._bindDropTarget(element, (event) => {
+            const rect = element.getBoundingClientRect();
+            const after = inGroup
+                ? event.clientY > rect.top + rect.height / 2
+                : event.clientX > rect.left + rect.width / 2;
+            return { before: after ? view.nextId : view.id, group: view.group ?? null };
+        });
+
         return button;
     }
 
+    /**
+     * Create a collapsed group: a toggle showing the group (or its active view) and a dropdown
+     * @param {string} group - Group name
+     * @param {Array<Object>} members - Views in the group, in list order
+     * @param {string} activeViewId - Active view ID
+     * @returns {Promise<HTMLElement>}
+     * @private
+     */
+    async _createGroupElement(group, members, activeViewId) {
+        const wrapper = this.createElement('div', ['bg3-view-group']);
+        wrapper.dataset.group = group;
+
+        const active = members.find(v => v.id === activeViewId);
+        const toggle = new BaseButton({
+            key: `view-group-${group}`,
+            classes: ['bg3-view-button', 'bg3-view-group-toggle', ...(active ? ['active'] : [])],
+            icon: `fas ${active?.icon || 'fa-layer-group'}`,
+            label: group,
+            tooltip: game.i18n.format('bg3-hud-core.Views.GroupTooltip', { name: group, count: members.length }),
+            onClick: (event) => {
+                event.stopPropagation();
+                const open = !wrapper.classList.contains('open');
+                this._closeGroups();
+                wrapper.classList.toggle('open', open);
+            }
+        });
+        await toggle.render();
+        this.groupButtons.push(toggle);
+        wrapper.appendChild(toggle.element);
+
+        // Dropping on the toggle adds the view to the end of the group
+        this._bindDropTarget(toggle.element, () => ({ before: members.at(-1)?.nextId ?? null, group }));
+
+        const menu = this.createElement('div', ['bg3-view-group-menu']);
+        for (const view of members) {
+            const button = await this._createViewButton(view, view.id === activeViewId, true);
+            menu.appendChild(button.element);
+        }
+        wrapper.appendChild(menu);
+
+        return wrapper;
+    }
+
+    /**
+     * Close every open group dropdown
+     * @private
+     */
+    _closeGroups() {
+        this.element?.querySelectorAll('.bg3-view-group.open').forEach(group => group.classList.remove('open'));
+    }
+
+    /**
+     * Accept dropped view buttons on an element
+     * @param {HTMLElement} element - Drop target
+     * @param {Function} getTarget - getTarget(event) => {before, group} for PersistenceManager.moveView
+     * @private
+     */
+    _bindDropTarget(element, getTarget) {
+        const accepts = (event) => event.dataTransfer?.types?.includes(HotbarViewsContainer.DRAG_TYPE);
+
+        this.addEventListener(element, 'dragover', (event) => {
+            if (!accepts(event)) return;
+            event.preventDefault();
+            event.stopPropagation();
+            event.dataTransfer.dropEffect = 'move';
+            element.classList.add('drag-over');
+        });
+        this.addEventListener(element, 'dragleave', () => element.classList.remove('drag-over'));
+        this.addEventListener(element, 'drop', async (event) => {
+            if (!accepts(event)) return;
+            event.preventDefault();
+            event.stopPropagation();
+            element.classList.remove('drag-over');
+
+            const viewId = event.dataTransfer.getData(HotbarViewsContainer.DRAG_TYPE);
+            if (viewId) await this._moveView(viewId, getTarget(event));
+        });
+    }
+
+    /**
+     * Move a view (drag and drop) and re-render the buttons
+     * @param {string} viewId - View to move
+     * @param {{before: string|null, group: string|null}} target - Where to put it
+     * @private
+     */
+    async _moveView(viewId, target) {
+        if (!this.persistenceManager) return;
+
+        try {
+            await this.persistenceManager.moveView(viewId, target);
+            await this.render();
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to move view:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.Views.MoveFailed'));
+        }
+    }
+
     /**
      * Create the "New View" button
      * @returns {Promise<NewViewButton>}
@@ -98,6 +242,9 @@ export class HotbarViewsContainer extends BG3Component {
         const button = new NewViewButton({
             onCreate: async () => {
                 await this._showCreateViewDialog();
+            },
+            onContextMenu: async (event) => {
+                await this._showImportMenu(event);
             }
         });
 
@@ -105,6 +252,16 @@ export class HotbarViewsContainer extends BG3Component {
         return button;
     }
 
+    /**
+     * Switch to a view and update the grids and buttons in place
+     * Used by view activation rules (ViewRuleManager); clicks go through the same path.
+     * @param {string} viewId - View ID to switch to
+     * @returns {Promise<void>}
+     */
+    async switchToView(viewId) {
+        await this._switchToView(viewId);
+    }
+
     /**
      * Switch to a different view
      * @param {string} viewId - View ID to switch to
@@ -117,11 +274,12 @@ export class HotbarViewsContainer extends BG3Component {
         if (currentViewId === viewId) return; // Already active
 
         try {
-            // Switch view in persistence manager (this loads the view's state)
-            await this.persistenceManager.switchView(viewId);
+            // Switch view in persistence manager (this loads every panel the views own)
+            const previousSet = this.persistenceManager.getState()?.weaponSets?.activeSet;
+            const result = await this.persistenceManager.switchView(viewId, { passives: this._getPassivesSelection() });
 
-            // Update only the grid containers with new items (no full refresh)
-            await this._updateHotbarContainers();
+            // Update only the affected containers (no full refresh)
+            await this._applyViewPanels(result, previousSet);
 
             // Update view buttons to reflect new active state
             await this.render();
@@ -132,9 +290,41 @@ export class HotbarViewsContainer extends BG3Component {
     }
 
     /**
-     * Update hotbar containers with current state (seamless update, no full refresh)
-     * Views only affect hotbar grids, not weapon sets or quick access
-     * Includes grid configuration (rows/cols) and items
+     * Current passives selection, if the adapter's passives container exposes one
+     * @returns {*} Selection, or undefined
+     * @private
+     */
+    _getPassivesSelection() {
+        return this.hotbarApp?.components?.hotbar?.passivesContainer?.getSelectionState?.() ?? undefined;
+    }
+
+    /**
+     * Show the panels a view change swapped: grids, the equipped weapon set and the passives selection
+     * @param {{passives: *}|null} result - Result of PersistenceManager.switchView
+     * @param {number} [previousSet] - Active weapon set before the change
+     * @private
+     */
+    async _applyViewPanels(result, previousSet) {
+        await this._updateHotbarContainers();
+
+        // A view owning the weapon sets may have changed the active set: equip it
+        const weaponSets = this.hotbarApp?.components?.weaponSets;
+        const activeSet = this.persistenceManager.getState()?.weaponSets?.activeSet;
+        if (weaponSets && activeSet !== undefined && previousSet !== undefined && activeSet !== previousSet) {
+            await weaponSets.onSetSwitch(activeSet, weaponSets.gridContainers[activeSet]);
+        }
+
+        const passives = this.hotbarApp?.components?.hotbar?.passivesContainer;
+        if (passives && result?.passives !== undefined) {
+            await passives.setSelectionState(result.passives);
+            await passives.render();
+        }
+    }
+
+    /**
+     * Update grid containers with current state (seamless update, no full refresh)
+     * Covers every panel a view can own: hotbar, weapon sets and quick access,
+     * including grid configuration (rows/cols) and items
      * @private
      */
     async _updateHotbarContainers() {
@@ -143,38 +333,7 @@ export class HotbarViewsContainer extends BG3Component {
         const state = this.persistenceManager.getState();
         if (!state) return;
 
-        const updates = [];
-
-        // Update hotbar grids only (views don't affect weapon sets or quick access)
-        if (this.hotbarApp.components.hotbar) {
-            const hotbarContainer = this.hotbarApp.components.hotbar;
-
-            // Also update the parent container's grids array
-            hotbarContainer.grids = state.hotbar.grids;
-
-            for (let i = 0; i < state.hotbar.grids.length; i++) {
-                const gridData = state.hotbar.grids[i];
-                const gridContainer = hotbarContainer.gridContainers[i];
-                if (gridContainer) {
-                    // Update grid configuration (rows/cols)
-                    gridContainer.rows = gridData.rows;
-                    gridContainer.cols = gridData.cols;
-                    gridContainer.items = gridData.items || {};
-
-                    // Show/hide grid based on cols
-                    if (gridData.cols === 0) {
-                        gridContainer.element.style.display = 'none';
-                    } else {
-                        gridContainer.element.style.display = '';
-                    }
-
-                    updates.push(gridContainer.render());
-                }
-            }
-        }
-
-        // Wait for all updates to complete
-        await Promise.all(updates);
+        await this.hotbarApp.updateCoordinator.applyUnifiedState(state);
     }
 
     /**
@@ -183,32 +342,46 @@ export class HotbarViewsContainer extends BG3Component {
      */
     async _showCreateViewDialog() {
         // Check if already at max views
-        const views = this.persistenceManager?.getViews() || [];
-        if (views.length >= HotbarViewsContainer.MAX_VIEWS) {
-            ui.notifications.warn(game.i18n.format('bg3-hud-core.Views.MaxViewsReached', { max: HotbarViewsContainer.MAX_VIEWS }));
-            return;
-        }
+        if (!this._canAddView()) return;
 
-        const result = await showCreateViewDialog();
+        const result = await showCreateViewDialog({ groups: this.persistenceManager?.getViewGroups() ?? [] });
         if (result) {
-            await this._createView(result.name, result.icon);
+            await this._createView(result.name, result.icon, result.panels, result.group);
         }
     }
 
+    /**
+     * Whether another view fits under the limit; warns if not
+     * @returns {boolean}
+     * @private
+     */
+    _canAddView() {
+        const views = this.persistenceManager?.getViews() || [];
+        const max = PersistenceManager.getMaxViews();
+        if (views.length < max) return true;
+
+        ui.notifications.warn(game.i18n.format('bg3-hud-core.Views.MaxViewsReached', { max }));
+        return false;
+    }
+
     /**
      * Create a new view with empty hotbar state
      * @param {string} name - View name
      * @param {string|null} icon - Font Awesome icon class
+     * @param {Array<string>} [panels] - Panels the view owns
+     * @param {string|null} [group] - View group
      * @private
      */
-    async _createView(name, icon) {
+    async _createView(name, icon, panels, group = null) {
         if (!this.persistenceManager) return;
 
         try {
-            await this.persistenceManager.createView(name, icon);
+            const previousSet = this.persistenceManager.getState()?.weaponSets?.activeSet;
+            const viewId = await this.persistenceManager.createView(name, icon, panels, { passives: this._getPassivesSelection(), group });
+            if (!viewId) return;
 
-            // Update hotbar containers to show empty state
-            await this._updateHotbarContainers();
+            // Update containers to show the new view's state
+            await this._applyViewPanels(null, previousSet);
 
             // Refresh the views container to show the new view
             await this.render();
@@ -243,6 +416,21 @@ export class HotbarViewsContainer extends BG3Component {
                     await this._showRenameViewDialog(view);
                 }
             },
+            {
+                label: game.i18n.localize('bg3-hud-core.Views.ContextRules'),
+                icon: 'fas fa-wand-magic-sparkles',
+                onClick: () => {
+                    new ViewRulesDialog({ hotbarApp: this.hotbarApp, view }).render(true);
+                }
+            },
+            {
+                label: game.i18n.localize('bg3-hud-core.Views.ContextUngroup'),
+                icon: 'fas fa-object-ungroup',
+                visible: !!view.group,
+                onClick: async () => {
+                    await this._moveView(view.id, { before: view.id, group: null });
+                }
+            },
             {
                 label: game.i18n.localize('bg3-hud-core.Views.ContextDuplicate'),
                 icon: 'fas fa-copy',
@@ -250,6 +438,62 @@ export class HotbarViewsContainer extends BG3Component {
                     await this._duplicateView(view.id);
                 }
             },
+            { separator: true },
+            {
+                label: game.i18n.localize('bg3-hud-core.Views.ContextExport'),
+                icon: 'fas fa-file-export',
+                onClick: async () => {
+                    await this.hotbarApp.viewTransferManager.exportView(view.id);
+                }
+            },
+            {
+                label: game.i18n.localize('bg3-hud-core.Views.ContextCopy'),
+                icon: 'fas fa-clipboard',
+                onClick: async () => {
+                    await this._copyViewToClipboard(view);
+                }
+            },
+            {
+                label: game.i18n.localize('bg3-hud-core.Views.ContextCopyToActor'),
+                icon: 'fas fa-people-arrows',
+                onClick: async () => {
+                    await this._copyViewToActors(view);
+                }
+            },
+            {
+                label: game.i18n.localize('bg3-hud-core.Views.ContextLink'),
+                icon: 'fas fa-link',
+                visible: !view.link,
+                onClick: async () => {
+                    await this._linkView(view);
+                }
+            },
+            {
+                label: game.i18n.localize('bg3-hud-core.Views.ContextSaveTemplate'),
+                icon: 'fas fa-floppy-disk',
+                visible: game.user.isGM && !view.link,
+                onClick: async () => {
+                    await this._saveViewTemplate(view);
+                }
+            },
+            {
+                label: game.i18n.localize('bg3-hud-core.Views.ContextUpdateTemplate'),
+                icon: 'fas fa-cloud-arrow-up',
+                visible: game.user.isGM && !!view.link,
+                onClick: async () => {
+                    await this._updateViewTemplate(view);
+                }
+            },
+            {
+                label: game.i18n.localize('bg3-hud-core.Views.ContextUnlink'),
+                icon: 'fas fa-link-slash',
+                visible: !!view.link,
+                onClick: async () => {
+                    await this.hotbarApp.viewTransferManager.unlinkView(view.id);
+                    await this.render();
+                }
+            },
+            { separator: true },
             {
                 label: game.i18n.localize('bg3-hud-core.Views.ContextDelete'),
                 icon: 'fas fa-trash',
@@ -271,15 +515,271 @@ export class HotbarViewsContainer extends BG3Component {
 
 
 
+    /**
+     * Right-click menu of the "New View" button: import a view file or add a linked view
+     * @param {MouseEvent} event - Right-click event
+     * @private
+     */
+    async _showImportMenu(event) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const { ContextMenu } = await import('../ui/ContextMenu.js');
+        const hasTemplates = this.hotbarApp.viewTransferManager.getTemplates().length > 0;
+
+        const menu = new ContextMenu({
+            items: [
+                {
+                    label: game.i18n.localize('bg3-hud-core.Views.ImportFile'),
+                    icon: 'fas fa-file-import',
+                    onClick: () => this._importViewFile()
+                },
+                {
+                    label: game.i18n.localize('bg3-hud-core.Views.Paste'),
+                    icon: 'fas fa-paste',
+                    onClick: async () => {
+                        await LayoutTransferDialog.openPaste(this.hotbarApp);
+                    }
+                },
+                {
+                    label: game.i18n.localize('bg3-hud-core.Views.AddFromTemplate'),
+                    icon: 'fas fa-link',
+                    visible: hasTemplates,
+                    onClick: async () => {
+                        await this._addLinkedView();
+                    }
+                }
+            ],
+            event: event,
+            parent: document.body
+        });
+
+        await menu.render();
+    }
+
+    /**
+     * Copy a view to the clipboard as a portable layout (pasted with Paste Layout)
+     * @param {Object} view - View data
+     * @private
+     */
+    async _copyViewToClipboard(view) {
+        try {
+            await this.hotbarApp.layoutTransferManager.copyLayout({ viewIds: [view.id], portable: true });
+            ui.notifications.info(game.i18n.format('bg3-hud-core.Views.CopiedToClipboard', { name: view.name }));
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to copy view:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.LayoutTransfer.CopyFailed'));
+        }
+    }
+
+    /**
+     * Pick a single-view export file and add the view to this actor
+     * @private
+     */
+    _importViewFile() {
+        if (!this._canAddView()) return;
+
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+        input.onchange = async (event) => {
+            const file = event.target.files[0];
+            if (!file) return;
+
+            try {
+                const { viewId, unmatched } = await this.hotbarApp.viewTransferManager.importViewFile(file);
+                if (!viewId) return;
+                ui.notifications.info(game.i18n.localize('bg3-hud-core.Views.Imported'));
+                this._notifyUnmatched(unmatched);
+            } catch (error) {
+                console.error('[bg3-hud-core] Failed to import view:', error);
+                ui.notifications.error(game.i18n.localize('bg3-hud-core.Views.ImportFailed'));
+            }
+        };
+        input.click();
+    }
+
+    /**
+     * Pick a view template
+     * @param {string} title - Dialog title
+     * @param {string} [content] - HTML above the choices
+     * @returns {Promise<string|null>} Template ID
+     * @private
+     */
+    async _chooseViewTemplate(title, content = '') {
+        const templates = this.hotbarApp.viewTransferManager.getTemplates();
+        if (templates.length === 0) {
+            ui.notifications.warn(game.i18n.localize('bg3-hud-core.Views.NoTemplates'));
+            return null;
+        }
+
+        return showButtonChoiceDialog({
+            title,
+            content,
+            buttons: templates.map(template => ({
+                action: template.id,
+                label: template.name,
+                icon: `fas ${template.view?.icon || 'fa-bookmark'}`
+            }))
+        });
+    }
+
+    /**
+     * Add a new view that follows a view template
+     * @private
+     */
+    async _addLinkedView() {
+        if (!this._canAddView()) return;
+
+        const templateId = await this._chooseViewTemplate(game.i18n.localize('bg3-hud-core.Views.AddFromTemplate'));
+        if (!templateId) return;
+
+        try {
+            const result = await this.hotbarApp.viewTransferManager.addLinkedView(templateId);
+            if (result?.viewId) this._notifyUnmatched(result.unmatched);
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to add linked view:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.Views.ImportFailed'));
+        }
+    }
+
+    /**
+     * Link a view to a view template (its panels are replaced by the template's)
+     * @param {Object} view - View data
+     * @private
+     */
+    async _linkView(view) {
+        const templateId = await this._chooseViewTemplate(
+            game.i18n.localize('bg3-hud-core.Views.ContextLink'),
+            `<p>${game.i18n.format('bg3-hud-core.Views.LinkWarning', { name: foundry.utils.escapeHTML(view.name) })}</p>`
+        );
+        if (!templateId) return;
+
+        try {
+            const unmatched = await this.hotbarApp.viewTransferManager.linkView(view.id, templateId);
+            this._notifyUnmatched(unmatched);
+            await this.render();
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to link view:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.Views.LinkFailed'));
+        }
+    }
+
+    /**
+     * Save a view as a new world view template and link it (GM)
+     * @param {Object} view - View data
+     * @private
+     */
+    async _saveViewTemplate(view) {
+        try {
+            const template = await this.hotbarApp.viewTransferManager.saveViewTemplate(view.id);
+            if (!template) return;
+            ui.notifications.info(game.i18n.format('bg3-hud-core.Views.TemplateSaved', { name: template.name }));
+            await this.render();
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to save view template:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.Views.LinkFailed'));
+        }
+    }
+
+    /**
+     * Push a linked view to its template, updating every view linked to it (GM)
+     * @param {Object} view - View data
+     * @private
+     */
+    async _updateViewTemplate(view) {
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: game.i18n.localize('bg3-hud-core.Views.ContextUpdateTemplate') },
+            content: `<p>${game.i18n.format('bg3-hud-core.Views.UpdateTemplateConfirm', { name: foundry.utils.escapeHTML(view.name) })}</p>`,
+            rejectClose: false
+        });
+        if (!confirmed) return;
+
+        try {
+            const updated = await this.hotbarApp.viewTransferManager.updateTemplateFromView(view.id);
+            if (updated) {
+                ui.notifications.info(game.i18n.localize('bg3-hud-core.Views.TemplateUpdated'));
+            } else {
+                ui.notifications.warn(game.i18n.localize('bg3-hud-core.Views.TemplateMissing'));
+            }
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to update view template:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.Views.LinkFailed'));
+        }
+    }
+
+    /**
+     * Copy a view to other actors picked from a checklist
+     * @param {Object} view - View data
+     * @private
+     */
+    async _copyViewToActors(view) {
+        const currentUuid = this.hotbarApp.currentActor?.uuid;
+        const controlled = new Set(canvas?.tokens?.controlled?.map(t => t.actor?.uuid).filter(Boolean) ?? []);
+
+        // Unlinked token actors only exist on their token, so list selected ones explicitly
+        const actors = new Map();
+        for (const token of canvas?.tokens?.controlled ?? []) {
+            if (token.actor) actors.set(token.actor.uuid, token.actor);
+        }
+        for (const actor of game.actors.filter(a => a.isOwner)) {
+            if (!actors.has(actor.uuid)) actors.set(actor.uuid, actor);
+        }
+        actors.delete(currentUuid);
+
+        const selected = await showSelectionDialog({
+            title: game.i18n.format('bg3-hud-core.Views.CopyTitle', { name: view.name }),
+            description: game.i18n.localize('bg3-hud-core.Views.CopyHint'),
+            items: [...actors.values()].map(actor => ({
+                id: actor.uuid,
+                label: actor.name,
+                img: actor.img,
+                selected: controlled.has(actor.uuid)
+            }))
+        });
+        const targets = (selected ?? []).map(uuid => actors.get(uuid)).filter(Boolean);
+        if (targets.length === 0) return;
+
+        const results = await this.hotbarApp.viewTransferManager.copyViewToActors(view.id, targets);
+        for (const { actor, viewId, unmatched, error } of results) {
+            if (error) {
+                ui.notifications.error(game.i18n.format('bg3-hud-core.Views.CopyFailed', { actor: actor.name }));
+            } else if (!viewId) {
+                ui.notifications.warn(game.i18n.format('bg3-hud-core.Views.CopyLimit', { actor: actor.name }));
+            } else if (unmatched.length) {
+                ui.notifications.warn(game.i18n.format('bg3-hud-core.Views.CopiedUnmatched', { actor: actor.name, count: unmatched.length }));
+            }
+        }
+
+        const copied = results.filter(r => r.viewId).length;
+        if (copied) {
+            ui.notifications.info(game.i18n.format('bg3-hud-core.Views.Copied', { name: view.name, count: copied }));
+        }
+    }
+
+    /**
+     * Warn about slots left empty because no matching item was found
+     * @param {Array<Object>} unmatched - [{location, slotKey, name}]
+     * @private
+     */
+    _notifyUnmatched(unmatched) {
+        if (!unmatched?.length) return;
+        console.warn('[bg3-hud-core] Slots without a matching item on this actor:', unmatched);
+        ui.notifications.warn(game.i18n.format('bg3-hud-core.Views.Unmatched', {
+            count: unmatched.length,
+            names: [...new Set(unmatched.map(u => u.name))].join(', ')
+        }));
+    }
+
     /**
      * Show rename view dialog (uses unified view dialog)
      * @param {Object} view - View to rename
      * @private
      */
     async _showRenameViewDialog(view) {
-        const result = await showEditViewDialog(view);
+        const result = await showEditViewDialog(view, { groups: this.persistenceManager?.getViewGroups() ?? [] });
         if (result) {
-            await this._renameView(view.id, result.name, result.icon);
+            await this._renameView(view.id, result.name, result.icon, result.panels, result.group);
         }
     }
 
@@ -288,14 +788,24 @@ export class HotbarViewsContainer extends BG3Component {
      * @param {string} viewId - View ID to rename
      * @param {string} newName - New view name
      * @param {string|null} newIcon - New icon (optional)
+     * @param {Array<string>} [panels] - Panels the view should own (optional)
+     * @param {string|null} [group] - View group, null to ungroup (optional)
      * @private
      */
-    async _renameView(viewId, newName, newIcon) {
+    async _renameView(viewId, newName, newIcon, panels, group) {
         if (!this.persistenceManager) return;
 
         try {
             await this.persistenceManager.renameView(viewId, newName, newIcon);
 
+            const view = this.persistenceManager.getView(viewId);
+            if (panels && !foundry.utils.objectsEqual(ViewPanels.get(view), panels)) {
+                await this.persistenceManager.setViewPanels(viewId, panels, { passives: this._getPassivesSelection() });
+            }
+            if (group !== undefined && (view?.group ?? null) !== group) {
+                await this.persistenceManager.setViewGroup(viewId, group);
+            }
+
             // Refresh the views container
             await this.render();
         } catch (error) {
@@ -311,6 +821,7 @@ export class HotbarViewsContainer extends BG3Component {
      */
     async _duplicateView(viewId) {
         if (!this.persistenceManager) return;
+        if (!this._canAddView()) return;
 
         try {
             const originalView = this.persistenceManager.getView(viewId);
@@ -347,12 +858,13 @@ export class HotbarViewsContainer extends BG3Component {
 
         try {
             const wasActive = this.persistenceManager.getActiveViewId() === viewId;
+            const previousSet = this.persistenceManager.getState()?.weaponSets?.activeSet;
 
-            await this.persistenceManager.deleteView(viewId);
+            const result = await this.persistenceManager.deleteView(viewId, { passives: this._getPassivesSelection() });
 
-            // If we deleted the active view, update the hotbar containers
+            // If we deleted the active view, update the containers it swapped
             if (wasActive) {
-                await this._updateHotbarContainers();
+                await this._applyViewPanels(result, previousSet);
             }
 
             // Refresh the views container
@@ -382,6 +894,16 @@ export class HotbarViewsContainer extends BG3Component {
         }
         this.viewButtons = [];
 
+        for (const button of this.groupButtons) {
+            button?.destroy?.();
+        }
+        this.groupButtons = [];
+
+        if (this._onDocumentPointerDown) {
+            document.removeEventListener('pointerdown', this._onDocumentPointerDown);
+            this._onDocumentPointerDown = null;
+        }
+
         // Destroy new view button
         if (this.newViewButton && typeof this.newViewButton.destroy === 'function') {
             this.newViewButton.destroy();
@@ -9,6 +9,7 @@ import { BG3Component } from '../BG3Component.js';
  * - getPassiveItems() - Which items are considered "passive"
  * - getSelectedPassives() - Which passives should be displayed (user configuration)
  * - showConfigurationDialog() - How to let users select which passives to display
+ * - getSelectionState()/setSelectionState() - Optional, lets hotbar views own the selection
  * 
  * @abstract
  */
@@ -80,6 +81,27 @@ export class PassivesContainer extends BG3Component {
         ui.notifications.info(game.i18n.localize('bg3-hud-core.Notifications.PassivesNotImplemented'));
     }
 
+    /**
+     * Get the current passives selection as plain data, for hotbar views that own it
+     * Override together with setSelectionState() if the selection is configurable
+     * 
+     * @returns {*} JSON-serializable selection, or null if views can't own it
+     */
+    getSelectionState() {
+        return null;
+    }
+
+    /**
+     * Restore a selection returned by getSelectionState() (called on view switch)
+     * The container is re-rendered afterwards.
+     * 
+     * @param {*} selection - Selection from getSelectionState()
+     * @returns {Promise<void>}
+     */
+    async setSelectionState(selection) {
+        // Base implementation does nothing
+    }
+
     /**
      * Create a passive button for an item
      * Override in subclass if you need custom button behavior
@@ -67,6 +67,7 @@ export class QuickAccessContainer extends BG3Component {
                 rows: gridData.rows,
                 cols: gridData.cols,
                 items: itemsMap,
+                pinned: gridData.pinned,
                 id: 'quick-access',
                 index: 0,
                 containerType: 'quickAccess',
@@ -86,6 +87,7 @@ export class QuickAccessContainer extends BG3Component {
             gridContainer.rows = gridData.rows;
             gridContainer.cols = gridData.cols;
             gridContainer.items = itemsMap;
+            gridContainer.pinned = gridData.pinned || [];
         }
 
         await gridContainer.render();
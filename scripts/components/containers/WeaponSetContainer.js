@@ -77,6 +77,8 @@ export class WeaponSetContainer extends BG3Component {
         // Save using unified persistence manager
         if (!skipSave && this.persistenceManager) {
             await this.persistenceManager.setActiveWeaponSet(index);
+            // The active weapon set can drive view activation rules
+            this.options.hotbarApp?.viewRuleManager?.evaluate();
         }
     }
 
@@ -144,6 +146,7 @@ export class WeaponSetContainer extends BG3Component {
                     rows: setData.rows,
                     cols: setData.cols,
                     items: setData.items || {},
+                    pinned: setData.pinned,
                     id: 'weapon',
                     index: i,
                     containerType: 'weaponSet',
@@ -163,6 +166,7 @@ export class WeaponSetContainer extends BG3Component {
                 gridContainer.rows = setData.rows;
                 gridContainer.cols = setData.cols;
                 gridContainer.items = setData.items || {};
+                gridContainer.pinned = setData.pinned || [];
             }
 
             await gridContainer.render();
@@ -217,6 +221,17 @@ export class WeaponSetContainer extends BG3Component {
         await this.setActiveSet(setIndex);
     }
 
+    /**
+     * Switch to a weapon set as if it had been clicked (keybindings)
+     * @param {number} setIndex - Index of set to switch to
+     * @returns {Promise<void>}
+     */
+    async switchToSet(setIndex) {
+        const setContainer = this.gridContainers[setIndex];
+        if (!setContainer) return;
+        await this._handleSetClick(setIndex, setContainer);
+    }
+
     /**
      * Get a grid container by index
      * @param {number} index - Grid index
@@ -0,0 +1,123 @@
+/**
+ * Cell Overrides Dialog
+ * Edits the custom name, icon and tint of one cell (see CellOverrides)
+ */
+
+import { BG3Dialog } from '../../api/BG3Dialog.js';
+import { CellOverrides } from '../../utils/CellOverrides.js';
+
+export class CellOverridesDialog extends BG3Dialog {
+    static DEFAULT_OPTIONS = {
+        ...super.DEFAULT_OPTIONS,
+        id: 'bg3-cell-overrides',
+        classes: [...(super.DEFAULT_OPTIONS.classes || []), 'bg3-cell-overrides'],
+        window: {
+            ...super.DEFAULT_OPTIONS.window,
+            title: 'bg3-hud-core.CellOverrides.Title',
+            icon: 'fas fa-paintbrush'
+        },
+        position: {
+            width: 440,
+            height: 'auto'
+        }
+    };
+
+    /**
+     * @param {Object} options - Application options
+     * @param {BG3Hotbar} options.hotbarApp - Reference to main hotbar app
+     * @param {GridCell} options.cell - Cell being customized
+     */
+    constructor(options = {}) {
+        super(options);
+        this.hotbarApp = options.hotbarApp;
+        this.cell = options.cell;
+    }
+
+    /**
+     * Build the name, icon and colour fields; the item's own name and icon are the placeholders
+     * @returns {string}
+     * @override
+     */
+    _buildBody() {
+        const escape = foundry.utils.escapeHTML;
+        const data = this.cell.data ?? {};
+        const overrides = data.overrides ?? {};
+
+        return `
+            <p class="hint">${game.i18n.localize('bg3-hud-core.CellOverrides.Hint')}</p>
+            <div class="form-group">
+                <label>${game.i18n.localize('bg3-hud-core.CellOverrides.Name')}</label>
+                <div class="form-fields">
+                    <input type="text" name="name" value="${escape(overrides.name ?? '')}" placeholder="${escape(data.name ?? '')}">
+                </div>
+            </div>
+            <div class="form-group">
+                <label>${game.i18n.localize('bg3-hud-core.CellOverrides.Icon')}</label>
+                <div class="form-fields">
+                    <img class="bg3-cell-overrides-preview" src="${escape(CellOverrides.resolve(data).img)}" alt="">
+                    <file-picker name="img" type="image" value="${escape(overrides.img ?? '')}" placeholder="${escape(data.img ?? '')}"></file-picker>
+                </div>
+            </div>
+            <div class="form-group">
+                <label>${game.i18n.localize('bg3-hud-core.CellOverrides.Color')}</label>
+                <div class="form-fields">
+                    <color-picker name="color" value="${escape(overrides.color ?? '')}"></color-picker>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Footer: reset, save
+     * @returns {string}
+     * @override
+     */
+    _buildFooter() {
+        return `
+            <button type="submit" name="action" value="reset">
+                <i class="fas fa-undo"></i> ${game.i18n.localize('bg3-hud-core.CellOverrides.Reset')}
+            </button>
+            <button type="submit" name="action" value="save">
+                <i class="fas fa-save"></i> ${game.i18n.localize('bg3-hud-core.CellOverrides.Save')}
+            </button>
+        `;
+    }
+
+    /**
+     * Keep the icon preview in step with the picked path
+     * @param {object} context - Render context
+     * @param {object} options - Render options
+     * @override
+     */
+    _onRenderDialog(context, options) {
+        const picker = this.element.querySelector('file-picker[name="img"]');
+        const preview = this.element.querySelector('.bg3-cell-overrides-preview');
+        picker?.addEventListener('change', () => {
+            preview.src = picker.value || this.cell.data?.img || '';
+        });
+    }
+
+    /**
+     * Save the overrides, or clear them all on reset
+     * @param {SubmitEvent} event - Form submit event
+     * @returns {Promise<void>}
+     * @override
+     */
+    async _onSubmit(event) {
+        const form = this.element.querySelector('form');
+        const overrides = event.submitter?.value === 'reset' ? null : {
+            name: form.querySelector('[name="name"]')?.value,
+            img: form.querySelector('[name="img"]')?.value,
+            color: form.querySelector('[name="color"]')?.value
+        };
+
+        try {
+            await this.hotbarApp.interactionCoordinator.setCellOverrides(this.cell, overrides);
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to save cell overrides:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.CellOverrides.SaveFailed'));
+            return;
+        }
+        this.close();
+    }
+}
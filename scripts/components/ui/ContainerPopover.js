@@ -1,5 +1,6 @@
 import { BG3Component } from '../BG3Component.js';
 import { GridContainer } from '../containers/GridContainer.js';
+import { CellOverrides } from '../../utils/CellOverrides.js';
 
 /**
  * Container Popover Component
@@ -80,8 +81,8 @@ export class ContainerPopover extends BG3Component {
         const syncedItems = {};
         for (const [slot, itemData] of Object.entries(savedGrid.items || {})) {
             if (itemData?.uuid && adapterItemsByUuid.has(itemData.uuid)) {
-                // Item still exists in container, use saved position with fresh data
-                syncedItems[slot] = adapterItemsByUuid.get(itemData.uuid);
+                // Item still exists in container, use saved position with fresh data (and the user's overrides)
+                syncedItems[slot] = CellOverrides.carry(itemData, adapterItemsByUuid.get(itemData.uuid));
                 adapterItemsByUuid.delete(itemData.uuid); // Mark as placed
             }
             // If item doesn't exist in adapter anymore, it's been removed - don't include it
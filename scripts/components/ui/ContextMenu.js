@@ -4,6 +4,9 @@ import { BG3Component } from '../BG3Component.js';
  * Simple Context Menu
  * Displays a menu on right-click with action buttons
  * System-agnostic - adapters can add custom menu items
+ *
+ * The menu takes focus when opened: arrow keys move between items, Enter or Space
+ * picks one, Escape or Tab closes it and focus returns where it was.
  */
 export class ContextMenu extends BG3Component {
     /**
@@ -26,6 +29,9 @@ export class ContextMenu extends BG3Component {
      */
     async render() {
         this.element = this.createElement('div', ['bg3-context-menu']);
+        this.element.setAttribute('role', 'menu');
+        this.element.tabIndex = -1;
+        this._returnFocus = document.activeElement;
 
         // Filter visible items
         const visibleItems = this.items.filter(item => item.visible !== false);
@@ -45,6 +51,8 @@ export class ContextMenu extends BG3Component {
             }
 
             const menuItem = this.createElement('div', ['bg3-context-menu-item']);
+            menuItem.setAttribute('role', 'menuitem');
+            menuItem.tabIndex = -1;
 
             // Add custom class if provided (e.g., 'checked' for checkboxes)
             if (item.class) {
@@ -102,6 +110,10 @@ export class ContextMenu extends BG3Component {
         // Append to parent
         this.parent.appendChild(this.element);
 
+        // Keyboard navigation
+        this.element.addEventListener('keydown', this._onKeyDown);
+        this.element.focus();
+
         // Close on click outside
         setTimeout(() => {
             document.addEventListener('click', this._onClickOutside);
@@ -146,6 +158,44 @@ export class ContextMenu extends BG3Component {
         this.element.style.top = `${y}px`;
     }
 
+    /**
+     * Handle keyboard navigation
+     * @param {KeyboardEvent} event - Key event
+     * @private
+     */
+    _onKeyDown = (event) => {
+        const items = Array.from(this.element.querySelectorAll('.bg3-context-menu-item'));
+        const index = items.indexOf(document.activeElement);
+
+        switch (event.key) {
+            case 'ArrowDown':
+                items[(index + 1) % items.length]?.focus();
+                break;
+            case 'ArrowUp':
+                items[index < 0 ? items.length - 1 : (index - 1 + items.length) % items.length]?.focus();
+                break;
+            case 'Home':
+                items[0]?.focus();
+                break;
+            case 'End':
+                items.at(-1)?.focus();
+                break;
+            case 'Enter':
+            case ' ':
+                if (index >= 0 && !event.repeat) items[index].click();
+                break;
+            case 'Escape':
+            case 'Tab':
+                this.destroy();
+                break;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+    }
+
     /**
      * Handle click outside menu
      * @param {MouseEvent} event - Click event
@@ -163,6 +213,10 @@ export class ContextMenu extends BG3Component {
     destroy() {
         document.removeEventListener('click', this._onClickOutside);
         document.removeEventListener('contextmenu', this._onClickOutside);
+
+        // Give focus back if the menu still holds it
+        const hadFocus = this.element?.contains(document.activeElement);
         super.destroy();
+        if (hadFocus && this._returnFocus?.isConnected) this._returnFocus.focus();
     }
 }
@@ -0,0 +1,225 @@
+/**
+ * Layout Packs Dialog
+ * Browses the HUD layouts shipped in compendiums for the current system and imports
+ * one like a layout file; GMs can also save the current layout into a compendium
+ */
+
+import { BG3Dialog } from '../../api/BG3Dialog.js';
+import { LayoutTransferDialog } from './LayoutTransferDialog.js';
+
+export class LayoutPacksDialog extends BG3Dialog {
+    static DEFAULT_OPTIONS = {
+        ...super.DEFAULT_OPTIONS,
+        id: 'bg3-layout-packs',
+        classes: [...(super.DEFAULT_OPTIONS.classes || []), 'bg3-layout-packs'],
+        window: {
+            ...super.DEFAULT_OPTIONS.window,
+            title: 'bg3-hud-core.LayoutPacks.Title',
+            icon: 'fas fa-box-archive'
+        },
+        position: {
+            width: 560,
+            height: 520
+        }
+    };
+
+    /**
+     * @param {Object} options - Application options
+     * @param {BG3Hotbar} options.hotbarApp - Reference to main hotbar app
+     */
+    constructor(options = {}) {
+        super(options);
+        this.hotbarApp = options.hotbarApp;
+        this.packManager = options.hotbarApp?.layoutPackManager;
+        this._layouts = [];
+        this._filter = '';
+    }
+
+    /**
+     * Load the layouts from the compendiums before rendering
+     * @param {object} options - Render options
+     * @returns {Promise<object>}
+     * @override
+     */
+    async _prepareContext(options) {
+        const context = await super._prepareContext(options);
+        this._layouts = await this.packManager?.getLayouts() ?? [];
+        return context;
+    }
+
+    /**
+     * Build the filterable layout list
+     * @returns {HTMLElement}
+     * @override
+     */
+    _buildBody() {
+        const body = document.createElement('div');
+        body.className = 'bg3-layout-packs-body';
+
+        const filter = document.createElement('input');
+        filter.type = 'search';
+        filter.name = 'layoutFilter';
+        filter.value = this._filter;
+        filter.placeholder = game.i18n.localize('bg3-hud-core.LayoutPacks.Filter');
+        body.appendChild(filter);
+
+        const list = document.createElement('ol');
+        list.className = 'bg3-layout-packs-list';
+        if (this._layouts.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'bg3-layout-packs-empty';
+            empty.textContent = game.i18n.localize('bg3-hud-core.LayoutPacks.Empty');
+            list.appendChild(empty);
+        }
+        for (const layout of this._layouts) {
+            list.appendChild(this._buildLayoutRow(layout));
+        }
+        body.appendChild(list);
+
+        this._applyFilter(list);
+        return body;
+    }
+
+    /**
+     * Build one row in the layout list
+     * @param {Object} layout - Layout entry from LayoutPackManager.getLayouts
+     * @returns {HTMLElement}
+     * @private
+     */
+    _buildLayoutRow(layout) {
+        const row = document.createElement('li');
+        row.className = 'bg3-layout-pack-row';
+        row.dataset.uuid = layout.uuid;
+        row.dataset.search = `${layout.name} ${layout.packLabel} ${layout.journalName}`.toLowerCase();
+
+        const text = document.createElement('div');
+        text.className = 'bg3-layout-pack-text';
+        const name = document.createElement('span');
+        name.className = 'bg3-layout-pack-name';
+        name.textContent = layout.name;
+        const meta = document.createElement('span');
+        meta.className = 'bg3-layout-pack-meta';
+        meta.textContent = `${layout.packLabel} · ${layout.journalName}`;
+        text.append(name, meta);
+
+        // Page text is HTML; parse it inert (no scripts or image loads) and show it as plain text
+        const description = new DOMParser().parseFromString(layout.description ?? '', 'text/html').body.textContent.trim();
+        if (description) {
+            const hint = document.createElement('span');
+            hint.className = 'bg3-layout-pack-description';
+            hint.textContent = description;
+            text.appendChild(hint);
+        }
+        row.appendChild(text);
+
+        const apply = document.createElement('button');
+        apply.type = 'button';
+        apply.className = 'bg3-layout-pack-apply';
+        apply.innerHTML = `<i class="fas fa-file-import"></i> ${game.i18n.localize('bg3-hud-core.LayoutPacks.Apply')}`;
+        row.appendChild(apply);
+
+        return row;
+    }
+
+    /**
+     * Footer: GMs save the current layout into an unlocked journal compendium
+     * @returns {string}
+     * @override
+     */
+    _buildFooter() {
+        if (!game.user.isGM) return '';
+
+        const packs = this.packManager?.getWritablePacks() ?? [];
+        if (packs.length === 0) {
+            return `<p class="hint">${game.i18n.localize('bg3-hud-core.LayoutPacks.NoWritablePacks')}</p>`;
+        }
+
+        const escape = foundry.utils.escapeHTML;
+        const options = packs.map(pack => `<option value="${escape(pack.collection)}">${escape(pack.title)}</option>`).join('');
+        return `
+            <div class="bg3-layout-packs-save">
+                <select name="pack">${options}</select>
+                <input type="text" name="layoutName" placeholder="${game.i18n.localize('bg3-hud-core.LayoutPacks.NamePlaceholder')}">
+                <input type="text" name="layoutDescription" placeholder="${game.i18n.localize('bg3-hud-core.LayoutPacks.DescriptionPlaceholder')}">
+                <button type="submit">
+                    <i class="fas fa-floppy-disk"></i> ${game.i18n.localize('bg3-hud-core.LayoutPacks.Save')}
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Bind the filter and apply buttons
+     * @param {object} context - Render context
+     * @param {object} options - Render options
+     * @override
+     */
+    _onRenderDialog(context, options) {
+        const list = this.element.querySelector('.bg3-layout-packs-list');
+
+        this.element.querySelector('input[name="layoutFilter"]')?.addEventListener('input', (event) => {
+            this._filter = event.target.value;
+            this._applyFilter(list);
+        });
+
+        this.element.querySelectorAll('.bg3-layout-pack-apply').forEach(button => {
+            button.addEventListener('click', async (event) => {
+                event.preventDefault();
+                await this._applyLayout(button.closest('.bg3-layout-pack-row')?.dataset.uuid);
+            });
+        });
+    }
+
+    /**
+     * Hide rows that don't match the filter
+     * @param {HTMLElement} list - Layout list
+     * @private
+     */
+    _applyFilter(list) {
+        const filter = this._filter.trim().toLowerCase();
+        for (const row of list?.querySelectorAll('.bg3-layout-pack-row') ?? []) {
+            row.hidden = !!filter && !row.dataset.search.includes(filter);
+        }
+    }
+
+    /**
+     * Import a layout from a pack (relinking, preview and merge modes as for files)
+     * @param {string} uuid - Layout page UUID
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _applyLayout(uuid) {
+        try {
+            const data = await this.packManager.getLayoutData(uuid);
+            if (!data) throw new Error(`No layout data on ${uuid}`);
+            await LayoutTransferDialog.openImport(this.hotbarApp, data);
+            this.close();
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to load layout pack:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.Notifications.ImportLayoutFailed'));
+        }
+    }
+
+    /**
+     * Save the current layout into the chosen compendium
+     * @param {SubmitEvent} event - Form submit event
+     * @returns {Promise<void>}
+     * @override
+     */
+    async _onSubmit(event) {
+        const packId = this.element.querySelector('select[name="pack"]')?.value;
+        const name = this.element.querySelector('input[name="layoutName"]')?.value?.trim();
+        const description = this.element.querySelector('input[name="layoutDescription"]')?.value?.trim();
+        if (!packId) return;
+
+        try {
+            const page = await this.packManager.saveLayout(packId, name, description);
+            if (!page) throw new Error(`Could not save to ${packId}`);
+            ui.notifications.info(game.i18n.format('bg3-hud-core.LayoutPacks.Saved', { name: page.name }));
+            this.render();
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to save layout to compendium:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.LayoutPacks.SaveFailed'));
+        }
+    }
+}
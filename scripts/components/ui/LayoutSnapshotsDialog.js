@@ -0,0 +1,315 @@
+/**
+ * Layout Snapshots Dialog
+ * Lists saved layout snapshots for the current actor, previews their grids and
+ * restores either the whole HUD state or a single panel
+ */
+
+import { BG3Dialog } from '../../api/BG3Dialog.js';
+import { SnapshotManager } from '../../managers/SnapshotManager.js';
+
+export class LayoutSnapshotsDialog extends BG3Dialog {
+    static DEFAULT_OPTIONS = {
+        ...super.DEFAULT_OPTIONS,
+        id: 'bg3-layout-snapshots',
+        classes: [...(super.DEFAULT_OPTIONS.classes || []), 'bg3-layout-snapshots'],
+        window: {
+            ...super.DEFAULT_OPTIONS.window,
+            title: 'bg3-hud-core.Snapshots.Title',
+            icon: 'fas fa-clock-rotate-left'
+        },
+        position: {
+            width: 640,
+            height: 520
+        }
+    };
+
+    /**
+     * @param {Object} options - Application options
+     * @param {BG3Hotbar} options.hotbarApp - Reference to main hotbar app
+     */
+    constructor(options = {}) {
+        super(options);
+        this.hotbarApp = options.hotbarApp;
+        this.snapshotManager = options.hotbarApp?.snapshotManager;
+        this._selectedId = null;
+    }
+
+    /** @override */
+    get title() {
+        const actorName = this.snapshotManager?.actor?.name;
+        const title = game.i18n.localize('bg3-hud-core.Snapshots.Title');
+        return actorName ? `${title}: ${actorName}` : title;
+    }
+
+    /**
+     * Build the snapshot list and preview
+     * @returns {HTMLElement}
+     * @override
+     */
+    _buildBody() {
+        const snapshots = this.snapshotManager?.getSnapshots() ?? [];
+        if (!snapshots.some(s => s.id === this._selectedId)) {
+            this._selectedId = snapshots[0]?.id ?? null;
+        }
+
+        const body = document.createElement('div');
+        body.className = 'bg3-snapshots';
+
+        const list = document.createElement('ol');
+        list.className = 'bg3-snapshots-list';
+
+        if (snapshots.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'bg3-snapshots-empty';
+            empty.textContent = game.i18n.localize('bg3-hud-core.Snapshots.Empty');
+            list.appendChild(empty);
+        }
+
+        for (const snapshot of snapshots) {
+            list.appendChild(this._buildSnapshotRow(snapshot));
+        }
+        body.appendChild(list);
+
+        const preview = document.createElement('section');
+        preview.className = 'bg3-snapshot-preview';
+        const selected = snapshots.find(s => s.id === this._selectedId);
+        if (selected) {
+            this._buildPreview(preview, selected.state);
+        }
+        body.appendChild(preview);
+
+        return body;
+    }
+
+    /**
+     * Build one row in the snapshot list
+     * @param {Object} snapshot - Snapshot data
+     * @returns {HTMLElement}
+     * @private
+     */
+    _buildSnapshotRow(snapshot) {
+        const row = document.createElement('li');
+        row.className = 'bg3-snapshot-row';
+        row.classList.toggle('selected', snapshot.id === this._selectedId);
+        row.dataset.snapshotId = snapshot.id;
+
+        const icon = document.createElement('i');
+        icon.className = snapshot.automatic ? 'fas fa-robot' : 'fas fa-bookmark';
+        icon.dataset.tooltip = game.i18n.localize(snapshot.automatic
+            ? 'bg3-hud-core.Snapshots.Automatic'
+            : 'bg3-hud-core.Snapshots.Named');
+        row.appendChild(icon);
+
+        const text = document.createElement('div');
+        text.className = 'bg3-snapshot-text';
+        const name = document.createElement('span');
+        name.className = 'bg3-snapshot-name';
+        name.textContent = snapshot.name;
+        const meta = document.createElement('span');
+        meta.className = 'bg3-snapshot-meta';
+        meta.textContent = `${new Date(snapshot.timestamp).toLocaleString()} · ${snapshot.userName ?? ''}`;
+        text.append(name, meta);
+        row.appendChild(text);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'bg3-snapshot-delete icon';
+        remove.dataset.tooltip = game.i18n.localize('bg3-hud-core.Snapshots.Delete');
+        remove.innerHTML = '<i class="fas fa-trash"></i>';
+        row.appendChild(remove);
+
+        return row;
+    }
+
+    /**
+     * Render miniature grids for each panel of a snapshot state
+     * @param {HTMLElement} target - Element to fill
+     * @param {Object} state - Snapshot state
+     * @private
+     */
+    _buildPreview(target, state) {
+        const panels = [
+            { label: 'bg3-hud-core.Snapshots.PanelHotbar', grids: state?.hotbar?.grids },
+            { label: 'bg3-hud-core.Snapshots.PanelWeaponSets', grids: state?.weaponSets?.sets },
+            { label: 'bg3-hud-core.Snapshots.PanelQuickAccess', grids: state?.quickAccess?.grids }
+        ];
+
+        for (const panel of panels) {
+            if (!Array.isArray(panel.grids) || panel.grids.length === 0) continue;
+
+            const heading = document.createElement('h4');
+            heading.textContent = game.i18n.localize(panel.label);
+            target.appendChild(heading);
+
+            const row = document.createElement('div');
+            row.className = 'bg3-snapshot-preview-panel';
+            for (const grid of panel.grids) {
+                if (!grid?.cols) continue;
+                row.appendChild(this._buildPreviewGrid(grid));
+            }
+            target.appendChild(row);
+        }
+
+        const viewCount = state?.views?.list?.length ?? 0;
+        if (viewCount > 0) {
+            const views = document.createElement('p');
+            views.className = 'bg3-snapshot-preview-views';
+            views.textContent = game.i18n.format('bg3-hud-core.Snapshots.ViewCount', { count: viewCount });
+            target.appendChild(views);
+        }
+    }
+
+    /**
+     * Render a single miniature grid
+     * @param {Object} grid - Grid data {rows, cols, items}
+     * @returns {HTMLElement}
+     * @private
+     */
+    _buildPreviewGrid(grid) {
+        const gridEl = document.createElement('div');
+        gridEl.className = 'bg3-snapshot-preview-grid';
+        gridEl.style.gridTemplateColumns = `repeat(${grid.cols}, var(--bg3-snapshot-cell-size))`;
+
+        for (let r = 0; r < grid.rows; r++) {
+            for (let c = 0; c < grid.cols; c++) {
+                const cell = document.createElement('div');
+                cell.className = 'bg3-snapshot-preview-cell';
+                const data = grid.items?.[`${c}-${r}`];
+                if (data?.img) {
+                    const img = document.createElement('img');
+                    img.src = data.img;
+                    img.alt = data.name ?? '';
+                    cell.appendChild(img);
+                    cell.dataset.tooltip = data.name ?? '';
+                }
+                gridEl.appendChild(cell);
+            }
+        }
+
+        return gridEl;
+    }
+
+    /**
+     * Footer: save a named snapshot, choose a panel and restore
+     * @returns {string}
+     * @override
+     */
+    _buildFooter() {
+        const panelOptions = [
+            ['', 'bg3-hud-core.Snapshots.PanelAll'],
+            ...SnapshotManager.PANELS.map(panel => [panel, `bg3-hud-core.Snapshots.Panel${panel.charAt(0).toUpperCase()}${panel.slice(1)}`])
+        ].map(([value, label]) => `<option value="${value}">${game.i18n.localize(label)}</option>`).join('');
+
+        return `
+            <div class="bg3-snapshots-save">
+                <input type="text" name="snapshotName" placeholder="${game.i18n.localize('bg3-hud-core.Snapshots.NamePlaceholder')}">
+                <button type="submit">
+                    <i class="fas fa-camera"></i> ${game.i18n.localize('bg3-hud-core.Snapshots.SaveCurrent')}
+                </button>
+            </div>
+            <div class="bg3-snapshots-restore">
+                <select name="restorePanel">${panelOptions}</select>
+                <button type="button" class="bg3-snapshot-restore" ${this._selectedId ? '' : 'disabled'}>
+                    <i class="fas fa-clock-rotate-left"></i> ${game.i18n.localize('bg3-hud-core.Snapshots.Restore')}
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Bind list selection, delete and restore handlers
+     * @param {object} context - Render context
+     * @param {object} options - Render options
+     * @override
+     */
+    _onRenderDialog(context, options) {
+        this.element.querySelectorAll('.bg3-snapshot-row').forEach(row => {
+            row.addEventListener('click', (event) => {
+                if (event.target.closest('.bg3-snapshot-delete')) return;
+                this._selectedId = row.dataset.snapshotId;
+                this.render();
+            });
+        });
+
+        this.element.querySelectorAll('.bg3-snapshot-delete').forEach(button => {
+            button.addEventListener('click', async (event) => {
+                event.preventDefault();
+                const snapshotId = button.closest('.bg3-snapshot-row')?.dataset.snapshotId;
+                await this._deleteSnapshot(snapshotId);
+            });
+        });
+
+        this.element.querySelector('.bg3-snapshot-restore')?.addEventListener('click', async (event) => {
+            event.preventDefault();
+            const panel = this.element.querySelector('select[name="restorePanel"]')?.value || null;
+            await this._restoreSelected(panel);
+        });
+    }
+
+    /**
+     * Save the current layout as a named snapshot
+     * @param {SubmitEvent} event - Form submit event
+     * @returns {Promise<void>}
+     * @override
+     */
+    async _onSubmit(event) {
+        const name = this.element.querySelector('input[name="snapshotName"]')?.value?.trim();
+        const snapshot = await this.snapshotManager?.createSnapshot(name);
+        if (!snapshot) {
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.Snapshots.SaveFailed'));
+            return;
+        }
+
+        this._selectedId = snapshot.id;
+        ui.notifications.info(game.i18n.format('bg3-hud-core.Snapshots.Saved', { name: snapshot.name }));
+        this.render();
+    }
+
+    /**
+     * Restore the selected snapshot after confirmation
+     * @param {string|null} panel - Panel to restore, or null for everything
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _restoreSelected(panel) {
+        const snapshot = this.snapshotManager?.getSnapshot(this._selectedId);
+        if (!snapshot) return;
+
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: game.i18n.localize('bg3-hud-core.Snapshots.RestoreTitle') },
+            content: `<p>${game.i18n.format('bg3-hud-core.Snapshots.RestoreConfirm', { name: foundry.utils.escapeHTML(snapshot.name) })}</p>`,
+            rejectClose: false
+        });
+        if (!confirmed) return;
+
+        try {
+            await this.snapshotManager.restoreSnapshot(snapshot.id, panel);
+            await this.hotbarApp?.refresh();
+            ui.notifications.info(game.i18n.format('bg3-hud-core.Snapshots.Restored', { name: snapshot.name }));
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to restore snapshot:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.Snapshots.RestoreFailed'));
+        }
+    }
+
+    /**
+     * Delete a snapshot after confirmation
+     * @param {string} snapshotId - Snapshot ID
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _deleteSnapshot(snapshotId) {
+        const snapshot = this.snapshotManager?.getSnapshot(snapshotId);
+        if (!snapshot) return;
+
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: game.i18n.localize('bg3-hud-core.Snapshots.DeleteTitle') },
+            content: `<p>${game.i18n.format('bg3-hud-core.Snapshots.DeleteConfirm', { name: foundry.utils.escapeHTML(snapshot.name) })}</p>`,
+            rejectClose: false
+        });
+        if (!confirmed) return;
+
+        await this.snapshotManager.deleteSnapshot(snapshotId);
+        this.render();
+    }
+}
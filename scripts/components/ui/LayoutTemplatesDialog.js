@@ -0,0 +1,322 @@
+/**
+ * Layout Templates Dialog
+ * GM browser for the world layout template library: save the current actor's
+ * layout as a template and apply a template to any number of actors
+ */
+
+import { BG3Dialog } from '../../api/BG3Dialog.js';
+
+export class LayoutTemplatesDialog extends BG3Dialog {
+    static DEFAULT_OPTIONS = {
+        ...super.DEFAULT_OPTIONS,
+        id: 'bg3-layout-templates',
+        classes: [...(super.DEFAULT_OPTIONS.classes || []), 'bg3-layout-templates'],
+        window: {
+            ...super.DEFAULT_OPTIONS.window,
+            title: 'bg3-hud-core.Templates.Title',
+            icon: 'fas fa-layer-group'
+        },
+        position: {
+            width: 640,
+            height: 540
+        }
+    };
+
+    /**
+     * @param {Object} options - Application options
+     * @param {BG3Hotbar} options.hotbarApp - Reference to main hotbar app
+     */
+    constructor(options = {}) {
+        super(options);
+        this.hotbarApp = options.hotbarApp;
+        this.templateManager = options.hotbarApp?.layoutTemplateManager;
+        this._selectedId = null;
+    }
+
+    /**
+     * Build the template list and the target actor checklist
+     * @returns {HTMLElement}
+     * @override
+     */
+    _buildBody() {
+        const templates = this.templateManager?.getTemplates() ?? [];
+        if (!templates.some(t => t.id === this._selectedId)) {
+            this._selectedId = templates[0]?.id ?? null;
+        }
+
+        const body = document.createElement('div');
+        body.className = 'bg3-templates';
+
+        const list = document.createElement('ol');
+        list.className = 'bg3-templates-list';
+        if (templates.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'bg3-templates-empty';
+            empty.textContent = game.i18n.localize('bg3-hud-core.Templates.Empty');
+            list.appendChild(empty);
+        }
+        for (const template of templates) {
+            list.appendChild(this._buildTemplateRow(template));
+        }
+        body.appendChild(list);
+
+        body.appendChild(this._buildTargetList());
+        return body;
+    }
+
+    /**
+     * Build one row in the template list
+     * @param {Object} template - Template data
+     * @returns {HTMLElement}
+     * @private
+     */
+    _buildTemplateRow(template) {
+        const row = document.createElement('li');
+        row.className = 'bg3-template-row';
+        row.classList.toggle('selected', template.id === this._selectedId);
+        row.dataset.templateId = template.id;
+
+        const text = document.createElement('div');
+        text.className = 'bg3-template-text';
+        const name = document.createElement('span');
+        name.className = 'bg3-template-name';
+        name.textContent = template.name;
+        const meta = document.createElement('span');
+        meta.className = 'bg3-template-meta';
+        meta.textContent = game.i18n.format('bg3-hud-core.Templates.Source', {
+            actor: template.sourceActorName ?? '',
+            date: new Date(template.timestamp).toLocaleDateString()
+        });
+        text.append(name, meta);
+        row.appendChild(text);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'bg3-template-delete icon';
+        remove.dataset.tooltip = game.i18n.localize('bg3-hud-core.Templates.Delete');
+        remove.innerHTML = '<i class="fas fa-trash"></i>';
+        row.appendChild(remove);
+
+        return row;
+    }
+
+    /**
+     * Build the actor checklist; selected tokens and the HUD actor are pre-checked
+     * @returns {HTMLElement}
+     * @private
+     */
+    _buildTargetList() {
+        const section = document.createElement('section');
+        section.className = 'bg3-template-targets';
+
+        const heading = document.createElement('h4');
+        heading.textContent = game.i18n.localize('bg3-hud-core.Templates.ApplyTo');
+        section.appendChild(heading);
+
+        const filter = document.createElement('input');
+        filter.type = 'search';
+        filter.name = 'actorFilter';
+        filter.placeholder = game.i18n.localize('bg3-hud-core.Templates.FilterActors');
+        section.appendChild(filter);
+
+        const checked = new Set(canvas?.tokens?.controlled?.map(t => t.actor?.uuid).filter(Boolean) ?? []);
+        if (this.hotbarApp?.currentActor) checked.add(this.hotbarApp.currentActor.uuid);
+
+        // Unlinked token actors only exist on their token, so list selected ones explicitly
+        const actors = new Map();
+        for (const token of canvas?.tokens?.controlled ?? []) {
+            if (token.actor) actors.set(token.actor.uuid, token.actor);
+        }
+        if (this.hotbarApp?.currentActor) {
+            actors.set(this.hotbarApp.currentActor.uuid, this.hotbarApp.currentActor);
+        }
+        const worldActors = game.actors.filter(a => a.isOwner).sort((a, b) => a.name.localeCompare(b.name));
+        for (const actor of worldActors) {
+            if (!actors.has(actor.uuid)) actors.set(actor.uuid, actor);
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'bg3-template-actor-list';
+        for (const [uuid, actor] of actors) {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.name = 'targetActor';
+            checkbox.value = uuid;
+            checkbox.checked = checked.has(uuid);
+            label.append(checkbox, document.createTextNode(` ${actor.name}`));
+            if (actor.isToken) {
+                const tag = document.createElement('span');
+                tag.className = 'bg3-template-token-tag';
+                tag.textContent = game.i18n.localize('bg3-hud-core.Templates.TokenTag');
+                label.appendChild(tag);
+            }
+            item.appendChild(label);
+            list.appendChild(item);
+        }
+        section.appendChild(list);
+
+        return section;
+    }
+
+    /**
+     * Footer: save the current layout as a template, apply the selected template
+     * @returns {string}
+     * @override
+     */
+    _buildFooter() {
+        const canCapture = !!this.hotbarApp?.currentActor;
+        return `
+            <div class="bg3-templates-save">
+                <input type="text" name="templateName" placeholder="${game.i18n.localize('bg3-hud-core.Templates.NamePlaceholder')}">
+                <button type="submit" ${canCapture ? '' : 'disabled'}>
+                    <i class="fas fa-floppy-disk"></i> ${game.i18n.localize('bg3-hud-core.Templates.SaveCurrent')}
+                </button>
+            </div>
+            <button type="button" class="bg3-template-apply" ${this._selectedId ? '' : 'disabled'}>
+                <i class="fas fa-wand-magic-sparkles"></i> ${game.i18n.localize('bg3-hud-core.Templates.Apply')}
+            </button>
+        `;
+    }
+
+    /**
+     * Bind list selection, delete, filter and apply handlers
+     * @param {object} context - Render context
+     * @param {object} options - Render options
+     * @override
+     */
+    _onRenderDialog(context, options) {
+        this.element.querySelectorAll('.bg3-template-row').forEach(row => {
+            row.addEventListener('click', (event) => {
+                if (event.target.closest('.bg3-template-delete')) return;
+                this._selectedId = row.dataset.templateId;
+                this.element.querySelectorAll('.bg3-template-row').forEach(r => {
+                    r.classList.toggle('selected', r === row);
+                });
+            });
+        });
+
+        this.element.querySelectorAll('.bg3-template-delete').forEach(button => {
+            button.addEventListener('click', async (event) => {
+                event.preventDefault();
+                await this._deleteTemplate(button.closest('.bg3-template-row')?.dataset.templateId);
+            });
+        });
+
+        this.element.querySelector('input[name="actorFilter"]')?.addEventListener('input', (event) => {
+            const query = event.target.value.trim().toLowerCase();
+            this.element.querySelectorAll('.bg3-template-actor-list li').forEach(item => {
+                item.hidden = query && !item.textContent.toLowerCase().includes(query);
+            });
+        });
+
+        this.element.querySelector('.bg3-template-apply')?.addEventListener('click', async (event) => {
+            event.preventDefault();
+            await this._applySelected();
+        });
+    }
+
+    /**
+     * Save the HUD actor's current layout as a template
+     * @param {SubmitEvent} event - Form submit event
+     * @returns {Promise<void>}
+     * @override
+     */
+    async _onSubmit(event) {
+        const actor = this.hotbarApp?.currentActor;
+        if (!actor) return;
+
+        const name = this.element.querySelector('input[name="templateName"]')?.value?.trim();
+        try {
+            const template = await this.templateManager.captureTemplate(name, actor);
+            this._selectedId = template.id;
+            ui.notifications.info(game.i18n.format('bg3-hud-core.Templates.Saved', { name: template.name }));
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to save layout template:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.Templates.SaveFailed'));
+        }
+        this.render();
+    }
+
+    /**
+     * Apply the selected template to all checked actors and report unmatched slots
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _applySelected() {
+        const template = this.templateManager?.getTemplate(this._selectedId);
+        if (!template) return;
+
+        const actors = [...this.element.querySelectorAll('input[name="targetActor"]:checked')]
+            .map(input => fromUuidSync(input.value))
+            .filter(Boolean);
+        if (actors.length === 0) {
+            ui.notifications.warn(game.i18n.localize('bg3-hud-core.Templates.NoTargets'));
+            return;
+        }
+
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: game.i18n.localize('bg3-hud-core.Templates.ApplyTitle') },
+            content: `<p>${game.i18n.format('bg3-hud-core.Templates.ApplyConfirm', { name: foundry.utils.escapeHTML(template.name), count: actors.length })}</p>`,
+            rejectClose: false
+        });
+        if (!confirmed) return;
+
+        const results = await this.templateManager.applyTemplate(template.id, actors);
+        await this._showApplyReport(template, results);
+    }
+
+    /**
+     * Summarize an apply run: failures and unmatched slots per actor
+     * @param {Object} template - Applied template
+     * @param {Array<Object>} results - Results from LayoutTemplateManager.applyTemplate
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _showApplyReport(template, results) {
+        const problems = results.filter(r => r.error || r.unmatched.length > 0);
+        if (problems.length === 0) {
+            ui.notifications.info(game.i18n.format('bg3-hud-core.Templates.Applied', { name: template.name, count: results.length }));
+            return;
+        }
+
+        const escape = foundry.utils.escapeHTML;
+        const sections = problems.map(({ actor, unmatched, error }) => {
+            if (error) {
+                return `<h4>${escape(actor.name)}</h4><p>${game.i18n.localize('bg3-hud-core.Templates.ApplyFailed')}</p>`;
+            }
+            const rows = unmatched.map(u => `<li>${escape(u.location)} [${u.slotKey}]: ${escape(u.name)}</li>`).join('');
+            return `<h4>${escape(actor.name)}</h4>
+                <p>${game.i18n.format('bg3-hud-core.Templates.Unmatched', { count: unmatched.length })}</p>
+                <ul>${rows}</ul>`;
+        }).join('');
+
+        await foundry.applications.api.DialogV2.prompt({
+            window: { title: game.i18n.localize('bg3-hud-core.Templates.ReportTitle') },
+            content: `<div class="bg3-template-report">${sections}</div>`,
+            rejectClose: false
+        });
+    }
+
+    /**
+     * Delete a template after confirmation
+     * @param {string} templateId - Template ID
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _deleteTemplate(templateId) {
+        const template = this.templateManager?.getTemplate(templateId);
+        if (!template) return;
+
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: game.i18n.localize('bg3-hud-core.Templates.DeleteTitle') },
+            content: `<p>${game.i18n.format('bg3-hud-core.Templates.DeleteConfirm', { name: foundry.utils.escapeHTML(template.name) })}</p>`,
+            rejectClose: false
+        });
+        if (!confirmed) return;
+
+        await this.templateManager.deleteTemplate(templateId);
+        this.render();
+    }
+}
@@ -0,0 +1,516 @@
+/**
+ * Layout Transfer Dialog
+ * Picks the panels and views to export (to a file or the clipboard) or import; imports
+ * also pick a merge mode and preview the current and resulting grids side by side
+ * (see LayoutTransferManager)
+ */
+
+import { BG3Dialog } from '../../api/BG3Dialog.js';
+import { LayoutTransferManager } from '../../managers/LayoutTransferManager.js';
+import { LayoutCodec } from '../../utils/LayoutCodec.js';
+
+export class LayoutTransferDialog extends BG3Dialog {
+    static DEFAULT_OPTIONS = {
+        ...super.DEFAULT_OPTIONS,
+        id: 'bg3-layout-transfer',
+        classes: [...(super.DEFAULT_OPTIONS.classes || []), 'bg3-layout-transfer'],
+        window: {
+            ...super.DEFAULT_OPTIONS.window,
+            title: 'bg3-hud-core.LayoutTransfer.ImportTitle',
+            icon: 'fas fa-right-left'
+        },
+        position: {
+            width: 640,
+            height: 600
+        }
+    };
+
+    /**
+     * @param {Object} options - Application options
+     * @param {BG3Hotbar} options.hotbarApp - Reference to main hotbar app
+     * @param {'export'|'import'} options.mode - Dialog mode
+     * @param {Object} [options.incoming] - Import data (result of LayoutTransferManager.readImport)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.hotbarApp = options.hotbarApp;
+        this.transferManager = options.hotbarApp?.layoutTransferManager;
+        this.mode = options.mode === 'import' ? 'import' : 'export';
+        this.incoming = options.incoming ?? null;
+
+        // Everything available starts picked
+        const { panels, views } = this._getSources();
+        this._panels = new Set(panels);
+        this._viewIds = new Set(views.map(v => v.id));
+        this._mergeMode = 'replace';
+        this._portable = true;
+    }
+
+    /**
+     * Read layout data (a file, a layout pack or pasted text) and open the import dialog for it
+     * Portable layouts are relinked to the current actor's items first.
+     * @param {BG3Hotbar} hotbarApp - Main hotbar app
+     * @param {Object|Array} data - Layout file data
+     * @param {Object} [options]
+     * @param {{panel: string, index: number}} [options.target] - Grid a single-grid layout is pasted into
+     * @returns {Promise<LayoutTransferDialog>}
+     * @throws {Error} If the data isn't a layout
+     */
+    static async openImport(hotbarApp, data, { target = null } = {}) {
+        const incoming = hotbarApp.layoutTransferManager.readImport(data);
+        if (incoming.grid && target) hotbarApp.layoutTransferManager.retargetGrid(incoming, target);
+        if (incoming.repaired > 0) {
+            ui.notifications.warn(game.i18n.format('bg3-hud-core.Notifications.ImportRepaired', { count: incoming.repaired }));
+        }
+        if (incoming.portable) await this._relinkPortableImport(hotbarApp, incoming);
+
+        const dialog = new this({ hotbarApp, mode: 'import', incoming });
+        dialog.render(true);
+        return dialog;
+    }
+
+    /**
+     * Read a layout from the clipboard and open the import dialog for it
+     * Browsers that don't allow reading the clipboard get a box to paste into instead.
+     * @param {BG3Hotbar} hotbarApp - Main hotbar app
+     * @param {Object} [options] - See openImport
+     * @returns {Promise<LayoutTransferDialog|null>} Null if nothing was pasted
+     */
+    static async openPaste(hotbarApp, options = {}) {
+        let text = await navigator.clipboard?.readText().catch(() => null);
+        if (!text || !(LayoutCodec.isEncoded(text) || /^\s*[[{]/.test(text))) {
+            text = await foundry.applications.api.DialogV2.prompt({
+                window: { title: game.i18n.localize('bg3-hud-core.LayoutTransfer.PasteTitle') },
+                content: `<p class="hint">${game.i18n.localize('bg3-hud-core.LayoutTransfer.PasteHint')}</p>
+                    <textarea name="layoutText" class="bg3-layout-transfer-paste" rows="6" autofocus></textarea>`,
+                ok: {
+                    label: game.i18n.localize('bg3-hud-core.LayoutTransfer.Paste'),
+                    callback: (event, button) => button.form.elements.layoutText.value
+                },
+                rejectClose: false
+            });
+        }
+        if (!text?.trim()) return null;
+
+        try {
+            return await this.openImport(hotbarApp, await LayoutCodec.decode(text), options);
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to paste layout:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.LayoutTransfer.PasteFailed'));
+            return null;
+        }
+    }
+
+    /**
+     * Point a portable import's item cells at the current actor's items
+     * Offers to create items that have a compendium source first, then reports the
+     * slots that still have no matching item.
+     * @param {BG3Hotbar} hotbarApp - Main hotbar app
+     * @param {Object} incoming - Result of LayoutTransferManager.readImport (mutated)
+     * @returns {Promise<void>}
+     * @private
+     */
+    static async _relinkPortableImport(hotbarApp, incoming) {
+        const manager = hotbarApp.layoutTransferManager;
+        const actor = hotbarApp.currentActor ?? null;
+        const escape = foundry.utils.escapeHTML;
+
+        const creatable = actor?.isOwner
+            ? manager.findMissingItems(incoming, actor).filter(entry => entry.sourceId)
+            : [];
+        if (creatable.length) {
+            const rows = creatable.map(entry => `<li><img src="${escape(entry.img || 'icons/svg/item-bag.svg')}" alt=""> ${escape(entry.name)}</li>`).join('');
+            const confirmed = await foundry.applications.api.DialogV2.confirm({
+                window: { title: game.i18n.localize('bg3-hud-core.LayoutTransfer.CreateItemsTitle') },
+                content: `<p>${game.i18n.format('bg3-hud-core.LayoutTransfer.CreateItemsConfirm', { count: creatable.length, name: escape(actor.name) })}</p>
+                    <ul class="bg3-layout-transfer-items">${rows}</ul>`,
+                rejectClose: false
+            });
+            if (confirmed) {
+                const failed = await manager.createMissingItems(actor, creatable);
+                if (failed.length) {
+                    ui.notifications.warn(game.i18n.format('bg3-hud-core.LayoutTransfer.CreateItemsFailed', { count: failed.length }));
+                }
+            }
+        }
+
+        const unmatched = manager.relinkImport(incoming, actor);
+        if (unmatched.length === 0) return;
+
+        const rows = unmatched.map(u => `<li>${escape(u.location)} [${u.slotKey}]: ${escape(u.name)}</li>`).join('');
+        await foundry.applications.api.DialogV2.prompt({
+            window: { title: game.i18n.localize('bg3-hud-core.LayoutTransfer.ReportTitle') },
+            content: `<div class="bg3-template-report">
+                <p>${game.i18n.format('bg3-hud-core.LayoutTransfer.Unmatched', { count: unmatched.length })}</p>
+                <ul>${rows}</ul>
+            </div>`,
+            rejectClose: false
+        });
+    }
+
+    /** @override */
+    get title() {
+        return game.i18n.localize(this.mode === 'import'
+            ? 'bg3-hud-core.LayoutTransfer.ImportTitle'
+            : 'bg3-hud-core.LayoutTransfer.ExportTitle');
+    }
+
+    /**
+     * Panels and views that can be picked: the file's for imports, the HUD's for exports
+     * Only panels the current HUD has are offered (the GM hotbar has no weapon sets,
+     * quick access or views).
+     * @returns {{panels: Array<string>, views: Array<Object>}}
+     * @private
+     */
+    _getSources() {
+        const current = this.transferManager?.getCurrentState() ?? {};
+        const panels = LayoutTransferManager.PANELS.filter(panel => current[panel] !== undefined);
+        if (this.mode === 'import') {
+            return {
+                panels: panels.filter(panel => this.incoming?.panels.includes(panel)),
+                views: current.views ? (this.incoming?.views ?? []) : []
+            };
+        }
+        return { panels, views: current.views?.list ?? [] };
+    }
+
+    /**
+     * Current selection
+     * @returns {{panels: Array<string>, viewIds: Array<string>, mode: string, portable: boolean}}
+     * @private
+     */
+    _getSelection() {
+        return { panels: [...this._panels], viewIds: [...this._viewIds], mode: this._mergeMode, portable: this._portable };
+    }
+
+    /**
+     * Build the panel/view pickers, and for imports the merge modes and preview
+     * @returns {HTMLElement}
+     * @override
+     */
+    _buildBody() {
+        const { panels, views } = this._getSources();
+
+        const body = document.createElement('div');
+        body.className = 'bg3-layout-transfer-body';
+
+        if (this.mode === 'import' && this.incoming?.grid) {
+            const panel = game.i18n.localize(`bg3-hud-core.Snapshots.Panel${this.incoming.grid.panel.charAt(0).toUpperCase()}${this.incoming.grid.panel.slice(1)}`);
+            const target = document.createElement('p');
+            target.className = 'hint';
+            target.textContent = game.i18n.format('bg3-hud-core.LayoutTransfer.GridTarget', { panel, number: this.incoming.grid.index + 1 });
+            body.appendChild(target);
+        }
+
+        if (this.mode === 'import' && this.incoming?.meta?.actorName) {
+            const source = document.createElement('p');
+            source.className = 'hint';
+            source.textContent = game.i18n.format('bg3-hud-core.LayoutTransfer.Source', { name: this.incoming.meta.actorName });
+            body.appendChild(source);
+        }
+
+        const pickers = document.createElement('div');
+        pickers.className = 'bg3-layout-transfer-pickers';
+        pickers.appendChild(this._buildFieldset('bg3-hud-core.LayoutTransfer.Panels', panels.map(panel => ({
+            name: 'panel',
+            value: panel,
+            label: game.i18n.localize(`bg3-hud-core.Snapshots.Panel${panel.charAt(0).toUpperCase()}${panel.slice(1)}`),
+            checked: this._panels.has(panel)
+        }))));
+        if (views.length) {
+            pickers.appendChild(this._buildFieldset('bg3-hud-core.LayoutTransfer.Views', views.map(view => ({
+                name: 'view',
+                value: view.id,
+                label: view.name,
+                icon: `fas ${view.icon || 'fa-bookmark'}`,
+                checked: this._viewIds.has(view.id)
+            }))));
+        }
+        body.appendChild(pickers);
+
+        if (this.mode === 'export') {
+            const portable = document.createElement('label');
+            portable.className = 'bg3-layout-transfer-option';
+            portable.innerHTML = `<input type="checkbox" name="portable" ${this._portable ? 'checked' : ''}>
+                <span>${game.i18n.localize('bg3-hud-core.LayoutTransfer.Portable')}
+                <span class="hint">${game.i18n.localize('bg3-hud-core.LayoutTransfer.PortableHint')}</span></span>`;
+            body.appendChild(portable);
+        }
+
+        if (this.mode === 'import') {
+            body.appendChild(this._buildModeFieldset(views.length > 0));
+            body.appendChild(this._buildPreview());
+        }
+
+        return body;
+    }
+
+    /**
+     * Fieldset of checkboxes
+     * @param {string} legend - Localization key
+     * @param {Array<Object>} options - {name, value, label, icon?, checked}
+     * @returns {HTMLElement}
+     * @private
+     */
+    _buildFieldset(legend, options) {
+        const fieldset = document.createElement('fieldset');
+        const title = document.createElement('legend');
+        title.textContent = game.i18n.localize(legend);
+        fieldset.appendChild(title);
+
+        for (const option of options) {
+            const label = document.createElement('label');
+            label.className = 'bg3-layout-transfer-option';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.name = option.name;
+            input.value = option.value;
+            input.checked = option.checked;
+            label.appendChild(input);
+            if (option.icon) {
+                const icon = document.createElement('i');
+                icon.className = option.icon;
+                label.appendChild(icon);
+            }
+            label.append(option.label);
+            fieldset.appendChild(label);
+        }
+        return fieldset;
+    }
+
+    /**
+     * Merge mode radios
+     * @param {boolean} hasViews - Whether views exist (adding a view needs them)
+     * @returns {HTMLElement}
+     * @private
+     */
+    _buildModeFieldset(hasViews) {
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'bg3-layout-transfer-modes';
+        const legend = document.createElement('legend');
+        legend.textContent = game.i18n.localize('bg3-hud-core.LayoutTransfer.Mode');
+        fieldset.appendChild(legend);
+
+        const modes = LayoutTransferManager.MODES.filter(mode => hasViews || mode !== 'newView');
+        for (const mode of modes) {
+            const label = document.createElement('label');
+            label.className = 'bg3-layout-transfer-option';
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = 'mode';
+            input.value = mode;
+            input.checked = this._mergeMode === mode;
+            const text = document.createElement('span');
+            text.innerHTML = `<strong>${game.i18n.localize(`bg3-hud-core.LayoutTransfer.Modes.${mode}`)}</strong>
+                <span class="hint">${game.i18n.localize(`bg3-hud-core.LayoutTransfer.ModeHints.${mode}`)}</span>`;
+            label.append(input, text);
+            fieldset.appendChild(label);
+        }
+        return fieldset;
+    }
+
+    /**
+     * Side-by-side preview of every grid the import would change
+     * @returns {HTMLElement}
+     * @private
+     */
+    _buildPreview() {
+        const preview = document.createElement('section');
+        preview.className = 'bg3-layout-transfer-preview';
+
+        const heading = document.createElement('h4');
+        heading.textContent = game.i18n.localize('bg3-hud-core.LayoutTransfer.Preview');
+        preview.appendChild(heading);
+
+        const plan = this._plan = this.transferManager.planImport(this.incoming, this._getSelection());
+        const changes = this._changes = this.transferManager.diff(plan.before, plan.after);
+
+        if (plan.skipped.length) {
+            const warning = document.createElement('p');
+            warning.className = 'bg3-layout-transfer-warning';
+            warning.textContent = game.i18n.format('bg3-hud-core.LayoutTransfer.ViewsSkipped', {
+                count: plan.skipped.length,
+                names: plan.skipped.join(', ')
+            });
+            preview.appendChild(warning);
+        }
+
+        if (changes.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'hint';
+            empty.textContent = game.i18n.localize('bg3-hud-core.LayoutTransfer.NoChanges');
+            preview.appendChild(empty);
+            return preview;
+        }
+
+        const columns = document.createElement('div');
+        columns.className = 'bg3-layout-transfer-row bg3-layout-transfer-columns';
+        for (const key of ['Current', 'Incoming']) {
+            const column = document.createElement('span');
+            column.textContent = game.i18n.localize(`bg3-hud-core.LayoutTransfer.${key}`);
+            columns.appendChild(column);
+        }
+        preview.appendChild(columns);
+
+        for (const change of changes) {
+            const label = document.createElement('div');
+            label.className = 'bg3-layout-transfer-label';
+            const panel = game.i18n.localize(`bg3-hud-core.Snapshots.Panel${change.panel.charAt(0).toUpperCase()}${change.panel.slice(1)}`);
+            label.textContent = change.view
+                ? game.i18n.format('bg3-hud-core.LayoutTransfer.ViewGrid', { view: change.view.name, panel, number: change.index + 1 })
+                : `${panel} ${change.index + 1}`;
+            preview.appendChild(label);
+
+            const row = document.createElement('div');
+            row.className = 'bg3-layout-transfer-row';
+            row.append(
+                this._buildGrid(change.before, change.changed, 'removed'),
+                this._buildGrid(change.after, change.changed, 'added')
+            );
+            preview.appendChild(row);
+        }
+
+        return preview;
+    }
+
+    /**
+     * Render a miniature grid with the changed slots marked
+     * @param {Object|null} grid - Grid data {rows, cols, items}; null for a grid that doesn't exist yet
+     * @param {Set<string>} changed - Changed slot keys
+     * @param {string} side - Class for changed slots: 'removed' (current) or 'added' (incoming)
+     * @returns {HTMLElement}
+     * @private
+     */
+    _buildGrid(grid, changed, side) {
+        const gridEl = document.createElement('div');
+        gridEl.className = 'bg3-layout-transfer-grid';
+        if (!grid?.cols) {
+            gridEl.classList.add('empty');
+            gridEl.textContent = game.i18n.localize('bg3-hud-core.LayoutTransfer.NewGrid');
+            return gridEl;
+        }
+        gridEl.style.gridTemplateColumns = `repeat(${grid.cols}, var(--bg3-transfer-cell-size))`;
+
+        for (let r = 0; r < grid.rows; r++) {
+            for (let c = 0; c < grid.cols; c++) {
+                const slotKey = `${c}-${r}`;
+                const cell = document.createElement('div');
+                cell.className = 'bg3-layout-transfer-cell';
+                if (changed.has(slotKey)) cell.classList.add('changed', side);
+
+                const data = grid.items?.[slotKey];
+                if (data?.img) {
+                    const img = document.createElement('img');
+                    img.src = data.img;
+                    img.alt = data.name ?? '';
+                    cell.appendChild(img);
+                    cell.dataset.tooltip = data.name ?? '';
+                }
+                gridEl.appendChild(cell);
+            }
+        }
+
+        return gridEl;
+    }
+
+    /**
+     * Footer: export or import
+     * @returns {string}
+     * @override
+     */
+    _buildFooter() {
+        const nothingPicked = this._panels.size === 0 && this._viewIds.size === 0;
+        if (this.mode === 'export') {
+            return `
+                <button type="submit" name="action" value="copy" ${nothingPicked ? 'disabled' : ''}>
+                    <i class="fas fa-copy"></i> ${game.i18n.localize('bg3-hud-core.LayoutTransfer.Copy')}
+                </button>
+                <button type="submit" name="action" value="export" ${nothingPicked ? 'disabled' : ''}>
+                    <i class="fas fa-file-export"></i> ${game.i18n.localize('bg3-hud-core.LayoutTransfer.Export')}
+                </button>
+            `;
+        }
+        const noChanges = nothingPicked || !this._changes?.length;
+        return `
+            <button type="submit" ${noChanges ? 'disabled' : ''}>
+                <i class="fas fa-file-import"></i> ${game.i18n.localize('bg3-hud-core.LayoutTransfer.Import')}
+            </button>
+        `;
+    }
+
+    /**
+     * Re-render with the new selection whenever a checkbox or mode changes
+     * @param {object} context - Render context
+     * @param {object} options - Render options
+     * @override
+     */
+    _onRenderDialog(context, options) {
+        this.element.querySelector('form')?.addEventListener('change', (event) => {
+            const input = event.target;
+            if (input.name === 'panel' || input.name === 'view') {
+                const set = input.name === 'panel' ? this._panels : this._viewIds;
+                if (input.checked) set.add(input.value);
+                else set.delete(input.value);
+            } else if (input.name === 'mode') {
+                this._mergeMode = input.value;
+            } else if (input.name === 'portable') {
+                this._portable = input.checked;
+                return;
+            } else {
+                return;
+            }
+            this.render();
+        });
+    }
+
+    /**
+     * Export or copy the selection, or import it after taking a snapshot
+     * @param {SubmitEvent} event - Form submit event
+     * @returns {Promise<void>}
+     * @override
+     */
+    async _onSubmit(event) {
+        const selection = this._getSelection();
+
+        if (this.mode === 'export' && event.submitter?.value === 'copy') {
+            try {
+                await this.transferManager.copyLayout(selection);
+                ui.notifications.info(game.i18n.localize('bg3-hud-core.LayoutTransfer.Copied'));
+            } catch (error) {
+                console.error('[bg3-hud-core] Failed to copy layout:', error);
+                ui.notifications.error(game.i18n.localize('bg3-hud-core.LayoutTransfer.CopyFailed'));
+                return;
+            }
+            this.close();
+            return;
+        }
+
+        if (this.mode === 'export') {
+            this.transferManager.exportLayout(selection);
+            this.close();
+            return;
+        }
+
+        try {
+            await this.hotbarApp.snapshotManager?.createSnapshot(
+                game.i18n.localize('bg3-hud-core.Snapshots.BeforeImport'),
+                { automatic: true }
+            );
+            const { skipped } = await this.transferManager.importLayout(this.incoming, selection);
+            await this.hotbarApp.refresh();
+
+            ui.notifications.info(game.i18n.localize('bg3-hud-core.LayoutTransfer.Imported'));
+            if (skipped.length) {
+                ui.notifications.warn(game.i18n.format('bg3-hud-core.LayoutTransfer.ViewsSkipped', {
+                    count: skipped.length,
+                    names: skipped.join(', ')
+                }));
+            }
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to import layout:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.Notifications.ImportLayoutFailed'));
+            return;
+        }
+        this.close();
+    }
+}
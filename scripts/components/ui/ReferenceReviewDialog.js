@@ -0,0 +1,193 @@
+/**
+ * Reference Review Dialog
+ * Lists HUD cells whose UUID is broken or points at another actor's item, and lets
+ * the user relink each one to an item on the current actor, remove it, or leave it
+ */
+
+import { BG3Dialog } from '../../api/BG3Dialog.js';
+
+export class ReferenceReviewDialog extends BG3Dialog {
+    static DEFAULT_OPTIONS = {
+        ...super.DEFAULT_OPTIONS,
+        id: 'bg3-reference-review',
+        classes: [...(super.DEFAULT_OPTIONS.classes || []), 'bg3-reference-review'],
+        window: {
+            ...super.DEFAULT_OPTIONS.window,
+            title: 'bg3-hud-core.References.Title',
+            icon: 'fas fa-link-slash'
+        },
+        position: {
+            width: 680,
+            height: 480
+        }
+    };
+
+    /**
+     * @param {Object} options - Application options
+     * @param {BG3Hotbar} options.hotbarApp - Reference to main hotbar app
+     */
+    constructor(options = {}) {
+        super(options);
+        this.hotbarApp = options.hotbarApp;
+        this.scanner = options.hotbarApp?.referenceScanner;
+        this._issues = [];
+    }
+
+    /**
+     * Rescan before every render so the list reflects the saved state
+     * @param {object} context - Render context
+     * @param {object} options - Render options
+     * @returns {Promise<HTMLElement>}
+     * @override
+     */
+    async _renderHTML(context, options) {
+        this._issues = await this.scanner?.scan() ?? [];
+        return super._renderHTML(context, options);
+    }
+
+    /**
+     * Build the issue table
+     * @returns {HTMLElement}
+     * @override
+     */
+    _buildBody() {
+        const body = document.createElement('div');
+        body.className = 'bg3-references';
+
+        if (this._issues.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'bg3-references-empty';
+            empty.textContent = game.i18n.localize('bg3-hud-core.References.NoIssues');
+            body.appendChild(empty);
+            return body;
+        }
+
+        const summary = document.createElement('p');
+        summary.textContent = game.i18n.format('bg3-hud-core.References.Summary', { count: this._issues.length });
+        body.appendChild(summary);
+
+        const itemOptions = this._getItemOptions();
+        const list = document.createElement('ul');
+        list.className = 'bg3-references-list';
+        for (const issue of this._issues) {
+            list.appendChild(this._buildIssueRow(issue, itemOptions));
+        }
+        body.appendChild(list);
+
+        return body;
+    }
+
+    /**
+     * Build one issue row
+     * @param {Object} issue - Issue from ReferenceScanner.scan
+     * @param {Array<HTMLOptionElement>} itemOptions - Options for every item on the actor
+     * @returns {HTMLElement}
+     * @private
+     */
+    _buildIssueRow(issue, itemOptions) {
+        const row = document.createElement('li');
+        row.className = 'bg3-reference-row';
+
+        const img = document.createElement('img');
+        img.src = issue.cell.img || 'icons/svg/hazard.svg';
+        img.alt = '';
+        row.appendChild(img);
+
+        const text = document.createElement('div');
+        text.className = 'bg3-reference-text';
+        const name = document.createElement('span');
+        name.className = 'bg3-reference-name';
+        name.textContent = issue.cell.name || issue.cell.uuid;
+        const meta = document.createElement('span');
+        meta.className = 'bg3-reference-meta';
+        meta.textContent = `${issue.location} [${issue.slotKey}] · ${game.i18n.localize(`bg3-hud-core.References.Reason.${issue.reason}`)}`;
+        meta.dataset.tooltip = issue.cell.uuid;
+        text.append(name, meta);
+        row.appendChild(text);
+
+        const select = document.createElement('select');
+        select.name = issue.id;
+        select.add(new Option(game.i18n.localize('bg3-hud-core.References.Leave'), 'leave'));
+        select.add(new Option(game.i18n.localize('bg3-hud-core.References.Remove'), 'remove'));
+        if (issue.cell.type !== 'Macro') {
+            const group = document.createElement('optgroup');
+            group.label = game.i18n.localize('bg3-hud-core.References.RelinkTo');
+            for (const option of itemOptions) {
+                group.appendChild(option.cloneNode(true));
+            }
+            select.appendChild(group);
+        }
+        select.value = issue.candidate ? issue.candidate.uuid : 'leave';
+        row.appendChild(select);
+
+        return row;
+    }
+
+    /**
+     * One option per item on the current actor, sorted by name
+     * @returns {Array<HTMLOptionElement>}
+     * @private
+     */
+    _getItemOptions() {
+        const items = [...(this.hotbarApp?.currentActor?.items ?? [])]
+            .sort((a, b) => a.name.localeCompare(b.name));
+        return items.map(item => new Option(`${item.name} (${item.type})`, item.uuid));
+    }
+
+    /**
+     * Footer: rescan, apply choices
+     * @returns {string}
+     * @override
+     */
+    _buildFooter() {
+        return `
+            <button type="button" class="bg3-references-rescan">
+                <i class="fas fa-rotate"></i> ${game.i18n.localize('bg3-hud-core.References.Rescan')}
+            </button>
+            <button type="submit" ${this._issues.length ? '' : 'disabled'}>
+                <i class="fas fa-link"></i> ${game.i18n.localize('bg3-hud-core.References.Apply')}
+            </button>
+        `;
+    }
+
+    /**
+     * Bind the rescan button
+     * @param {object} context - Render context
+     * @param {object} options - Render options
+     * @override
+     */
+    _onRenderDialog(context, options) {
+        this.element.querySelector('.bg3-references-rescan')?.addEventListener('click', (event) => {
+            event.preventDefault();
+            this.render();
+        });
+    }
+
+    /**
+     * Apply the chosen action for every issue
+     * @param {SubmitEvent} event - Form submit event
+     * @returns {Promise<void>}
+     * @override
+     */
+    async _onSubmit(event) {
+        const resolutions = [];
+        for (const issue of this._issues) {
+            const value = this.element.querySelector(`select[name="${CSS.escape(issue.id)}"]`)?.value ?? 'leave';
+            if (value === 'leave') continue;
+            resolutions.push(value === 'remove'
+                ? { issue, action: 'remove' }
+                : { issue, action: 'relink', itemUuid: value });
+        }
+        if (resolutions.length === 0) return;
+
+        try {
+            const { relinked, removed } = await this.scanner.resolve(resolutions);
+            await this.hotbarApp?.refresh();
+            ui.notifications.info(game.i18n.format('bg3-hud-core.References.Applied', { relinked, removed }));
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to repair HUD references:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.References.ApplyFailed'));
+        }
+        this.render();
+    }
+}
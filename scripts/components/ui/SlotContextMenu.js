@@ -1,4 +1,7 @@
 import { ContextMenu } from './ContextMenu.js';
+import { LayoutTransferDialog } from './LayoutTransferDialog.js';
+import { CellOverridesDialog } from './CellOverridesDialog.js';
+import { LayoutTransferManager } from '../../managers/LayoutTransferManager.js';
 
 /**
  * Slot Context Menu Builder
@@ -60,6 +63,35 @@ export class SlotContextMenu {
     async _buildMenuItems(cell, container) {
         const menuItems = [];
 
+        // SECTION 0: Bulk actions on a multi-cell selection that includes this cell
+        const selection = this.interactionCoordinator?.selection;
+        if (selection?.has(cell) && selection.size > 1) {
+            const cells = selection.getCells();
+            const count = cells.filter(c => c.data).length;
+            menuItems.push({
+                label: game.i18n.format('bg3-hud-core.ContextMenu.CopySelected', { count }),
+                icon: 'fas fa-copy',
+                disabled: count === 0,
+                onClick: async () => {
+                    await this._copySelected(cells, container);
+                }
+            });
+            menuItems.push({
+                label: game.i18n.format('bg3-hud-core.ContextMenu.RemoveSelected', { count }),
+                icon: 'fas fa-trash',
+                disabled: count === 0,
+                onClick: async () => {
+                    await this.interactionCoordinator.removeCells(cells);
+                }
+            });
+            menuItems.push({
+                label: game.i18n.localize('bg3-hud-core.ContextMenu.ClearSelection'),
+                icon: 'fas fa-object-ungroup',
+                onClick: () => selection.clear()
+            });
+            return menuItems;
+        }
+
         // SECTION 1: Cell-level actions (if cell has data)
         if (cell.data) {
             // Adapter-provided cell menu items first (so they appear at the top)
@@ -85,6 +117,14 @@ export class SlotContextMenu {
                 });
             }
 
+            menuItems.push({
+                label: game.i18n.localize('bg3-hud-core.ContextMenu.CustomizeCell'),
+                icon: 'fas fa-paintbrush',
+                onClick: () => {
+                    new CellOverridesDialog({ hotbarApp: this.interactionCoordinator.hotbarApp, cell }).render(true);
+                }
+            });
+
             menuItems.push({
                 label: game.i18n.localize('bg3-hud-core.ContextMenu.RemoveItem'),
                 icon: 'fas fa-trash',
@@ -97,6 +137,18 @@ export class SlotContextMenu {
             // (already handled above)
         }
 
+        // Pin the slot (layout grids only; container popovers have no pins)
+        if (container && LayoutTransferManager.CONTAINER_PANELS[container.containerType]) {
+            menuItems.push({
+                label: game.i18n.localize(cell.pinned ? 'bg3-hud-core.ContextMenu.UnpinSlot' : 'bg3-hud-core.ContextMenu.PinSlot'),
+                icon: cell.pinned ? 'fas fa-lock-open' : 'fas fa-lock',
+                title: game.i18n.localize('bg3-hud-core.ContextMenu.PinSlotHint'),
+                onClick: async () => {
+                    await this.interactionCoordinator.setCellPinned(cell, !cell.pinned);
+                }
+            });
+        }
+
         // SECTION 2: Container-level actions (always shown if we have a container)
         if (container) {
             // Add separator if we already have cell-level items
@@ -132,6 +184,27 @@ export class SlotContextMenu {
                 }
             });
 
+            // Copy/paste the grid through the clipboard (not for container popovers)
+            const panel = LayoutTransferManager.CONTAINER_PANELS[container.containerType];
+            const hotbarApp = this.interactionCoordinator?.hotbarApp;
+            if (panel && hotbarApp?.layoutTransferManager) {
+                const grid = { panel, index: container.containerIndex ?? 0 };
+                menuItems.push({
+                    label: game.i18n.localize('bg3-hud-core.ContextMenu.CopyContainer'),
+                    icon: 'fas fa-clipboard',
+                    onClick: async () => {
+                        await this._copyGrid(hotbarApp, grid);
+                    }
+                });
+                menuItems.push({
+                    label: game.i18n.localize('bg3-hud-core.ContextMenu.PasteContainer'),
+                    icon: 'fas fa-paste',
+                    onClick: async () => {
+                        await LayoutTransferDialog.openPaste(hotbarApp, { target: grid });
+                    }
+                });
+            }
+
             // Auto-populate (if adapter supports it)
             // Note: This is for player characters. NPCs auto-populate on token creation.
             if (this.adapter && this.adapter.autoPopulate) {
@@ -156,5 +229,61 @@ export class SlotContextMenu {
 
         return menuItems;
     }
+
+    /**
+     * Pick a grid (here or in another view) and copy the selected items into it
+     * @param {Array<GridCell>} cells - Selected cells
+     * @param {GridContainer} container - Grid they are in
+     * @private
+     */
+    async _copySelected(cells, container) {
+        const targets = this.interactionCoordinator.getCopyTargets(container);
+        if (targets.length === 0) {
+            ui.notifications.warn(game.i18n.localize('bg3-hud-core.ContextMenu.NoCopyTargets'));
+            return;
+        }
+
+        const escape = foundry.utils.escapeHTML;
+        const options = targets.map((target, index) => `<option value="${index}">${escape(target.label)}</option>`).join('');
+        const choice = await foundry.applications.api.DialogV2.prompt({
+            window: { title: game.i18n.localize('bg3-hud-core.ContextMenu.CopySelectedTitle') },
+            content: `<p class="hint">${game.i18n.localize('bg3-hud-core.ContextMenu.CopySelectedHint')}</p>
+                <div class="form-group"><select name="target">${options}</select></div>`,
+            ok: {
+                label: game.i18n.localize('bg3-hud-core.ContextMenu.CopySelectedConfirm'),
+                callback: (event, button) => button.form.elements.target.value
+            },
+            rejectClose: false
+        });
+        const target = targets[Number(choice)];
+        if (!choice || !target) return;
+
+        try {
+            const { copied, skipped } = await this.interactionCoordinator.copyCells(cells, target);
+            ui.notifications.info(game.i18n.format('bg3-hud-core.ContextMenu.CopiedSelected', { count: copied, target: target.label }));
+            if (skipped > 0) {
+                ui.notifications.warn(game.i18n.format('bg3-hud-core.ContextMenu.CopySkipped', { count: skipped }));
+            }
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to copy selected cells:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.ContextMenu.CopySelectedFailed'));
+        }
+    }
+
+    /**
+     * Copy one grid to the clipboard as a portable single-grid layout
+     * @param {BG3Hotbar} hotbarApp - Main hotbar app
+     * @param {{panel: string, index: number}} grid - Grid to copy
+     * @private
+     */
+    async _copyGrid(hotbarApp, grid) {
+        try {
+            await hotbarApp.layoutTransferManager.copyLayout({ grid, portable: true });
+            ui.notifications.info(game.i18n.localize('bg3-hud-core.LayoutTransfer.Copied'));
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to copy grid:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.LayoutTransfer.CopyFailed'));
+        }
+    }
 }
 
@@ -0,0 +1,149 @@
+/**
+ * State Diagnostics Dialog
+ * Shows what schema validation repaired or dropped in the HUD state, lets the
+ * user re-check the stored state and save the repaired copy
+ */
+
+import { BG3Dialog } from '../../api/BG3Dialog.js';
+
+export class StateDiagnosticsDialog extends BG3Dialog {
+    static DEFAULT_OPTIONS = {
+        ...super.DEFAULT_OPTIONS,
+        id: 'bg3-state-diagnostics',
+        classes: [...(super.DEFAULT_OPTIONS.classes || []), 'bg3-state-diagnostics'],
+        window: {
+            ...super.DEFAULT_OPTIONS.window,
+            title: 'bg3-hud-core.Diagnostics.Title',
+            icon: 'fas fa-stethoscope'
+        },
+        position: {
+            width: 620,
+            height: 460
+        }
+    };
+
+    /**
+     * @param {Object} options - Application options
+     * @param {BG3Hotbar} options.hotbarApp - Reference to main hotbar app
+     */
+    constructor(options = {}) {
+        super(options);
+        this.hotbarApp = options.hotbarApp;
+        this.persistenceManager = options.hotbarApp?.persistenceManager;
+    }
+
+    /**
+     * Build the report summary and table
+     * @returns {HTMLElement}
+     * @override
+     */
+    _buildBody() {
+        const report = this.persistenceManager?.lastValidationReport;
+        const body = document.createElement('div');
+        body.className = 'bg3-diagnostics';
+
+        const summary = document.createElement('p');
+        summary.className = 'bg3-diagnostics-summary';
+        body.appendChild(summary);
+
+        if (!report) {
+            summary.textContent = game.i18n.localize('bg3-hud-core.Diagnostics.NoReport');
+            return body;
+        }
+
+        const data = {
+            count: report.entries.length,
+            source: game.i18n.localize(`bg3-hud-core.Diagnostics.Source.${report.source}`),
+            date: new Date(report.timestamp).toLocaleString(),
+            actor: report.actorName ?? game.i18n.localize('bg3-hud-core.Diagnostics.GMHotbar')
+        };
+        summary.textContent = game.i18n.format(report.entries.length
+            ? 'bg3-hud-core.Diagnostics.Summary'
+            : 'bg3-hud-core.Diagnostics.NoIssues', data);
+
+        if (report.entries.length === 0) return body;
+
+        const table = document.createElement('table');
+        table.className = 'bg3-diagnostics-table';
+        const head = table.createTHead().insertRow();
+        for (const key of ['Path', 'Action', 'Reason', 'Value']) {
+            const th = document.createElement('th');
+            th.textContent = game.i18n.localize(`bg3-hud-core.Diagnostics.${key}`);
+            head.appendChild(th);
+        }
+
+        const rows = table.createTBody();
+        for (const entry of report.entries) {
+            const row = rows.insertRow();
+            row.classList.add(`bg3-diagnostics-${entry.action}`);
+            const actionKey = entry.action === 'dropped' ? 'Dropped' : 'Repaired';
+            const cells = [
+                entry.path,
+                game.i18n.localize(`bg3-hud-core.Diagnostics.${actionKey}`),
+                game.i18n.localize(`bg3-hud-core.Diagnostics.Reasons.${entry.reason}`),
+                entry.value ?? ''
+            ];
+            for (const text of cells) {
+                row.insertCell().textContent = text;
+            }
+        }
+        body.appendChild(table);
+
+        return body;
+    }
+
+    /**
+     * Footer: re-check the stored state, save the repaired state
+     * @returns {string}
+     * @override
+     */
+    _buildFooter() {
+        const report = this.persistenceManager?.lastValidationReport;
+        const canSave = report?.entries?.length > 0 && report.source !== 'import';
+
+        return `
+            <button type="button" class="bg3-diagnostics-check">
+                <i class="fas fa-magnifying-glass"></i> ${game.i18n.localize('bg3-hud-core.Diagnostics.CheckAgain')}
+            </button>
+            <button type="submit" ${canSave ? '' : 'disabled'}>
+                <i class="fas fa-wrench"></i> ${game.i18n.localize('bg3-hud-core.Diagnostics.SaveRepaired')}
+            </button>
+        `;
+    }
+
+    /**
+     * Bind the re-check button
+     * @param {object} context - Render context
+     * @param {object} options - Render options
+     * @override
+     */
+    _onRenderDialog(context, options) {
+        this.element.querySelector('.bg3-diagnostics-check')?.addEventListener('click', (event) => {
+            event.preventDefault();
+            this.persistenceManager?.checkStoredState();
+            this.render();
+        });
+    }
+
+    /**
+     * Save the (already repaired) in-memory state over the stored one
+     * @param {SubmitEvent} event - Form submit event
+     * @returns {Promise<void>}
+     * @override
+     */
+    async _onSubmit(event) {
+        const pm = this.persistenceManager;
+        if (!pm) return;
+
+        try {
+            const state = pm.getState() ?? await pm.loadState();
+            await pm.saveState(state);
+            pm.checkStoredState();
+            ui.notifications.info(game.i18n.localize('bg3-hud-core.Diagnostics.Saved'));
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to save repaired HUD state:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.Diagnostics.SaveFailed'));
+        }
+        this.render();
+    }
+}
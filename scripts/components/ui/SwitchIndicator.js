@@ -0,0 +1,66 @@
+import { BG3Component } from '../BG3Component.js';
+
+/**
+ * Switch Indicator Component
+ * Brief on-screen label shown when a keybinding switches the view or weapon set
+ */
+export class SwitchIndicator extends BG3Component {
+    /**
+     * Create a new switch indicator
+     * @param {Object} options - Indicator configuration
+     * @param {number} [options.duration=1200] - How long the label stays visible (ms)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.duration = options.duration ?? 1200;
+        this._hideTimer = null;
+    }
+
+    /**
+     * Render the (hidden) indicator element
+     * @returns {Promise<HTMLElement>}
+     */
+    async render() {
+        if (!this.element) {
+            this.element = this.createElement('div', ['bg3-switch-indicator']);
+            this.element.setAttribute('role', 'status');
+            this.element.setAttribute('aria-live', 'polite');
+        }
+        return this.element;
+    }
+
+    /**
+     * Show a label, replacing the one currently shown
+     * @param {string} label - Text to show
+     * @param {string} [icon] - Font Awesome classes (e.g. "fas fa-bookmark")
+     */
+    show(label, icon = null) {
+        if (!this.element) return;
+
+        this.element.innerHTML = '';
+        if (icon) {
+            this.element.appendChild(this.createElement('i', icon.split(' ')));
+        }
+        const text = this.createElement('span');
+        text.textContent = label;
+        this.element.appendChild(text);
+
+        // Restart the fade when switching again before it ends
+        this.element.classList.remove('visible');
+        void this.element.offsetWidth;
+        this.element.classList.add('visible');
+
+        clearTimeout(this._hideTimer);
+        this._hideTimer = setTimeout(() => {
+            this.element?.classList.remove('visible');
+        }, this.duration);
+    }
+
+    /**
+     * Destroy the indicator
+     */
+    destroy() {
+        clearTimeout(this._hideTimer);
+        super.destroy();
+    }
+}
@@ -0,0 +1,284 @@
+/**
+ * View Rules Dialog
+ * Edits the activation rules of one hotbar view (see ViewRuleManager)
+ */
+
+import { BG3Dialog } from '../../api/BG3Dialog.js';
+import { ViewRuleManager } from '../../managers/ViewRuleManager.js';
+
+export class ViewRulesDialog extends BG3Dialog {
+    static DEFAULT_OPTIONS = {
+        ...super.DEFAULT_OPTIONS,
+        id: 'bg3-view-rules',
+        classes: [...(super.DEFAULT_OPTIONS.classes || []), 'bg3-view-rules'],
+        window: {
+            ...super.DEFAULT_OPTIONS.window,
+            title: 'bg3-hud-core.ViewRules.Title',
+            icon: 'fas fa-wand-magic-sparkles'
+        },
+        position: {
+            width: 560,
+            height: 420
+        }
+    };
+
+    /**
+     * @param {Object} options - Application options
+     * @param {BG3Hotbar} options.hotbarApp - Reference to main hotbar app
+     * @param {Object} options.view - View being edited
+     */
+    constructor(options = {}) {
+        super(options);
+        this.hotbarApp = options.hotbarApp;
+        this.view = options.view;
+        this._rules = ViewRuleManager.sanitizeRules(options.view?.rules);
+    }
+
+    /**
+     * Window title includes the view name
+     * @returns {string}
+     * @override
+     */
+    get title() {
+        return game.i18n.format('bg3-hud-core.ViewRules.TitleFor', { name: this.view?.name ?? '' });
+    }
+
+    /**
+     * Build the condition rows
+     * @returns {HTMLElement}
+     * @override
+     */
+    _buildBody() {
+        const body = document.createElement('div');
+        body.className = 'bg3-view-rules-body';
+
+        const hint = document.createElement('p');
+        hint.className = 'hint';
+        hint.textContent = game.i18n.localize('bg3-hud-core.ViewRules.Hint');
+        body.appendChild(hint);
+
+        const list = document.createElement('ol');
+        list.className = 'bg3-view-rules-list';
+        if (this._rules.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'bg3-view-rules-empty';
+            empty.textContent = game.i18n.localize('bg3-hud-core.ViewRules.Empty');
+            list.appendChild(empty);
+        }
+        this._rules.forEach((rule, index) => list.appendChild(this._buildRuleRow(rule, index)));
+        body.appendChild(list);
+        body.appendChild(this._buildStatusList());
+
+        const add = document.createElement('button');
+        add.type = 'button';
+        add.className = 'bg3-view-rules-add';
+        add.innerHTML = `<i class="fas fa-plus"></i> ${game.i18n.localize('bg3-hud-core.ViewRules.Add')}`;
+        body.appendChild(add);
+
+        return body;
+    }
+
+    /**
+     * Build one condition row: type select, value input(s), remove button
+     * @param {Object} rule - Condition
+     * @param {number} index - Row index
+     * @returns {HTMLElement}
+     * @private
+     */
+    _buildRuleRow(rule, index) {
+        const row = document.createElement('li');
+        row.className = 'bg3-view-rule-row';
+        row.dataset.index = index;
+
+        const type = document.createElement('select');
+        type.name = 'type';
+        for (const key of Object.keys(ViewRuleManager.CONDITIONS)) {
+            type.add(new Option(game.i18n.localize(`bg3-hud-core.ViewRules.Type.${key}`), key));
+        }
+        type.value = rule.type;
+        row.appendChild(type);
+
+        row.append(...this._buildValueInputs(rule));
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'bg3-view-rule-remove icon';
+        remove.dataset.tooltip = game.i18n.localize('bg3-hud-core.ViewRules.Remove');
+        remove.innerHTML = '<i class="fas fa-trash"></i>';
+        row.appendChild(remove);
+
+        return row;
+    }
+
+    /**
+     * Inputs for a condition's value, by condition type
+     * @param {Object} rule - Condition
+     * @returns {Array<HTMLElement>}
+     * @private
+     */
+    _buildValueInputs(rule) {
+        const select = (options, value) => {
+            const element = document.createElement('select');
+            element.name = 'value';
+            for (const [optionValue, label] of options) {
+                element.add(new Option(label, optionValue));
+            }
+            element.value = String(value ?? options[0]?.[0] ?? '');
+            return element;
+        };
+        const text = (name, value, placeholder) => {
+            const element = document.createElement('input');
+            element.type = 'text';
+            element.name = name;
+            element.value = value ?? '';
+            element.placeholder = placeholder;
+            return element;
+        };
+
+        switch (ViewRuleManager.CONDITIONS[rule.type].input) {
+            case 'boolean':
+                return [select([
+                    ['true', game.i18n.localize('bg3-hud-core.ViewRules.InCombat')],
+                    ['false', game.i18n.localize('bg3-hud-core.ViewRules.OutOfCombat')]
+                ], rule.value !== false)];
+            case 'weaponSet':
+                return [select([0, 1, 2].map(i => [String(i), game.i18n.format('bg3-hud-core.ViewRules.WeaponSetNumber', { number: i + 1 })]), rule.value ?? 0)];
+            case 'status': {
+                const input = text('value', rule.value, game.i18n.localize('bg3-hud-core.ViewRules.StatusPlaceholder'));
+                input.setAttribute('list', 'bg3-view-rules-statuses');
+                return [input];
+            }
+            case 'flag':
+                return [
+                    text('path', rule.path, game.i18n.localize('bg3-hud-core.ViewRules.FlagPathPlaceholder')),
+                    text('value', rule.value, game.i18n.localize('bg3-hud-core.ViewRules.FlagValuePlaceholder'))
+                ];
+            case 'scene':
+                return [select(game.scenes.contents.map(s => [s.id, s.name]), rule.value ?? canvas?.scene?.id)];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Datalist of known status effect IDs
+     * @returns {HTMLDataListElement}
+     * @private
+     */
+    _buildStatusList() {
+        const list = document.createElement('datalist');
+        list.id = 'bg3-view-rules-statuses';
+        for (const status of CONFIG.statusEffects ?? []) {
+            if (!status.id) continue;
+            const option = document.createElement('option');
+            option.value = status.id;
+            option.label = game.i18n.localize(status.name ?? status.label ?? status.id);
+            list.appendChild(option);
+        }
+        return list;
+    }
+
+    /**
+     * Footer: clear, save
+     * @returns {string}
+     * @override
+     */
+    _buildFooter() {
+        return `
+            <button type="button" class="bg3-view-rules-clear">
+                <i class="fas fa-eraser"></i> ${game.i18n.localize('bg3-hud-core.ViewRules.Clear')}
+            </button>
+            <button type="submit">
+                <i class="fas fa-save"></i> ${game.i18n.localize('bg3-hud-core.ViewRules.Save')}
+            </button>
+        `;
+    }
+
+    /**
+     * Bind add/remove/type-change; each re-renders from the rows read back from the form
+     * @param {object} context - Render context
+     * @param {object} options - Render options
+     * @override
+     */
+    _onRenderDialog(context, options) {
+        const root = this.element;
+        root.querySelector('.bg3-view-rules-add')?.addEventListener('click', () => {
+            this._rules = [...this._readRules(), { type: 'combat', value: true }];
+            this.render();
+        });
+        root.querySelector('.bg3-view-rules-clear')?.addEventListener('click', () => {
+            this._rules = [];
+            this.render();
+        });
+        for (const row of root.querySelectorAll('.bg3-view-rule-row')) {
+            row.querySelector('.bg3-view-rule-remove')?.addEventListener('click', () => {
+                const rules = this._readRules();
+                rules.splice(Number(row.dataset.index), 1);
+                this._rules = rules;
+                this.render();
+            });
+            row.querySelector('select[name="type"]')?.addEventListener('change', (event) => {
+                const rules = this._readRules();
+                rules[Number(row.dataset.index)] = { type: event.target.value };
+                this._rules = rules;
+                this.render();
+            });
+        }
+    }
+
+    /**
+     * Read the conditions back from the form
+     * @returns {Array<Object>}
+     * @private
+     */
+    _readRules() {
+        const rules = [];
+        for (const row of this.element.querySelectorAll('.bg3-view-rule-row')) {
+            const type = row.querySelector('[name="type"]')?.value;
+            const value = row.querySelector('[name="value"]')?.value?.trim() ?? '';
+            switch (ViewRuleManager.CONDITIONS[type]?.input) {
+                case 'boolean':
+                    rules.push({ type, value: value !== 'false' });
+                    break;
+                case 'weaponSet':
+                    rules.push({ type, value: Number(value) || 0 });
+                    break;
+                case 'flag':
+                    rules.push({ type, path: row.querySelector('[name="path"]')?.value?.trim() ?? '', value });
+                    break;
+                case 'status':
+                case 'scene':
+                    rules.push({ type, value });
+                    break;
+            }
+        }
+        return rules;
+    }
+
+    /**
+     * Save the rules; incomplete conditions (no status, path or scene) are dropped
+     * @param {SubmitEvent} event - Form submit event
+     * @returns {Promise<void>}
+     * @override
+     */
+    async _onSubmit(event) {
+        const rules = ViewRuleManager.sanitizeRules(this._readRules()).filter(rule => (
+            rule.type === 'flag' ? !!rule.path : rule.value !== ''
+        ));
+
+        try {
+            await this.hotbarApp.persistenceManager.setViewRules(this.view.id, rules);
+            await this.hotbarApp.components?.views?.render();
+
+            // New rules count as a transition for the current actor
+            const ruleManager = this.hotbarApp.viewRuleManager;
+            ruleManager?.reset(this.hotbarApp.currentActor);
+            await ruleManager?.evaluate();
+        } catch (error) {
+            console.error('[bg3-hud-core] Failed to save view rules:', error);
+            ui.notifications.error(game.i18n.localize('bg3-hud-core.ViewRules.SaveFailed'));
+            return;
+        }
+        this.close();
+    }
+}
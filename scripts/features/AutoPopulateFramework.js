@@ -213,8 +213,8 @@ export class AutoPopulateFramework {
             for (let c = 0; c < cols && itemIndex < enrichedItems.length; c++) {
                 const slotKey = `${c}-${r}`;
 
-                // If slot is empty, add item
-                if (!container.items[slotKey]) {
+                // If slot is empty and not pinned, add item
+                if (!container.items[slotKey] && !container.isPinned?.(slotKey)) {
                     container.items[slotKey] = enrichedItems[itemIndex];
                     addedCount++;
                     itemIndex++;
@@ -356,8 +356,8 @@ export class AutoPopulateFramework {
                 for (let c = 0; c < cols && itemIndex < enrichedItems.length; c++) {
                     const slotKey = `${c}-${r}`;
 
-                    // Only populate empty slots
-                    if (!grid.items[slotKey]) {
+                    // Only populate empty slots that aren't pinned
+                    if (!grid.items[slotKey] && !grid.pinned?.includes(slotKey)) {
                         grid.items[slotKey] = enrichedItems[itemIndex];
                         itemIndex++;
                     }
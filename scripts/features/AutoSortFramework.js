@@ -19,9 +19,10 @@ export class AutoSortFramework {
             // Convert items object to array for sorting
             const items = [];
             
-            // First pass: collect only valid items (with a real uuid)
+            // First pass: collect only valid items (with a real uuid), leaving pinned slots alone
             for (const [key, rawItem] of Object.entries(container.items)) {
                 if (!rawItem || !rawItem.uuid || typeof rawItem.uuid !== "string") continue;
+                if (container.isPinned?.(key)) continue;
                 items.push({
                     key,
                     ...rawItem
@@ -92,13 +93,19 @@ export class AutoSortFramework {
     /**
      * Rearrange items in the grid after sorting
      * This is system-agnostic grid placement logic
+     * Pinned slots keep their item (or stay empty); sorted items flow around them.
      * @param {Array<Object>} items - Sorted items array
      * @param {GridContainer} container - The container to rearrange
      * @returns {Promise<void>}
      */
     async rearrangeGrid(items, container) {
-        // Clear container items
+        // Clear container items, except pinned slots
+        const pinned = new Set(container.pinned ?? []);
+        const previous = container.items;
         container.items = {};
+        for (const slotKey of pinned) {
+            if (previous[slotKey]) container.items[slotKey] = previous[slotKey];
+        }
 
         // Re-add items in sorted order
         let r = 0;
@@ -107,6 +114,15 @@ export class AutoSortFramework {
         const rows = container.rows || 3;
 
         for (const item of items) {
+            // Step over pinned slots
+            while (r < rows && pinned.has(`${c}-${r}`)) {
+                c++;
+                if (c >= cols) {
+                    c = 0;
+                    r++;
+                }
+            }
+
             // Stop if we've run out of grid space
             if (r >= rows) break;
             
@@ -0,0 +1,227 @@
+/**
+ * Cell Selection Manager
+ * Multi-cell selection within one grid
+ *
+ * Ctrl/Cmd-click toggles a cell, Shift-click selects the rectangle from the last
+ * clicked cell, and dragging from an empty cell draws a selection rectangle. Selecting
+ * in another grid starts a new selection. The selected cells are dragged as a block
+ * and removed or copied in bulk by InteractionCoordinator. Container popovers take
+ * no part in selections.
+ */
+export class CellSelectionManager {
+    /**
+     * Create a cell selection manager
+     * @param {Object} options - Manager options
+     * @param {InteractionCoordinator} options.interactionCoordinator - Owner, used to find grid containers
+     */
+    constructor(options = {}) {
+        this.interactionCoordinator = options.interactionCoordinator;
+
+        /** @type {GridContainer|null} Grid the selection belongs to */
+        this.container = null;
+        /** @type {Set<string>} Selected slot keys */
+        this.keys = new Set();
+        /** @type {{col: number, row: number}|null} Cell Shift-click ranges start from */
+        this.anchor = null;
+
+        this._root = null;
+        this._suppressClick = false;
+    }
+
+    /**
+     * Number of selected cells (0 if the grid is no longer on screen)
+     * @returns {number}
+     */
+    get size() {
+        return this._isLive() ? this.keys.size : 0;
+    }
+
+    /**
+     * Whether a cell is selected
+     * @param {GridCell} cell
+     * @returns {boolean}
+     */
+    has(cell) {
+        return this.size > 0
+            && cell?.containerType === this.container.containerType
+            && cell.containerIndex === this.container.containerIndex
+            && this.keys.has(cell.getSlotKey());
+    }
+
+    /**
+     * Selected cells, in reading order
+     * @param {Object} [options]
+     * @param {boolean} [options.filled=false] - Only cells holding an item
+     * @returns {Array<GridCell>}
+     */
+    getCells({ filled = false } = {}) {
+        if (this.size === 0) return [];
+        return this.container.cells.filter(cell => this.keys.has(cell.getSlotKey()) && (!filled || cell.data));
+    }
+
+    /**
+     * Handle a cell click: modifier clicks change the selection, plain clicks clear it
+     * @param {GridCell} cell
+     * @param {MouseEvent} event
+     * @returns {boolean} True if the click was used for selecting
+     */
+    handleClick(cell, event) {
+        if (this._suppressClick) {
+            this._suppressClick = false;
+            return true;
+        }
+
+        const container = this._getContainer(cell);
+        const modified = event.ctrlKey || event.metaKey || event.shiftKey;
+        if (!modified || !container) {
+            this.clear();
+            return false;
+        }
+
+        if (event.shiftKey && this.anchor && container === this.container) {
+            this.selectRange(container, this.anchor, cell);
+        } else {
+            this.toggle(container, cell);
+        }
+        return true;
+    }
+
+    /**
+     * Add a cell to the selection, or remove it if selected
+     * @param {GridContainer} container - Grid owning the cell
+     * @param {GridCell} cell
+     */
+    toggle(container, cell) {
+        const keys = container === this.container && this._isLive() ? new Set(this.keys) : new Set();
+        const slotKey = cell.getSlotKey();
+        if (keys.has(slotKey)) keys.delete(slotKey);
+        else keys.add(slotKey);
+        this.set(container, keys, { col: cell.col, row: cell.row });
+    }
+
+    /**
+     * Select the rectangle between two cells
+     * @param {GridContainer} container - Grid owning the cells
+     * @param {{col: number, row: number}} from - Corner cell (kept as the anchor)
+     * @param {{col: number, row: number}} to - Opposite corner cell
+     */
+    selectRange(container, from, to) {
+        const keys = new Set();
+        for (let row = Math.min(from.row, to.row); row <= Math.max(from.row, to.row); row++) {
+            for (let col = Math.min(from.col, to.col); col <= Math.max(from.col, to.col); col++) {
+                keys.add(`${col}-${row}`);
+            }
+        }
+        this.set(container, keys, { col: from.col, row: from.row });
+    }
+
+    /**
+     * Replace the selection
+     * @param {GridContainer|null} container - Grid owning the slots
+     * @param {Set<string>|Array<string>} keys - Slot keys
+     * @param {{col: number, row: number}|null} [anchor] - Cell Shift-click ranges start from
+     */
+    set(container, keys, anchor = null) {
+        this._mark(false);
+        const count = keys?.size ?? keys?.length ?? 0;
+        this.container = count > 0 ? container : null;
+        this.keys = this.container ? new Set(keys) : new Set();
+        this.anchor = this.container ? anchor : null;
+        this._mark(true);
+    }
+
+    /**
+     * Clear the selection
+     */
+    clear() {
+        if (!this.container) return;
+        this.set(null, []);
+    }
+
+    /**
+     * Start rectangle selection on pointer drags that begin on an empty cell
+     * Listens on the HUD element, so it survives component rebuilds.
+     * @param {HTMLElement} root - HUD element
+     */
+    attach(root) {
+        if (!root || this._root === root) return;
+        this._root = root;
+        root.addEventListener('pointerdown', (event) => this._onPointerDown(event));
+    }
+
+    /**
+     * Begin a rectangle selection
+     * @param {PointerEvent} event
+     * @private
+     */
+    _onPointerDown(event) {
+        if (event.button !== 0) return;
+        const start = this._findCell(event.target);
+        if (!start || start.cell.data) return;
+
+        let dragging = false;
+        const onMove = (moveEvent) => {
+            const current = this._findCell(document.elementFromPoint(moveEvent.clientX, moveEvent.clientY));
+            if (!current || current.container !== start.container) return;
+            if (!dragging && current.cell === start.cell) return;
+            dragging = true;
+            this.selectRange(start.container, start.cell, current.cell);
+        };
+        const onUp = (upEvent) => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            // A rectangle dragged back to its first cell ends in a click on that cell
+            this._suppressClick = dragging && this._findCell(upEvent.target)?.cell === start.cell;
+        };
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+    }
+
+    /**
+     * Grid cell (outside container popovers) an element belongs to
+     * @param {Element|null} element
+     * @returns {{container: GridContainer, cell: GridCell}|null}
+     * @private
+     */
+    _findCell(element) {
+        const cellEl = element?.closest?.('.bg3-grid-cell');
+        const gridEl = cellEl?.closest('.bg3-grid-container');
+        if (!gridEl) return null;
+
+        const container = this.interactionCoordinator.getGridContainers().find(grid => grid.element === gridEl);
+        const cell = container?.cells.find(c => c.element === cellEl);
+        return cell ? { container, cell } : null;
+    }
+
+    /**
+     * Grid container a cell belongs to (null for container popovers)
+     * @param {GridCell} cell
+     * @returns {GridContainer|null}
+     * @private
+     */
+    _getContainer(cell) {
+        return this.interactionCoordinator.getGridContainer(cell.containerType, cell.containerIndex);
+    }
+
+    /**
+     * Whether the selected grid is still on screen (grids are rebuilt on refresh)
+     * @returns {boolean}
+     * @private
+     */
+    _isLive() {
+        return !!this.container?.element?.isConnected;
+    }
+
+    /**
+     * Toggle the selected class on the selected cells
+     * @param {boolean} selected
+     * @private
+     */
+    _mark(selected) {
+        if (!this.container) return;
+        for (const slotKey of this.keys) {
+            const [col, row] = slotKey.split('-').map(Number);
+            this.container.getCell(col, row)?.element?.classList.toggle('selected', selected);
+        }
+    }
+}
@@ -0,0 +1,506 @@
+/**
+ * Focus Navigation Manager
+ * Keyboard and gamepad navigation of the HUD
+ *
+ * Cells, filter buttons and view buttons are grouped by the container they sit in, and
+ * each group keeps one roving tab stop. Arrow keys move to the nearest item in that
+ * direction (leaving the group at its edge), Tab and Shift+Tab jump between groups,
+ * Home and End go to the ends of a group. Enter or Space uses the focused item like a
+ * click, modifiers included (so Ctrl+Space selects cells), the Menu key or Shift+F10
+ * opens its context menu, and Escape gives focus back to the canvas.
+ *
+ * Gamepads are polled while one is connected and their buttons are sent to the focused
+ * element as the same keys, so context menus navigate the same way.
+ */
+export class FocusNavigationManager {
+    /**
+     * Focusable HUD items
+     */
+    static ITEMS = '.bg3-grid-cell, .bg3-filter-button, .bg3-view-button';
+
+    /**
+     * Containers grouping the items; Tab moves between them
+     */
+    static GROUPS = '.bg3-grid-container, .bg3-filter-container, .bg3-views-container';
+
+    /**
+     * Gamepad inputs (standard mapping) and the keys they send
+     * 'focus' toggles focus between the HUD and the canvas.
+     */
+    static GAMEPAD_INPUTS = {
+        0: { key: 'Enter' },                 // A / Cross
+        1: { key: 'Escape' },                // B / Circle
+        2: { key: 'ContextMenu' },           // X / Square
+        4: { key: 'Tab', shiftKey: true },   // Left bumper
+        5: { key: 'Tab' },                   // Right bumper
+        9: 'focus',                          // Start / Options
+        12: { key: 'ArrowUp', repeat: true },
+        13: { key: 'ArrowDown', repeat: true },
+        14: { key: 'ArrowLeft', repeat: true },
+        15: { key: 'ArrowRight', repeat: true },
+        stickUp: { key: 'ArrowUp', repeat: true },
+        stickDown: { key: 'ArrowDown', repeat: true },
+        stickLeft: { key: 'ArrowLeft', repeat: true },
+        stickRight: { key: 'ArrowRight', repeat: true }
+    };
+
+    /**
+     * Stick deflection counted as a press
+     */
+    static STICK_THRESHOLD = 0.5;
+
+    /**
+     * Held directions repeat after this delay (ms), then every REPEAT_INTERVAL ms
+     */
+    static REPEAT_DELAY = 400;
+    static REPEAT_INTERVAL = 120;
+
+    /**
+     * Create a focus navigation manager
+     * @param {Object} options - Manager options
+     * @param {BG3Hotbar} options.hotbarApp - HUD application
+     */
+    constructor(options = {}) {
+        this.hotbarApp = options.hotbarApp;
+
+        this._root = null;
+        /** @type {AbortController|null} Removes the listeners added by attach() */
+        this._listeners = null;
+        this._observer = null;
+        this._syncQueued = false;
+        /** @type {boolean} Whether focus was last moved by keyboard or gamepad (shows the focus ring) */
+        this._keyboard = false;
+        /** @type {{group: number, index: number}|null} Position of the focused item, restored if it is re-rendered */
+        this._position = null;
+
+        this._gamepadFrame = null;
+        /** @type {Map<string, number>} Held gamepad inputs → time they fire next */
+        this._gamepadHeld = new Map();
+        this._onGamepadChange = () => this.updateGamepad();
+    }
+
+    /**
+     * Start handling keys on the HUD element
+     * Listens on the HUD element, so it survives component rebuilds.
+     * @param {HTMLElement} root - HUD element
+     */
+    attach(root) {
+        if (!root || this._root === root) return;
+        this.destroy();
+        this._root = root;
+        this._listeners = new AbortController();
+        const { signal } = this._listeners;
+
+        root.addEventListener('keydown', (event) => this._onKeyDown(event), { signal });
+        // Space activates buttons on keyup; keydown already used it
+        root.addEventListener('keyup', (event) => {
+            if (event.key === ' ' && this._getItem(event.target)) event.preventDefault();
+        }, { signal });
+        root.addEventListener('focusin', (event) => this._onFocusIn(event), { signal });
+        root.addEventListener('focusout', (event) => event.target.classList?.remove('keyboard-focus'), { signal });
+        root.addEventListener('pointerdown', () => {
+            this._keyboard = false;
+        }, { capture: true, signal });
+
+        // Components are rebuilt on refresh; new items need their tab stops
+        this._observer = new MutationObserver(() => this._queueSync());
+        this._observer.observe(root, { childList: true, subtree: true });
+        this._sync();
+
+        window.addEventListener('gamepadconnected', this._onGamepadChange, { signal });
+        window.addEventListener('gamepaddisconnected', this._onGamepadChange, { signal });
+        this.updateGamepad();
+    }
+
+    /**
+     * Stop gamepad polling and remove the observer and listeners added by attach()
+     * Called when the HUD closes; attach() can start again afterwards.
+     */
+    destroy() {
+        this._listeners?.abort();
+        this._listeners = null;
+        this._observer?.disconnect();
+        this._observer = null;
+        this._root = null;
+        this.updateGamepad();
+    }
+
+    /**
+     * Move focus into the HUD (the last focused item, or the first hotbar cell)
+     * @returns {boolean} False if the HUD is hidden or has nothing to focus
+     */
+    focus() {
+        if (!this._root || !this.hotbarApp?.isVisible) return false;
+
+        const groups = this._getGroups();
+        const group = groups[this._position?.group] ?? groups.find(g => g.matches('.bg3-hotbar-container .bg3-grid-container')) ?? groups[0];
+        const item = group ? this._getTabStop(group) : null;
+        if (!item) return false;
+
+        this._keyboard = true;
+        this._focusItem(item);
+        return true;
+    }
+
+    /**
+     * Give focus back to the canvas
+     */
+    release() {
+        if (this._root?.contains(document.activeElement)) document.activeElement.blur();
+    }
+
+    /**
+     * Whether an HUD item has focus
+     * @returns {boolean}
+     */
+    get isFocused() {
+        return !!this._getItem(document.activeElement);
+    }
+
+    /**
+     * Start or stop polling gamepads (setting, connected pads)
+     */
+    updateGamepad() {
+        const enabled = !!this._root && game.settings.get('bg3-hud-core', 'gamepadNavigation')
+            && Array.from(navigator.getGamepads?.() ?? []).some(Boolean);
+
+        if (enabled && !this._gamepadFrame) {
+            this._gamepadFrame = requestAnimationFrame((time) => this._pollGamepads(time));
+        } else if (!enabled && this._gamepadFrame) {
+            cancelAnimationFrame(this._gamepadFrame);
+            this._gamepadFrame = null;
+            this._gamepadHeld.clear();
+        }
+    }
+
+    /**
+     * Handle navigation keys on a focused item
+     * @param {KeyboardEvent} event
+     * @private
+     */
+    _onKeyDown(event) {
+        const item = this._getItem(event.target);
+        if (!item) return;
+
+        switch (event.key) {
+            case 'ArrowUp':
+            case 'ArrowDown':
+            case 'ArrowLeft':
+            case 'ArrowRight':
+                this._move(item, event.key);
+                break;
+            case 'Tab':
+                this._moveGroup(item, event.shiftKey ? -1 : 1);
+                break;
+            case 'Home':
+            case 'End': {
+                const items = this._getItems(item.closest(FocusNavigationManager.GROUPS));
+                this._focusItem(event.key === 'Home' ? items[0] : items.at(-1));
+                break;
+            }
+            case 'Enter':
+            case ' ':
+                if (!event.repeat) this._dispatchMouse(item, 'click', event);
+                break;
+            case 'ContextMenu':
+                if (!event.repeat) this._dispatchMouse(item, 'contextmenu');
+                break;
+            case 'F10':
+                if (!event.shiftKey) return;
+                if (!event.repeat) this._dispatchMouse(item, 'contextmenu');
+                break;
+            case 'Escape':
+                this._escape(item);
+                break;
+            default:
+                return;
+        }
+
+        // Keep the keys from Foundry (canvas panning, Tab cycling tokens)
+        this._keyboard = true;
+        event.preventDefault();
+        event.stopPropagation();
+    }
+
+    /**
+     * Escape closes a container popover (back to the cell that opened it), or leaves the HUD
+     * @param {HTMLElement} item - Focused item
+     * @private
+     */
+    _escape(item) {
+        const coordinator = this.hotbarApp?.interactionCoordinator;
+        const trigger = coordinator?.activePopover?.triggerCell?.element;
+        if (item.closest('.bg3-container-popover') && trigger) {
+            coordinator.closeContainerPopover();
+            this._focusItem(trigger);
+            return;
+        }
+        this.release();
+    }
+
+    /**
+     * Track the focused item and show the focus ring for keyboard focus
+     * @param {FocusEvent} event
+     * @private
+     */
+    _onFocusIn(event) {
+        const item = this._getItem(event.target);
+        if (!item) return;
+
+        const groups = this._getGroups();
+        const group = item.closest(FocusNavigationManager.GROUPS);
+        this._position = { group: groups.indexOf(group), index: this._getItems(group).indexOf(item) };
+        this._setTabStop(group, item);
+        item.classList.toggle('keyboard-focus', this._keyboard);
+    }
+
+    /**
+     * Focus the nearest item in a direction, preferring the item's own group
+     * @param {HTMLElement} item - Focused item
+     * @param {string} key - Arrow key
+     * @private
+     */
+    _move(item, key) {
+        const [dx, dy] = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] }[key];
+        const from = this._getCenter(item);
+
+        const nearest = (candidates) => {
+            let best = null;
+            let bestScore = Infinity;
+            for (const candidate of candidates) {
+                if (candidate === item) continue;
+                const to = this._getCenter(candidate);
+                const along = (to.x - from.x) * dx + (to.y - from.y) * dy;
+                if (along <= 1) continue;
+                // Straight ahead beats diagonal: weigh the sideways offset double
+                const across = Math.abs((to.x - from.x) * dy) + Math.abs((to.y - from.y) * dx);
+                const score = along + across * 2;
+                if (score < bestScore) {
+                    best = candidate;
+                    bestScore = score;
+                }
+            }
+            return best;
+        };
+
+        const target = nearest(this._getItems(item.closest(FocusNavigationManager.GROUPS)))
+            ?? nearest(this._getItems(this._root));
+        if (target) this._focusItem(target);
+    }
+
+    /**
+     * Focus the tab stop of the next or previous group
+     * @param {HTMLElement} item - Focused item
+     * @param {number} step - 1 or -1
+     * @private
+     */
+    _moveGroup(item, step) {
+        const groups = this._getGroups();
+        if (groups.length === 0) return;
+        const index = groups.indexOf(item.closest(FocusNavigationManager.GROUPS));
+        const group = groups[(index + step + groups.length) % groups.length];
+        this._focusItem(this._getTabStop(group));
+    }
+
+    /**
+     * Focus an item and make it its group's tab stop
+     * @param {HTMLElement|null} item
+     * @private
+     */
+    _focusItem(item) {
+        if (!item) return;
+        this._setTabStop(item.closest(FocusNavigationManager.GROUPS), item);
+        item.focus();
+    }
+
+    /**
+     * Send a mouse event to an item, positioned at its centre (context menus open there)
+     * @param {HTMLElement} item - Target item
+     * @param {string} type - 'click' or 'contextmenu'
+     * @param {KeyboardEvent} [keyEvent] - Key event whose modifiers are passed on
+     * @private
+     */
+    _dispatchMouse(item, type, keyEvent = null) {
+        const { x, y } = this._getCenter(item);
+        item.dispatchEvent(new MouseEvent(type, {
+            bubbles: true,
+            cancelable: true,
+            view: window,
+            button: type === 'contextmenu' ? 2 : 0,
+            clientX: x,
+            clientY: y,
+            shiftKey: !!keyEvent?.shiftKey,
+            ctrlKey: !!keyEvent?.ctrlKey,
+            altKey: !!keyEvent?.altKey,
+            metaKey: !!keyEvent?.metaKey
+        }));
+    }
+
+    /**
+     * Make one item the group's only tab stop
+     * @param {HTMLElement|null} group
+     * @param {HTMLElement} item
+     * @private
+     */
+    _setTabStop(group, item) {
+        for (const other of this._getItems(group, { visible: false })) {
+            other.tabIndex = other === item ? 0 : -1;
+        }
+    }
+
+    /**
+     * The group's tab stop, or its first item if the tab stop is gone
+     * @param {HTMLElement} group
+     * @returns {HTMLElement|null}
+     * @private
+     */
+    _getTabStop(group) {
+        const items = this._getItems(group);
+        return items.find(item => item.tabIndex === 0) ?? items[0] ?? null;
+    }
+
+    /**
+     * Sync tab stops on the next frame (mutations arrive in bursts)
+     * @private
+     */
+    _queueSync() {
+        if (this._syncQueued) return;
+        this._syncQueued = true;
+        requestAnimationFrame(() => {
+            this._syncQueued = false;
+            this._sync();
+        });
+    }
+
+    /**
+     * Give every group one tab stop, and put keyboard focus back on the same position
+     * if its item was re-rendered (e.g. after switching views)
+     * @private
+     */
+    _sync() {
+        if (!this._root?.isConnected) return;
+
+        const groups = this._getGroups();
+        for (const group of groups) {
+            this._setTabStop(group, this._getTabStop(group));
+        }
+
+        const lost = document.activeElement === document.body || !document.activeElement;
+        if (this._keyboard && lost && this._position) {
+            const group = groups[this._position.group];
+            const items = group ? this._getItems(group) : [];
+            this._focusItem(items[Math.min(this._position.index, items.length - 1)] ?? null);
+        }
+    }
+
+    /**
+     * Groups with visible items, in document order
+     * @returns {Array<HTMLElement>}
+     * @private
+     */
+    _getGroups() {
+        if (!this._root) return [];
+        return Array.from(this._root.querySelectorAll(FocusNavigationManager.GROUPS))
+            .filter(group => this._getItems(group).length > 0);
+    }
+
+    /**
+     * Items inside an element (only those of the element itself when it is a group)
+     * @param {HTMLElement|null} element - Group or HUD element
+     * @param {Object} [options]
+     * @param {boolean} [options.visible=true] - Only items on screen
+     * @returns {Array<HTMLElement>}
+     * @private
+     */
+    _getItems(element, { visible = true } = {}) {
+        if (!element) return [];
+        const isGroup = element.matches(FocusNavigationManager.GROUPS);
+        return Array.from(element.querySelectorAll(FocusNavigationManager.ITEMS)).filter(item =>
+            (!isGroup || item.closest(FocusNavigationManager.GROUPS) === element)
+            && (!visible || item.checkVisibility()));
+    }
+
+    /**
+     * HUD item an element is (null outside the HUD)
+     * @param {EventTarget|null} element
+     * @returns {HTMLElement|null}
+     * @private
+     */
+    _getItem(element) {
+        const item = element?.closest?.(FocusNavigationManager.ITEMS);
+        return item && this._root?.contains(item) ? item : null;
+    }
+
+    /**
+     * @param {HTMLElement} element
+     * @returns {{x: number, y: number}}
+     * @private
+     */
+    _getCenter(element) {
+        const rect = element.getBoundingClientRect();
+        return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    }
+
+    /**
+     * Read the gamepads and send newly pressed (or repeating) inputs
+     * @param {DOMHighResTimeStamp} time - Frame time
+     * @private
+     */
+    _pollGamepads(time) {
+        const pressed = new Set();
+        for (const pad of navigator.getGamepads()) {
+            if (!pad || pad.mapping !== 'standard') continue;
+            pad.buttons.forEach((button, index) => {
+                if (button.pressed && FocusNavigationManager.GAMEPAD_INPUTS[index]) pressed.add(String(index));
+            });
+            const [x = 0, y = 0] = pad.axes;
+            const threshold = FocusNavigationManager.STICK_THRESHOLD;
+            if (y < -threshold) pressed.add('stickUp');
+            if (y > threshold) pressed.add('stickDown');
+            if (x < -threshold) pressed.add('stickLeft');
+            if (x > threshold) pressed.add('stickRight');
+        }
+
+        for (const input of this._gamepadHeld.keys()) {
+            if (!pressed.has(input)) this._gamepadHeld.delete(input);
+        }
+        for (const input of pressed) {
+            const action = FocusNavigationManager.GAMEPAD_INPUTS[input];
+            const next = this._gamepadHeld.get(input);
+            if (next === undefined) {
+                this._gamepadHeld.set(input, action.repeat ? time + FocusNavigationManager.REPEAT_DELAY : Infinity);
+                this._sendGamepadInput(action);
+            } else if (time >= next) {
+                this._gamepadHeld.set(input, time + FocusNavigationManager.REPEAT_INTERVAL);
+                this._sendGamepadInput(action);
+            }
+        }
+
+        this._gamepadFrame = requestAnimationFrame((nextTime) => this._pollGamepads(nextTime));
+    }
+
+    /**
+     * Send a gamepad input to the focused HUD item or context menu
+     * Inputs are ignored while focus is elsewhere, except the one that focuses the HUD.
+     * @param {Object|string} action - Entry of GAMEPAD_INPUTS
+     * @private
+     */
+    _sendGamepadInput(action) {
+        if (action === 'focus') {
+            if (this.isFocused) this.release();
+            else this.focus();
+            return;
+        }
+
+        const target = document.activeElement;
+        if (!this.isFocused && !target?.closest('.bg3-context-menu')) return;
+
+        this._keyboard = true;
+        target.dispatchEvent(new KeyboardEvent('keydown', {
+            key: action.key,
+            shiftKey: !!action.shiftKey,
+            bubbles: true,
+            cancelable: true
+        }));
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * History Manager
+ * Bounded undo/redo stacks for HUD layout edits, kept separately per key
+ * (actor UUID, or the GM hotbar) so swapping tokens never mixes histories.
+ *
+ * Entries are opaque to this class - PersistenceManager decides what they
+ * contain (the before/after values of every slot an edit touched).
+ */
+export class HistoryManager {
+    /**
+     * Maximum entries kept per key when no limit is supplied
+     */
+    static DEFAULT_LIMIT = 50;
+
+    /**
+     * Create a history manager
+     * @param {Object} options - Manager options
+     * @param {number} options.limit - Maximum undo entries kept per key
+     */
+    constructor(options = {}) {
+        this.limit = options.limit ?? HistoryManager.DEFAULT_LIMIT;
+        this._stacks = new Map();
+    }
+
+    /**
+     * Record a new entry. Clears the redo stack, like any editor would.
+     * @param {string} key - History key (actor UUID or 'gmHotbar')
+     * @param {Object} entry - Entry to record
+     */
+    record(key, entry) {
+        if (!key || !entry) return;
+
+        const stacks = this._getStacks(key);
+        stacks.undo.push(entry);
+        if (stacks.undo.length > this.limit) {
+            stacks.undo.splice(0, stacks.undo.length - this.limit);
+        }
+        stacks.redo = [];
+    }
+
+    /**
+     * Take the most recent entry off the undo stack and move it to the redo stack
+     * @param {string} key - History key
+     * @returns {Object|null} Entry to revert, or null if there is nothing to undo
+     */
+    takeUndo(key) {
+        const stacks = this._stacks.get(key);
+        const entry = stacks?.undo.pop();
+        if (!entry) return null;
+
+        stacks.redo.push(entry);
+        return entry;
+    }
+
+    /**
+     * Take the most recent entry off the redo stack and move it back to the undo stack
+     * @param {string} key - History key
+     * @returns {Object|null} Entry to re-apply, or null if there is nothing to redo
+     */
+    takeRedo(key) {
+        const stacks = this._stacks.get(key);
+        const entry = stacks?.redo.pop();
+        if (!entry) return null;
+
+        stacks.undo.push(entry);
+        return entry;
+    }
+
+    /**
+     * @param {string} key - History key
+     * @returns {boolean} True if an undo entry exists
+     */
+    canUndo(key) {
+        return (this._stacks.get(key)?.undo.length ?? 0) > 0;
+    }
+
+    /**
+     * @param {string} key - History key
+     * @returns {boolean} True if a redo entry exists
+     */
+    canRedo(key) {
+        return (this._stacks.get(key)?.redo.length ?? 0) > 0;
+    }
+
+    /**
+     * Drop all history for a key (or every key when omitted)
+     * @param {string} [key] - History key
+     */
+    clear(key) {
+        if (key === undefined) {
+            this._stacks.clear();
+            return;
+        }
+        this._stacks.delete(key);
+    }
+
+    /**
+     * Get (or create) the stacks for a key
+     * @param {string} key - History key
+     * @returns {{undo: Array<Object>, redo: Array<Object>}}
+     * @private
+     */
+    _getStacks(key) {
+        let stacks = this._stacks.get(key);
+        if (!stacks) {
+            stacks = { undo: [], redo: [] };
+            this._stacks.set(key, stacks);
+        }
+        return stacks;
+    }
+}
@@ -1,12 +1,17 @@
 import { ContainerTypeDetector } from './ContainerTypeDetector.js';
 import { SlotContextMenu } from '../components/ui/SlotContextMenu.js';
 import { ContainerPopover } from '../components/ui/ContainerPopover.js';
+import { CellSelectionManager } from './CellSelectionManager.js';
+import { LayoutTransferManager } from './LayoutTransferManager.js';
+import { SlotKeybindings } from '../utils/SlotKeybindings.js';
+import { CellOverrides } from '../utils/CellOverrides.js';
 
 /**
  * Interaction Coordinator
  * Orchestrates cell interactions and drag/drop operations
  * Routes clicks to adapter, coordinates persistence
  * Context menus delegated to SlotContextMenu
+ * Multi-cell selections (CellSelectionManager) move, remove and copy as one batch
  */
 export class InteractionCoordinator {
     constructor(options = {}) {
@@ -16,6 +21,10 @@ export class InteractionCoordinator {
 
         // Drag state tracking
         this.dragSourceCell = null;
+        this.dragBlock = null;
+
+        // Multi-cell selection (attached to the HUD element by BG3Hotbar)
+        this.selection = new CellSelectionManager({ interactionCoordinator: this });
 
         // Context menu builder (adapter set via setAdapter)
         this.contextMenu = new SlotContextMenu({
@@ -51,6 +60,9 @@ export class InteractionCoordinator {
             }
         }
 
+        // Ctrl/Cmd/Shift-clicks select instead of using the item
+        if (this.selection.handleClick(cell, event)) return;
+
         // If no data in cell, do nothing
         if (!cell.data) return;
 
@@ -76,6 +88,26 @@ export class InteractionCoordinator {
         }
     }
 
+    /**
+     * Use a slot from a slot keybinding, as if its cell was clicked
+     * @param {number} slot - Slot number (1-based, reading order)
+     * @param {string} layer - Modifier layer (SlotKeybindings.LAYERS)
+     * @returns {boolean} False if the key should fall through (no HUD, no grid or an empty slot)
+     */
+    useSlot(slot, layer) {
+        if (!this.hotbarApp?.isVisible) return false;
+
+        const target = SlotKeybindings.getTarget(layer);
+        const cell = target
+            ? this.getGridContainer(target.containerType, target.containerIndex)?.getCellByIndex(slot - 1)
+            : null;
+        if (!cell?.data) return false;
+
+        // A plain click, so the modifier that picked the layer doesn't change the selection or roll
+        void this.handleClick(cell, new MouseEvent('click'));
+        return true;
+    }
+
     /**
      * Handle cell right-click
      * Delegates to SlotContextMenu for menu building
@@ -197,12 +229,22 @@ export class InteractionCoordinator {
         }
 
         try {
+            const itemsBefore = JSON.stringify(container.items);
+
             // Pass persistence manager for global UUID duplicate checking
             await this.adapter.autoPopulate.populateContainer(container, actor, this.persistenceManager);
 
             // Persist the changes
             const containerInfo = ContainerTypeDetector.detectContainer(container.cells[0]);
             if (containerInfo && this.persistenceManager) {
+                // Persisted state still holds the pre-populate layout at this point
+                if (JSON.stringify(container.items) !== itemsBefore) {
+                    await this.hotbarApp?.snapshotManager?.createSnapshot(
+                        game.i18n.localize('bg3-hud-core.Snapshots.BeforeAutoPopulate'),
+                        { automatic: true }
+                    );
+                }
+
                 await this.persistenceManager.updateContainer(
                     containerInfo.type,
                     containerInfo.index,
@@ -239,6 +281,35 @@ export class InteractionCoordinator {
         }
     }
 
+    /**
+     * Pin or unpin a cell's slot
+     * Pinned slots are skipped by auto-sort, auto-populate and auto-add, and only take
+     * drops while Shift is held.
+     * @param {GridCell} cell
+     * @param {boolean} pinned
+     */
+    async setCellPinned(cell, pinned) {
+        const container = this.getGridContainer(cell.containerType, cell.containerIndex);
+        if (!container) return;
+
+        const slotKey = cell.getSlotKey();
+        container.pinned = container.pinned.filter(key => key !== slotKey);
+        if (pinned) container.pinned.push(slotKey);
+        cell.setPinned(pinned);
+
+        await this.persistenceManager?.setSlotPinned(cell.containerType, cell.containerIndex, slotKey, pinned);
+    }
+
+    /**
+     * Set or clear the custom name, icon and tint of a cell
+     * @param {GridCell} cell
+     * @param {Object|null} overrides - {name, img, color}; blank fields are dropped
+     */
+    async setCellOverrides(cell, overrides) {
+        if (!cell.data) return;
+        await this._applyCellChanges(new Map([[cell, CellOverrides.apply(cell.data, overrides)]]));
+    }
+
     /**
      * Remove item from a cell
      * Single orchestration point for cell removal
@@ -287,6 +358,14 @@ export class InteractionCoordinator {
         }
 
         this.dragSourceCell = cell;
+
+        // Dragging a selected cell drags the whole selection
+        if (this.selection.has(cell) && this.selection.size > 1) {
+            this.dragBlock = { container: this.selection.container, cells: this.selection.getCells({ filled: true }) };
+            for (const selected of this.dragBlock.cells) selected.element.classList.add('dragging');
+        } else {
+            this.selection.clear();
+        }
     }
 
     /**
@@ -295,7 +374,9 @@ export class InteractionCoordinator {
      * @param {DragEvent} event
      */
     handleDragEnd(cell, event) {
+        for (const selected of this.dragBlock?.cells ?? []) selected.element?.classList.remove('dragging');
         this.dragSourceCell = null;
+        this.dragBlock = null;
     }
 
     /**
@@ -320,8 +401,15 @@ export class InteractionCoordinator {
             }
         }
 
+        // Pinned slots keep their item unless Shift is held
+        const internal = !!(dragData?.sourceSlot && this.dragSourceCell);
+        if (!event?.shiftKey && this._isPinnedDrop(targetCell, internal)) {
+            ui.notifications.warn(game.i18n.localize('bg3-hud-core.Notifications.SlotPinned'));
+            return;
+        }
+
         // Internal drop (from another cell)
-        if (dragData?.sourceSlot && this.dragSourceCell) {
+        if (internal) {
             await this._handleInternalDrop(targetCell, dragData);
         } else {
             // External drop (from character sheet, compendium, etc.)
@@ -329,6 +417,26 @@ export class InteractionCoordinator {
         }
     }
 
+    /**
+     * Whether a drop would change a pinned slot: the target, and for moves the dragged
+     * cells and the slots a dragged selection lands on
+     * @param {GridCell} targetCell
+     * @param {boolean} internal - Drop from another cell
+     * @returns {boolean}
+     * @private
+     */
+    _isPinnedDrop(targetCell, internal) {
+        if (!internal) return !!targetCell.pinned;
+        if (this.dragSourceCell === targetCell) return false;
+        if (!this.dragBlock) return !!(targetCell.pinned || this.dragSourceCell.pinned);
+
+        const targetGrid = this.getGridContainer(targetCell.containerType, targetCell.containerIndex);
+        const offsetCol = targetCell.col - this.dragSourceCell.col;
+        const offsetRow = targetCell.row - this.dragSourceCell.row;
+        return this.dragBlock.cells.some(cell => cell.pinned
+            || targetGrid?.isPinned(`${cell.col + offsetCol}-${cell.row + offsetRow}`));
+    }
+
     /**
      * Handle internal drop (cell to cell)
      * Single orchestration point for all cell-to-cell moves
@@ -349,6 +457,12 @@ export class InteractionCoordinator {
             return;
         }
 
+        // Dragged selection: move every selected item by the same offset
+        if (this.dragBlock) {
+            await this._handleBlockDrop(sourceCell, targetCell);
+            return;
+        }
+
         // Block cross-container moves involving container popovers
         const sourceIsPopover = sourceCell.containerType === 'containerPopover';
         const targetIsPopover = targetCell.containerType === 'containerPopover';
@@ -489,6 +603,215 @@ export class InteractionCoordinator {
     }
 
 
+    /**
+     * Move a dragged selection so the dragged cell lands on the target cell
+     * The block keeps its shape. Nothing moves if part of it would leave the target grid
+     * or land on an item that isn't itself moving.
+     * @param {GridCell} sourceCell - Dragged cell (part of the selection)
+     * @param {GridCell} targetCell - Drop target
+     * @private
+     */
+    async _handleBlockDrop(sourceCell, targetCell) {
+        const targetGrid = this.getGridContainer(targetCell.containerType, targetCell.containerIndex);
+        if (!targetGrid) {
+            ui.notifications.warn(game.i18n.localize('bg3-hud-core.Notifications.CrossContainerMoveBlocked'));
+            return;
+        }
+
+        const moving = this.dragBlock.cells;
+        const sameContainer = ContainerTypeDetector.areSameContainer(sourceCell, targetCell);
+        const movingKeys = new Set(sameContainer ? moving.map(cell => cell.getSlotKey()) : []);
+        const offsetCol = targetCell.col - sourceCell.col;
+        const offsetRow = targetCell.row - sourceCell.row;
+
+        const moves = [];
+        for (const cell of moving) {
+            const col = cell.col + offsetCol;
+            const row = cell.row + offsetRow;
+            const destination = col >= 0 && row >= 0 && col < targetGrid.cols && row < targetGrid.rows
+                ? targetGrid.getCell(col, row)
+                : null;
+            if (!destination) {
+                ui.notifications.warn(game.i18n.localize('bg3-hud-core.Notifications.BlockMoveOutOfBounds'));
+                return;
+            }
+            if (destination.data && !movingKeys.has(destination.getSlotKey())) {
+                ui.notifications.warn(game.i18n.localize('bg3-hud-core.Notifications.BlockMoveOccupied'));
+                return;
+            }
+            moves.push({ source: cell, destination, data: cell.data });
+        }
+
+        // Sources first, so a destination inside the block isn't cleared afterwards
+        const changes = new Map();
+        for (const { source } of moves) changes.set(source, null);
+        for (const { destination, data } of moves) changes.set(destination, data);
+
+        await this._applyCellChanges(changes);
+        this.selection.set(targetGrid, moves.map(move => move.destination.getSlotKey()));
+    }
+
+    /**
+     * Remove the items of several cells in one batch
+     * @param {Array<GridCell>} cells
+     */
+    async removeCells(cells) {
+        const changes = new Map(cells.filter(cell => cell.data).map(cell => [cell, null]));
+        if (changes.size === 0) return;
+        await this._applyCellChanges(changes);
+        this.selection.clear();
+    }
+
+    /**
+     * Grids selected cells can be copied to: the other grids of the current layout and
+     * the grids of every other view that owns the panel
+     * @param {GridContainer} source - Grid the cells are in (left out)
+     * @returns {Array<{label: string, viewId: string|null, container: string, containerIndex: number}>}
+     */
+    getCopyTargets(source) {
+        const pm = this.persistenceManager;
+        const state = pm?.state;
+        if (!state) return [];
+
+        const panels = LayoutTransferManager.CONTAINER_PANELS;
+        const gridsOf = (holder, panel) => LayoutTransferManager.getGrids(holder, panel);
+        const panelLabel = (panel) => game.i18n.localize(`bg3-hud-core.Snapshots.Panel${panel.charAt(0).toUpperCase()}${panel.slice(1)}`);
+
+        const targets = [];
+        for (const [container, panel] of Object.entries(panels)) {
+            gridsOf(state, panel).forEach((grid, index) => {
+                if (container === source?.containerType && index === source?.containerIndex) return;
+                targets.push({ label: `${panelLabel(panel)} ${index + 1}`, viewId: null, container, containerIndex: index });
+            });
+        }
+
+        const activeViewId = state.views?.activeViewId;
+        for (const view of state.views?.list ?? []) {
+            if (view.id === activeViewId) continue;
+            for (const [container, panel] of Object.entries(panels)) {
+                gridsOf(view.hotbarState, panel).forEach((grid, index) => {
+                    targets.push({ label: `${view.name}: ${panelLabel(panel)} ${index + 1}`, viewId: view.id, container, containerIndex: index });
+                });
+            }
+        }
+        return targets;
+    }
+
+    /**
+     * Copy the items of several cells into another grid, in one batch
+     * Items keep their positions relative to each other where the target has room and
+     * otherwise take the first empty slots. An item can only be on the HUD once, so
+     * copying within the current layout moves the items; a view gets a copy unless it
+     * already holds the item.
+     * @param {Array<GridCell>} cells - Source cells
+     * @param {{viewId: string|null, container: string, containerIndex: number}} target - From getCopyTargets
+     * @returns {Promise<{copied: number, skipped: number}>}
+     */
+    async copyCells(cells, target) {
+        const filled = cells.filter(cell => cell.data);
+        const state = this.persistenceManager?.state;
+        if (filled.length === 0 || !state) return { copied: 0, skipped: 0 };
+
+        const live = !target.viewId || target.viewId === state.views?.activeViewId;
+        const holder = live ? state : state.views?.list?.find(v => v.id === target.viewId)?.hotbarState;
+        const panel = LayoutTransferManager.CONTAINER_PANELS[target.container];
+        const grid = LayoutTransferManager.getGrids(holder, panel)[target.containerIndex];
+        if (!grid) return { copied: 0, skipped: filled.length };
+
+        // Slots taken in the target, and items a view already holds
+        const taken = new Set(Object.entries(grid.items ?? {}).filter(([, item]) => item).map(([slotKey]) => slotKey));
+        const present = new Set();
+        if (!live) {
+            for (const other of Object.values(LayoutTransferManager.CONTAINER_PANELS)) {
+                for (const g of LayoutTransferManager.getGrids(holder, other)) {
+                    for (const item of Object.values(g?.items ?? {})) if (item?.uuid) present.add(item.uuid);
+                }
+            }
+        }
+
+        const minCol = Math.min(...filled.map(cell => cell.col));
+        const minRow = Math.min(...filled.map(cell => cell.row));
+        const freeSlot = (preferred) => {
+            if (preferred && !taken.has(preferred.key) && preferred.col < grid.cols && preferred.row < grid.rows) return preferred.key;
+            for (let row = 0; row < grid.rows; row++) {
+                for (let col = 0; col < grid.cols; col++) {
+                    if (!taken.has(`${col}-${row}`)) return `${col}-${row}`;
+                }
+            }
+            return null;
+        };
+
+        const placed = [];
+        let skipped = 0;
+        for (const cell of filled) {
+            if (cell.data.uuid && present.has(cell.data.uuid)) {
+                skipped++;
+                continue;
+            }
+            const col = cell.col - minCol;
+            const row = cell.row - minRow;
+            const slotKey = freeSlot({ key: `${col}-${row}`, col, row });
+            if (!slotKey) {
+                skipped++;
+                continue;
+            }
+            taken.add(slotKey);
+            placed.push({ cell, slotKey });
+        }
+        if (placed.length === 0) return { copied: 0, skipped };
+
+        if (live) {
+            const targetGrid = this.getGridContainer(target.container, target.containerIndex);
+            const changes = new Map();
+            for (const { cell } of placed) changes.set(cell, null);
+            for (const { cell, slotKey } of placed) {
+                const [col, row] = slotKey.split('-').map(Number);
+                const destination = targetGrid?.getCell(col, row);
+                if (destination) changes.set(destination, cell.data);
+            }
+            await this._applyCellChanges(changes);
+            this.selection.clear();
+        } else {
+            await this.persistenceManager.updateCells(placed.map(({ cell, slotKey }) => ({
+                container: target.container,
+                containerIndex: target.containerIndex,
+                slotKey,
+                data: foundry.utils.deepClone(cell.data),
+                viewId: target.viewId
+            })));
+        }
+        return { copied: placed.length, skipped };
+    }
+
+    /**
+     * Show and persist new contents for several cells as one batch (one undo step)
+     * @param {Map<GridCell, Object|null>} changes - New data per cell
+     * @private
+     */
+    async _applyCellChanges(changes) {
+        const entries = [...changes.entries()];
+
+        await Promise.all(entries.map(([cell, data]) => cell.setData(data, { skipSave: true })));
+        for (const [cell, data] of entries) this._updateRuntimeGridItem(cell, data);
+
+        const weaponContainer = this.hotbarApp.components.weaponSets;
+        if (weaponContainer?.onCellUpdated) {
+            await Promise.all(entries
+                .filter(([cell]) => ContainerTypeDetector.isWeaponSet(cell))
+                .map(([cell]) => weaponContainer.onCellUpdated(cell.containerIndex, cell.getSlotKey())));
+        }
+
+        if (this.persistenceManager) {
+            await this.persistenceManager.updateCells(entries.map(([cell, data]) => ({
+                container: cell.containerType,
+                containerIndex: cell.containerIndex,
+                slotKey: cell.getSlotKey(),
+                data,
+                parentCell: cell.parentCell
+            })));
+        }
+    }
+
     /**
      * Handle external drop (from character sheet, compendium, etc.)
      * Single orchestration point for external item drops
@@ -706,6 +1029,37 @@ export class InteractionCoordinator {
         await macro.execute({ actor, token });
     }
 
+    /**
+     * Grid containers on the HUD, by container type
+     * @returns {{hotbar: Array<GridContainer>, weaponSet: Array<GridContainer>, quickAccess: Array<GridContainer>}}
+     * @private
+     */
+    _getGridContainerMap() {
+        return {
+            hotbar: this.hotbarApp?.components?.hotbar?.gridContainers ?? [],
+            weaponSet: this.hotbarApp?.components?.weaponSets?.gridContainers ?? [],
+            quickAccess: this.hotbarApp?.components?.quickAccess?.gridContainers ?? []
+        };
+    }
+
+    /**
+     * Every grid container on the HUD (container popovers excluded)
+     * @returns {Array<GridContainer>}
+     */
+    getGridContainers() {
+        return Object.values(this._getGridContainerMap()).flat();
+    }
+
+    /**
+     * Grid container of a container type and index
+     * @param {string} containerType - 'hotbar', 'weaponSet' or 'quickAccess'
+     * @param {number} containerIndex
+     * @returns {GridContainer|null}
+     */
+    getGridContainer(containerType, containerIndex) {
+        return this._getGridContainerMap()[containerType]?.[containerIndex] ?? null;
+    }
+
     /**
      * Keep runtime grid item maps in sync with direct cell mutations.
      * Prevents stale item data from reappearing on container re-renders
@@ -717,13 +1071,7 @@ export class InteractionCoordinator {
     _updateRuntimeGridItem(cell, data) {
         if (!cell) return;
 
-        const containerMap = {
-            hotbar: this.hotbarApp?.components?.hotbar?.gridContainers,
-            weaponSet: this.hotbarApp?.components?.weaponSets?.gridContainers,
-            quickAccess: this.hotbarApp?.components?.quickAccess?.gridContainers
-        };
-
-        const grid = containerMap[cell.containerType]?.[cell.containerIndex];
+        const grid = this.getGridContainer(cell.containerType, cell.containerIndex);
         if (!grid) return;
 
         const slotKey = cell.getSlotKey();
@@ -5,6 +5,7 @@
  */
 import { BG3HUD_REGISTRY } from '../utils/registry.js';
 import { PersistenceManager } from './PersistenceManager.js';
+import { CellOverrides } from '../utils/CellOverrides.js';
 
 export class ItemUpdateManager {
     constructor(options = {}) {
@@ -274,7 +275,7 @@ export class ItemUpdateManager {
                 }
 
                 if (cellData) {
-                    grid.items[existingLocation.slotKey] = cellData;
+                    grid.items[existingLocation.slotKey] = CellOverrides.carry(grid.items[existingLocation.slotKey], cellData);
                 }
             }
         }
@@ -345,7 +346,8 @@ export class ItemUpdateManager {
         for (let row = 0; row < rows; row++) {
             for (let col = 0; col < cols; col++) {
                 const slotKey = `${col}-${row}`;
-                if (!grid.items[slotKey]) {
+                // Pinned slots stay as the user left them
+                if (!grid.items[slotKey] && !grid.pinned?.includes(slotKey)) {
                     return slotKey;
                 }
             }
@@ -0,0 +1,171 @@
+import { BG3HUD_REGISTRY } from '../utils/registry.js';
+
+/**
+ * Layout Pack Manager
+ * HUD layouts shipped in compendiums, so worlds and modules can share them
+ *
+ * A layout pack is a JournalEntry flagged bg3-hud-core.layoutPack = {systemId}; each
+ * of its pages flagged bg3-hud-core.layout holds one layout in the portable export
+ * format (see LayoutTransferManager). Packs for another system are hidden; a pack
+ * without a systemId is shown everywhere. Applying a layout goes through the same
+ * relinking, preview and merge modes as a file import.
+ */
+export class LayoutPackManager {
+    /**
+     * Default name of the journal layouts are saved into
+     */
+    static DEFAULT_JOURNAL_NAME = 'BG3 HUD Layouts';
+
+    /**
+     * Create a layout pack manager
+     * @param {Object} options - Manager options
+     * @param {BG3Hotbar} options.hotbarApp - Main hotbar app
+     */
+    constructor(options = {}) {
+        this.hotbarApp = options.hotbarApp;
+        this.MODULE_ID = 'bg3-hud-core';
+        this.PACK_FLAG = 'layoutPack';
+        this.LAYOUT_FLAG = 'layout';
+    }
+
+    /**
+     * System the HUD is running for (the active adapter's, falling back to the game system)
+     * @returns {string}
+     */
+    get systemId() {
+        return BG3HUD_REGISTRY.activeAdapter?.systemId ?? game.system.id;
+    }
+
+    /**
+     * Journal compendiums the current user can see
+     * @returns {Array<CompendiumCollection>}
+     */
+    getJournalPacks() {
+        return game.packs.filter(pack => pack.documentName === 'JournalEntry' && pack.visible);
+    }
+
+    /**
+     * Journal compendiums a layout can be saved into (GM, unlocked)
+     * @returns {Array<CompendiumCollection>}
+     */
+    getWritablePacks() {
+        if (!game.user.isGM) return [];
+        return this.getJournalPacks().filter(pack => !pack.locked);
+    }
+
+    /**
+     * Every layout in the compendiums for the current system
+     * @returns {Promise<Array<{id: string, name: string, description: string, packId: string,
+     *          packLabel: string, journalName: string, systemId: string|null, uuid: string}>>}
+     */
+    async getLayouts() {
+        const layouts = [];
+        for (const pack of this.getJournalPacks()) {
+            try {
+                const index = await pack.getIndex({ fields: [`flags.${this.MODULE_ID}.${this.PACK_FLAG}`] });
+                const ids = index
+                    .filter(entry => this._matchesSystem(entry.flags?.[this.MODULE_ID]?.[this.PACK_FLAG]))
+                    .map(entry => entry._id);
+                if (ids.length === 0) continue;
+
+                const journals = await pack.getDocuments({ _id__in: ids });
+                for (const journal of journals) {
+                    const packSystem = journal.getFlag(this.MODULE_ID, this.PACK_FLAG)?.systemId ?? null;
+                    for (const page of journal.pages) {
+                        const layout = page.getFlag(this.MODULE_ID, this.LAYOUT_FLAG);
+                        if (!layout) continue;
+                        layouts.push({
+                            id: page.id,
+                            name: page.name,
+                            description: page.text?.content ?? '',
+                            packId: pack.collection,
+                            packLabel: pack.title,
+                            journalName: journal.name,
+                            systemId: layout.meta?.systemId ?? packSystem,
+                            uuid: page.uuid
+                        });
+                    }
+                }
+            } catch (error) {
+                console.warn(`[bg3-hud-core] LayoutPackManager: Could not read compendium ${pack.collection}:`, error);
+            }
+        }
+
+        return layouts
+            .filter(layout => this._matchesSystem({ systemId: layout.systemId }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Layout data of a pack entry
+     * @param {string} uuid - Page UUID
+     * @returns {Promise<Object|null>} Layout file data
+     */
+    async getLayoutData(uuid) {
+        const page = await fromUuid(uuid);
+        const layout = page?.getFlag(this.MODULE_ID, this.LAYOUT_FLAG);
+        return layout ? foundry.utils.deepClone(layout) : null;
+    }
+
+    /**
+     * Save the current layout (every panel and view, portable) into a compendium (GM)
+     * Layouts go into the compendium's layout journal, created if it has none.
+     * @param {string} packId - Compendium collection ID
+     * @param {string} name - Layout name
+     * @param {string} [description] - Shown in the layout browser
+     * @returns {Promise<JournalEntryPage|null>}
+     */
+    async saveLayout(packId, name, description = '') {
+        const pack = game.packs.get(packId);
+        if (!pack || pack.locked || !game.user.isGM) return null;
+
+        const transfer = this.hotbarApp.layoutTransferManager;
+        const state = transfer.getCurrentState();
+        if (!state) return null;
+
+        const layout = transfer.buildExport({
+            panels: transfer.constructor.PANELS.filter(panel => state[panel] !== undefined),
+            viewIds: (state.views?.list ?? []).map(v => v.id),
+            portable: true
+        });
+
+        const journal = await this._getOrCreateJournal(pack);
+        const [page] = await journal.createEmbeddedDocuments('JournalEntryPage', [{
+            name: name || this.hotbarApp.currentActor?.name || game.i18n.localize('bg3-hud-core.LayoutPacks.Untitled'),
+            type: 'text',
+            text: { content: description ? `<p>${foundry.utils.escapeHTML(description)}</p>` : '' },
+            flags: { [this.MODULE_ID]: { [this.LAYOUT_FLAG]: layout } }
+        }]);
+
+        console.info(`[bg3-hud-core] LayoutPackManager: Saved layout "${page.name}" to ${pack.collection}`);
+        return page;
+    }
+
+    /**
+     * The layout journal for this system in a compendium, created if missing
+     * @param {CompendiumCollection} pack - Unlocked journal compendium
+     * @returns {Promise<JournalEntry>}
+     * @private
+     */
+    async _getOrCreateJournal(pack) {
+        const index = await pack.getIndex({ fields: [`flags.${this.MODULE_ID}.${this.PACK_FLAG}`] });
+        const existing = index.find(entry => entry.flags?.[this.MODULE_ID]?.[this.PACK_FLAG]?.systemId === this.systemId);
+        if (existing) return pack.getDocument(existing._id);
+
+        return JournalEntry.create({
+            name: LayoutPackManager.DEFAULT_JOURNAL_NAME,
+            flags: { [this.MODULE_ID]: { [this.PACK_FLAG]: { systemId: this.systemId } } }
+        }, { pack: pack.collection });
+    }
+
+    /**
+     * Whether a layout pack flag applies to the current system
+     * @param {Object|undefined} flag - {systemId}; undefined if the journal isn't a layout pack
+     * @returns {boolean}
+     * @private
+     */
+    _matchesSystem(flag) {
+        if (!flag) return false;
+        return !flag.systemId || flag.systemId === this.systemId;
+    }
+}
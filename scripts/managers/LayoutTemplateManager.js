@@ -0,0 +1,164 @@
+import { PersistenceManager } from './PersistenceManager.js';
+import { ItemMatcher } from '../utils/ItemMatcher.js';
+
+/**
+ * Layout Template Manager
+ * World-scoped library of named HUD layouts (setting: bg3-hud-core.layoutTemplates)
+ *
+ * Templates are captured from an actor's state. Cells that point at the actor's own
+ * embedded items are annotated with what is needed to find the equivalent item on
+ * another actor (source ID, name, type). Applying a template re-points those cells at
+ * each target actor's items; slots with no matching item are left empty and reported.
+ * Macros and world/compendium documents are applied unchanged.
+ */
+export class LayoutTemplateManager {
+    /**
+     * Panels a template carries
+     */
+    static PANELS = ['hotbar', 'weaponSets', 'quickAccess', 'views'];
+
+    /**
+     * Create a template manager
+     * @param {Object} options - Manager options
+     * @param {BG3Hotbar} options.hotbarApp - Main hotbar app (its persistence manager is used for the HUD actor)
+     */
+    constructor(options = {}) {
+        this.hotbarApp = options.hotbarApp;
+        this.MODULE_ID = 'bg3-hud-core';
+        this.SETTING_NAME = 'layoutTemplates';
+    }
+
+    /**
+     * Get all templates, newest first
+     * @returns {Array<Object>} Templates {id, name, timestamp, sourceActorName, state}
+     */
+    getTemplates() {
+        const templates = game.settings.get(this.MODULE_ID, this.SETTING_NAME);
+        return Array.isArray(templates) ? foundry.utils.deepClone(templates) : [];
+    }
+
+    /**
+     * Get one template by ID
+     * @param {string} templateId - Template ID
+     * @returns {Object|null}
+     */
+    getTemplate(templateId) {
+        return this.getTemplates().find(t => t.id === templateId) ?? null;
+    }
+
+    /**
+     * Capture an actor's current layout as a new template
+     * @param {string} name - Template name
+     * @param {Actor} actor - Actor to capture from
+     * @returns {Promise<Object>} The new template
+     */
+    async captureTemplate(name, actor) {
+        const state = await this._loadActorState(actor);
+
+        const templateState = {};
+        for (const panel of LayoutTemplateManager.PANELS) {
+            if (state[panel] !== undefined) {
+                templateState[panel] = foundry.utils.deepClone(state[panel]);
+            }
+        }
+        // The active view's hotbar copy is re-synced from the hotbar on apply
+        ItemMatcher.pack(templateState, { skipActiveView: true });
+
+        const template = {
+            id: foundry.utils.randomID(16),
+            name: name || actor.name,
+            timestamp: Date.now(),
+            sourceActorName: actor.name,
+            state: templateState
+        };
+
+        await game.settings.set(this.MODULE_ID, this.SETTING_NAME, [template, ...this.getTemplates()]);
+        console.info(`[bg3-hud-core] LayoutTemplateManager: Saved template "${template.name}" from ${actor.name}`);
+        return template;
+    }
+
+    /**
+     * Delete a template
+     * @param {string} templateId - Template ID
+     * @returns {Promise<void>}
+     */
+    async deleteTemplate(templateId) {
+        const templates = this.getTemplates().filter(t => t.id !== templateId);
+        await game.settings.set(this.MODULE_ID, this.SETTING_NAME, templates);
+    }
+
+    /**
+     * Apply a template to one or more actors
+     * Each actor is handled independently; a failure on one doesn't stop the others.
+     * @param {string} templateId - Template ID
+     * @param {Array<Actor>} actors - Target actors
+     * @returns {Promise<Array<{actor: Actor, unmatched: Array<Object>, error?: Error}>>}
+     *   unmatched: [{location, slotKey, name}] slots left empty because no item matched
+     */
+    async applyTemplate(templateId, actors) {
+        const template = this.getTemplate(templateId);
+        if (!template) return [];
+
+        const results = [];
+        for (const actor of actors) {
+            try {
+                const { state, unmatched } = this._resolveForActor(template.state, actor);
+                const pm = this._getPersistenceManager(actor);
+                if (!pm.state) await pm.loadState();
+                await pm.replacePanels(state, LayoutTemplateManager.PANELS, 'applyTemplate');
+                results.push({ actor, unmatched });
+            } catch (error) {
+                console.error(`[bg3-hud-core] LayoutTemplateManager: Failed to apply template to ${actor.name}:`, error);
+                results.push({ actor, unmatched: [], error });
+            }
+        }
+
+        if (results.some(r => r.actor === this.hotbarApp?.currentActor)) {
+            await this.hotbarApp.refresh();
+        }
+
+        return results;
+    }
+
+    /**
+     * Build a copy of a template state with item cells re-pointed at an actor's items
+     * @param {Object} templateState - Template state
+     * @param {Actor} actor - Target actor
+     * @returns {{state: Object, unmatched: Array<Object>}}
+     * @private
+     */
+    _resolveForActor(templateState, actor) {
+        const state = foundry.utils.deepClone(templateState);
+        const unmatched = ItemMatcher.relink(state, actor, { skipActiveView: true });
+        return { state, unmatched };
+    }
+
+    /**
+     * Load an actor's state, preferring the live HUD state when it is the HUD actor
+     * @param {Actor} actor - Actor
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async _loadActorState(actor) {
+        const pm = this._getPersistenceManager(actor);
+        return pm.getState() ?? await pm.loadState();
+    }
+
+    /**
+     * Persistence manager for an actor: the HUD's own for the HUD actor, otherwise a fresh one
+     * on the actor's own layout whatever the storage mode (see PersistenceManager.saveActorLayout),
+     * so applying to other actors doesn't only change this user's copies of their layouts
+     * @param {Actor} actor - Actor
+     * @returns {PersistenceManager}
+     * @private
+     */
+    _getPersistenceManager(actor) {
+        if (actor === this.hotbarApp?.currentActor) {
+            return this.hotbarApp.persistenceManager;
+        }
+        const pm = new PersistenceManager();
+        pm.storageModeOverride = 'actor';
+        pm.setToken(actor);
+        return pm;
+    }
+}
@@ -0,0 +1,585 @@
+import { ViewPanels } from '../utils/ViewPanels.js';
+import { StateValidator } from './StateValidator.js';
+import { MigrationManager } from './MigrationManager.js';
+import { ItemMatcher } from '../utils/ItemMatcher.js';
+import { BG3HUD_REGISTRY } from '../utils/registry.js';
+import { LayoutCodec } from '../utils/LayoutCodec.js';
+
+/**
+ * Layout Transfer Manager
+ * Selective layout export and import (Settings menu → Export/Import Layout)
+ *
+ * Files use the version 2 layout format: the current hotbar, weapon sets and quick
+ * access at the top level, plus the views. A selective export simply leaves out the
+ * panels and views that weren't picked; legacy files (a bare hotbar grid array) are
+ * read as a hotbar-only layout.
+ *
+ * Importing applies the picked panels and views with one of three merge modes:
+ * - replace: picked panels replace the current ones; a picked view replaces the
+ *   contents of the current view with the same ID or name (which keeps the panels it
+ *   owns), otherwise it is added
+ * - fill:    only empty slots are filled, at the same grid and slot; unmatched views are added
+ * - newView: picked panels become a new view owning them; picked views are all added
+ * The current panels and views stay untouched in newView mode. Added views count
+ * against the view limit; views over it are skipped.
+ *
+ * Portable files (meta.portable) annotate every cell that points at the exporting
+ * actor's embedded items with its name, type, image and source (ItemMatcher.pack).
+ * Before such a file is previewed the cells are re-pointed at
+ * the importing actor's items; items that are missing can first be created from their
+ * compendium source, and slots that still match nothing are left empty and reported.
+ *
+ * A layout can also hold a single grid (meta.grid = {panel, index}). It is pasted
+ * into one grid of the current layout, keeping that grid's size; the rest of the
+ * panel is left as it is. Layouts go through the clipboard as LayoutCodec text.
+ */
+export class LayoutTransferManager {
+    /**
+     * Panels that can be exported and imported on their own
+     */
+    static PANELS = ['hotbar', 'weaponSets', 'quickAccess'];
+
+    /**
+     * Import merge modes
+     */
+    static MODES = ['replace', 'fill', 'newView'];
+
+    /**
+     * Panel holding each grid container type
+     */
+    static CONTAINER_PANELS = {
+        hotbar: 'hotbar',
+        weaponSet: 'weaponSets',
+        quickAccess: 'quickAccess'
+    };
+
+    /**
+     * Create a layout transfer manager
+     * @param {Object} options - Manager options
+     * @param {BG3Hotbar} options.hotbarApp - Main hotbar app
+     */
+    constructor(options = {}) {
+        this.hotbarApp = options.hotbarApp;
+        this.MODULE_ID = 'bg3-hud-core';
+    }
+
+    /**
+     * Persistence manager of the HUD
+     * @returns {PersistenceManager}
+     */
+    get persistenceManager() {
+        return this.hotbarApp?.persistenceManager;
+    }
+
+    /**
+     * Grids of a panel
+     * @param {Object} state - HUD state (or a view's hotbarState)
+     * @param {string} panel - 'hotbar' | 'weaponSets' | 'quickAccess'
+     * @returns {Array<Object>} Grids {rows, cols, items}
+     */
+    static getGrids(state, panel) {
+        const value = state?.[panel];
+        const grids = panel === 'weaponSets' ? value?.sets : value?.grids;
+        return Array.isArray(grids) ? grids : [];
+    }
+
+    /**
+     * Current state with the active view's copies brought up to date
+     * @returns {Object|null}
+     */
+    getCurrentState() {
+        const state = this.persistenceManager?.getState();
+        if (!state) return null;
+
+        const current = foundry.utils.deepClone(state);
+        this.persistenceManager._syncCurrentStateToActiveView(current);
+        return current;
+    }
+
+    /* ==========================================================================
+       EXPORT
+       ========================================================================== */
+
+    /**
+     * Build an export payload with only the picked panels and views
+     * @param {Object} selection - What to export
+     * @param {Array<string>} selection.panels - Panel names
+     * @param {Array<string>} selection.viewIds - View IDs
+     * @param {boolean} [selection.portable=false] - Annotate item cells so they can be relinked on another actor
+     * @param {{panel: string, index: number}} [selection.grid] - Export only this grid (panels and views are ignored)
+     * @returns {Object|null} Layout file data (format version 2)
+     */
+    buildExport({ panels = [], viewIds = [], portable = false, grid = null } = {}) {
+        const state = this.getCurrentState();
+        if (!state) return null;
+
+        if (grid) {
+            const source = LayoutTransferManager.getGrids(state, grid.panel)[grid.index];
+            if (!source) return null;
+            const value = grid.panel === 'weaponSets' ? { sets: [source] } : { grids: [source] };
+            state[grid.panel] = value;
+            panels = [grid.panel];
+            viewIds = [];
+            delete state.views;
+        }
+
+        if (portable) ItemMatcher.pack(state);
+
+        const payload = {
+            meta: {
+                module: this.MODULE_ID,
+                version: 2,
+                timestamp: new Date().toISOString(),
+                actorUuid: this.hotbarApp.currentActor?.uuid || null,
+                actorName: this.hotbarApp.currentActor?.name || null,
+                tokenId: this.hotbarApp.currentToken?.id || null,
+                systemId: BG3HUD_REGISTRY.activeAdapter?.systemId ?? game.system.id,
+                panels: panels.filter(panel => LayoutTransferManager.PANELS.includes(panel)),
+                portable
+            }
+        };
+        if (grid) payload.meta.grid = { panel: grid.panel, index: grid.index };
+
+        if (panels.includes('hotbar')) {
+            payload.hotbar = state.hotbar?.grids || [];
+        }
+        if (panels.includes('weaponSets')) {
+            payload.weaponSets = state.weaponSets?.sets || [];
+            if (!grid) payload.activeWeaponSet = state.weaponSets?.activeSet ?? 0;
+        }
+        if (panels.includes('quickAccess')) {
+            payload.quickAccess = state.quickAccess || { grids: [] };
+        }
+
+        const views = (state.views?.list ?? []).filter(view => viewIds.includes(view.id));
+        if (views.length) {
+            const activeViewId = views.some(v => v.id === state.views.activeViewId) ? state.views.activeViewId : views[0].id;
+            payload.views = { list: views, activeViewId };
+        }
+
+        return payload;
+    }
+
+    /**
+     * Export the picked panels and views to a JSON file
+     * @param {Object} selection - See buildExport
+     * @returns {boolean} False if there was nothing to export
+     */
+    exportLayout(selection) {
+        const payload = this.buildExport(selection);
+        if (!payload) return false;
+
+        const filename = `bg3-hud-layout-${Date.now()}.json`;
+        foundry.utils.saveDataToFile(JSON.stringify(payload, null, 2), 'application/json', filename);
+        return true;
+    }
+
+    /**
+     * Copy the picked panels and views (or a single grid) to the clipboard
+     * @param {Object} selection - See buildExport
+     * @returns {Promise<boolean>} False if there was nothing to copy
+     */
+    async copyLayout(selection) {
+        const payload = this.buildExport(selection);
+        if (!payload) return false;
+
+        await game.clipboard.copyPlainText(await LayoutCodec.encode(payload));
+        return true;
+    }
+
+    /* ==========================================================================
+       IMPORT
+       ========================================================================== */
+
+    /**
+     * Read a layout file into a validated state
+     * @param {Object|Array} data - Parsed file contents
+     * @returns {{state: Object, panels: Array<string>, views: Array<Object>, meta: Object, portable: boolean,
+     *          grid: {panel: string, index: number}|null, repaired: number}}
+     *          panels and views are what the file actually contains; portable files need relinkImport();
+     *          grid is set for a single-grid layout
+     * @throws {Error} If the data isn't a layout file
+     */
+    readImport(data) {
+        const pm = this.persistenceManager;
+        let state;
+        let panels;
+
+        if (Array.isArray(data)) {
+            // Legacy format: just the hotbar grids
+            state = { hotbar: { grids: foundry.utils.deepClone(data) } };
+            panels = ['hotbar'];
+        } else if (data && typeof data === 'object' && (data.meta?.version ?? 1) === 2) {
+            state = {};
+            if (Array.isArray(data.hotbar)) {
+                state.hotbar = { grids: foundry.utils.deepClone(data.hotbar) };
+            }
+            if (Array.isArray(data.weaponSets)) {
+                state.weaponSets = { sets: foundry.utils.deepClone(data.weaponSets), activeSet: data.activeWeaponSet ?? 0 };
+            }
+            if (data.quickAccess && typeof data.quickAccess === 'object') {
+                state.quickAccess = foundry.utils.deepClone(data.quickAccess);
+            }
+            if (Array.isArray(data.views?.list)) {
+                state.views = foundry.utils.deepClone(data.views);
+            }
+            panels = LayoutTransferManager.PANELS.filter(panel => state[panel] !== undefined);
+        } else {
+            throw new Error('Invalid layout format');
+        }
+
+        if (!panels.length && !state.views?.list?.length) throw new Error('Layout file is empty');
+
+        let grid = null;
+        const gridMeta = data.meta?.grid;
+        if (gridMeta && panels.includes(gridMeta.panel)) {
+            if (LayoutTransferManager.getGrids(state, gridMeta.panel).length !== 1 || state.views) {
+                throw new Error('Single-grid layout holds more than one grid');
+            }
+            panels = [gridMeta.panel];
+            grid = { panel: gridMeta.panel, index: Math.max(0, Number(gridMeta.index) || 0) };
+        }
+
+        // Imported files may be hand-edited: repair before anything is compared or saved
+        pm._migrateQuickAccessFormat(state);
+        state = pm.validateState(state, 'import', LayoutTransferManager._getImportSchema(grid));
+        const repaired = pm.lastValidationReport?.entries.length ?? 0;
+
+        return {
+            state,
+            panels,
+            views: state.views?.list ?? [],
+            meta: foundry.utils.deepClone(data.meta ?? {}),
+            portable: !!data.meta?.portable,
+            grid,
+            repaired
+        };
+    }
+
+    /**
+     * Point a single-grid import at another grid, possibly of another panel
+     * @param {Object} incoming - Result of readImport for a single-grid layout (mutated)
+     * @param {{panel: string, index: number}} target - Grid to paste into
+     */
+    retargetGrid(incoming, { panel, index }) {
+        if (!incoming.grid || !LayoutTransferManager.PANELS.includes(panel)) return;
+
+        const [grid] = LayoutTransferManager.getGrids(incoming.state, incoming.grid.panel);
+        delete incoming.state[incoming.grid.panel];
+        incoming.state[panel] = panel === 'weaponSets' ? { sets: [grid] } : { grids: [grid] };
+        incoming.panels = [panel];
+        incoming.grid = { panel, index };
+    }
+
+    /**
+     * Decode pasted text and read it like a layout file
+     * @param {string} text - Clipboard text (LayoutCodec text or layout JSON)
+     * @returns {Promise<Object>} See readImport
+     * @throws {Error} If the text isn't a layout
+     */
+    async readClipboardText(text) {
+        return this.readImport(await LayoutCodec.decode(text));
+    }
+
+    /**
+     * Items a portable import refers to that the actor doesn't have
+     * @param {Object} incoming - Result of readImport
+     * @param {Actor|null} actor - Importing actor
+     * @returns {Array<{name: string, type: string|null, img: string|null, sourceId: string|null, count: number}>}
+     *          One entry per item, with the number of slots using it
+     */
+    findMissingItems(incoming, actor) {
+        const missing = new Map();
+        MigrationManager.forEachCell(incoming.state, (cell) => {
+            const match = cell[ItemMatcher.CELL_FIELD];
+            if (!match || (actor && ItemMatcher.resolveCell(actor, match))) return;
+
+            const key = match.sourceId || `${match.type}:${match.name}`;
+            const entry = missing.get(key) ?? { name: match.name, type: match.type, img: match.img, sourceId: match.sourceId, count: 0 };
+            entry.count++;
+            missing.set(key, entry);
+        });
+        return [...missing.values()];
+    }
+
+    /**
+     * Create missing items on an actor from their compendium (or world) source
+     * @param {Actor} actor - Importing actor
+     * @param {Array<Object>} missing - Entries from findMissingItems with a sourceId
+     * @returns {Promise<Array<Object>>} Entries whose source couldn't be loaded
+     */
+    async createMissingItems(actor, missing) {
+        const itemData = [];
+        const failed = [];
+        for (const entry of missing) {
+            const source = entry.sourceId ? await fromUuid(entry.sourceId).catch(() => null) : null;
+            if (!(source instanceof Item)) {
+                failed.push(entry);
+                continue;
+            }
+            const data = source.toObject();
+            delete data._id;
+            // Recorded so ItemMatcher finds the new item by its source
+            foundry.utils.setProperty(data, '_stats.compendiumSource', source.uuid);
+            itemData.push(data);
+        }
+
+        if (itemData.length) {
+            await actor.createEmbeddedDocuments('Item', itemData);
+            console.info(`[bg3-hud-core] LayoutTransferManager: Created ${itemData.length} item(s) on ${actor.name} for an import`);
+        }
+        return failed;
+    }
+
+    /**
+     * Re-point the cells of a portable import at the actor's items
+     * Slots with no matching item are removed. Without an actor (GM hotbar) cells are
+     * kept only if the document they point at still exists.
+     * @param {Object} incoming - Result of readImport (mutated)
+     * @param {Actor|null} actor - Importing actor
+     * @returns {Array<{location: string, slotKey: string, name: string}>} Slots left empty
+     */
+    relinkImport(incoming, actor) {
+        const unmatched = ItemMatcher.relink(incoming.state, actor);
+        incoming.portable = false;
+        return unmatched;
+    }
+
+    /**
+     * Preview an import: the current state and the state it would produce
+     * @param {Object} incoming - Result of readImport
+     * @param {Object} selection - {panels, viewIds, mode}
+     * @returns {{before: Object, after: Object, skipped: Array<string>}}
+     */
+    planImport(incoming, selection) {
+        const before = this.getCurrentState();
+        const after = foundry.utils.deepClone(before);
+        const { skipped } = this._applyImport(after, incoming, selection);
+        this.persistenceManager._syncCurrentStateToActiveView(after);
+        return { before, after, skipped };
+    }
+
+    /**
+     * Import the picked panels and views into the current state and save
+     * Recorded in undo history; callers take a snapshot first and refresh after.
+     * @param {Object} incoming - Result of readImport
+     * @param {Object} selection - {panels, viewIds, mode}
+     * @returns {Promise<{skipped: Array<string>}>} Names of views skipped at the view limit
+     */
+    async importLayout(incoming, selection) {
+        let result = { skipped: [] };
+        await this.persistenceManager.editState(state => {
+            result = this._applyImport(state, incoming, selection);
+        }, 'importLayout');
+        return result;
+    }
+
+    /**
+     * Grids that differ between two states, for the side-by-side preview
+     * @param {Object} before - Current state
+     * @param {Object} after - State after import
+     * @returns {Array<{panel: string, view: Object|null, index: number, before: Object|null, after: Object, changed: Set<string>}>}
+     *          view is null for the live panels; changed holds slot keys
+     */
+    diff(before, after) {
+        const changes = [];
+        const compare = (beforeGrids, afterGrids, panel, view) => {
+            afterGrids.forEach((grid, index) => {
+                const previous = beforeGrids[index] ?? null;
+                const changed = this._changedSlots(previous, grid);
+                const resized = previous && (previous.rows !== grid.rows || previous.cols !== grid.cols);
+                if (changed.size || resized || !previous) {
+                    changes.push({ panel, view, index, before: previous, after: grid, changed });
+                }
+            });
+        };
+
+        for (const panel of LayoutTransferManager.PANELS) {
+            compare(LayoutTransferManager.getGrids(before, panel), LayoutTransferManager.getGrids(after, panel), panel, null);
+        }
+
+        // The active view mirrors the live panels, so only other views are listed
+        const beforeViews = new Map((before?.views?.list ?? []).map(v => [v.id, v]));
+        for (const view of after?.views?.list ?? []) {
+            if (view.id === after.views.activeViewId && beforeViews.has(view.id)) continue;
+            const previous = beforeViews.get(view.id);
+            for (const panel of ViewPanels.STATE_PANELS) {
+                const grids = LayoutTransferManager.getGrids(view.hotbarState, panel);
+                if (!grids.length) continue;
+                compare(previous ? LayoutTransferManager.getGrids(previous.hotbarState, panel) : [], grids, panel, view);
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Apply an import to a state in place
+     * @param {Object} state - HUD state (mutated); active view copies must be current
+     * @param {Object} incoming - Result of readImport
+     * @param {Object} selection - {panels, viewIds, mode}
+     * @returns {{skipped: Array<string>}}
+     * @private
+     */
+    _applyImport(state, incoming, { panels = [], viewIds = [], mode = 'replace' } = {}) {
+        const pm = this.persistenceManager;
+        const skipped = [];
+
+        // The GM hotbar only has a hotbar panel and no views
+        const gmMode = pm.isGMHotbarMode();
+        panels = panels.filter(panel => incoming.panels.includes(panel) && (!gmMode || state[panel] !== undefined));
+        const views = gmMode ? [] : incoming.views.filter(v => viewIds.includes(v.id));
+        if (gmMode && mode === 'newView') return { skipped };
+
+        if (!gmMode) pm._ensureViewsStructure(state);
+        const list = state.views?.list ?? [];
+        const canAdd = () => list.length < pm.constructor.getMaxViews();
+        const addView = (view) => {
+            if (!canAdd()) {
+                skipped.push(view.name);
+                return;
+            }
+            const added = foundry.utils.deepClone(view);
+            added.id = pm._generateViewId();
+            list.push(added);
+        };
+
+        // Views first, so panels picked alongside them win for the active view
+        let activeChanged = false;
+        for (const view of views) {
+            const match = mode === 'newView'
+                ? null
+                : list.find(v => v.id === view.id) ?? list.find(v => v.name === view.name);
+            if (!match) {
+                addView(view);
+                continue;
+            }
+
+            // Matched views keep the panels they own; only the contents change
+            for (const panel of ViewPanels.STATE_PANELS) {
+                const value = view.hotbarState?.[panel];
+                if (!value || !ViewPanels.owns(match, panel)) continue;
+                match.hotbarState ??= {};
+                if (mode === 'fill' && match.hotbarState[panel]) {
+                    this._fillPanel(match.hotbarState, value, panel);
+                } else {
+                    match.hotbarState[panel] = foundry.utils.deepClone(value);
+                }
+            }
+            if (match.id === state.views.activeViewId) activeChanged = true;
+        }
+        if (activeChanged) pm._loadActiveViewPanels(state);
+
+        if (panels.length === 0) return { skipped };
+
+        if (mode === 'newView') {
+            const name = game.i18n.format('bg3-hud-core.LayoutTransfer.ImportedViewName', {
+                name: incoming.meta?.actorName || game.i18n.localize('bg3-hud-core.LayoutTransfer.ImportedViewDefault')
+            });
+            const hotbarState = {};
+            for (const panel of panels) hotbarState[panel] = this._getIncomingPanel(state, incoming, panel);
+            addView({ name, icon: 'fa-file-import', panels, hotbarState });
+            return { skipped };
+        }
+
+        for (const panel of panels) {
+            const value = this._getIncomingPanel(state, incoming, panel);
+            if (mode === 'fill') {
+                this._fillPanel(state, value, panel);
+            } else {
+                state[panel] = value;
+            }
+        }
+        return { skipped };
+    }
+
+    /**
+     * Incoming value of a panel, ready to store
+     * A single grid is placed into a copy of the current panel at its target index,
+     * taking that grid's size; items outside it are left out. A target past the
+     * panel's last grid leaves the panel unchanged.
+     * @param {Object} state - Current HUD state
+     * @param {Object} incoming - Result of readImport
+     * @param {string} panel - Panel name
+     * @returns {Object} Panel value
+     * @private
+     */
+    _getIncomingPanel(state, incoming, panel) {
+        if (incoming.grid?.panel !== panel) return foundry.utils.deepClone(incoming.state[panel]);
+
+        const value = foundry.utils.deepClone(state[panel]);
+        const target = LayoutTransferManager.getGrids(value, panel)[incoming.grid.index];
+        const [source] = LayoutTransferManager.getGrids(incoming.state, panel);
+        if (!target || !source) return value;
+
+        target.items = {};
+        for (const [slotKey, item] of Object.entries(source.items ?? {})) {
+            const [col, row] = slotKey.split('-').map(Number);
+            if (!item || col >= target.cols || row >= target.rows) continue;
+            target.items[slotKey] = foundry.utils.deepClone(item);
+        }
+        return value;
+    }
+
+    /**
+     * Copy incoming items into the empty slots of a panel's existing grids
+     * Slots outside the current grid size are left out.
+     * @param {Object} target - State or hotbarState holding the panel (mutated)
+     * @param {Object} source - Incoming panel value
+     * @param {string} panel - Panel name
+     * @private
+     */
+    _fillPanel(target, source, panel) {
+        const grids = LayoutTransferManager.getGrids(target, panel);
+        LayoutTransferManager.getGrids({ [panel]: source }, panel).forEach((incoming, index) => {
+            const grid = grids[index];
+            if (!grid) return;
+            grid.items ??= {};
+            for (const [slotKey, item] of Object.entries(incoming.items ?? {})) {
+                if (!item || grid.items[slotKey]) continue;
+                const [col, row] = slotKey.split('-').map(Number);
+                if (col >= grid.cols || row >= grid.rows) continue;
+                grid.items[slotKey] = foundry.utils.deepClone(item);
+            }
+        });
+    }
+
+    /**
+     * hudState schema where every panel may be missing (selective exports leave them out)
+     * @param {{panel: string}|null} [grid] - Single-grid layout: its panel holds just the one grid
+     * @returns {Object} Schema node
+     * @private
+     */
+    static _getImportSchema(grid = null) {
+        const schema = StateValidator.SCHEMA;
+        for (const key of ['version', ...this.PANELS]) {
+            schema.properties[key] = { ...schema.properties[key], optional: true };
+        }
+        if (grid) {
+            const node = schema.properties[grid.panel];
+            const key = grid.panel === 'weaponSets' ? 'sets' : 'grids';
+            node.properties = { ...node.properties, [key]: { ...node.properties[key], minLength: 1 } };
+        }
+        return schema;
+    }
+
+    /**
+     * Slot keys whose contents differ between two grids
+     * @param {Object|null} before - Grid
+     * @param {Object} after - Grid
+     * @returns {Set<string>}
+     * @private
+     */
+    _changedSlots(before, after) {
+        const changed = new Set();
+        const a = before?.items ?? {};
+        const b = after?.items ?? {};
+        for (const slotKey of new Set([...Object.keys(a), ...Object.keys(b)])) {
+            const x = a[slotKey] ?? null;
+            const y = b[slotKey] ?? null;
+            if (x === y) continue;
+            if (!x || !y || !foundry.utils.objectsEqual(x, y)) changed.add(slotKey);
+        }
+        return changed;
+    }
+}
@@ -0,0 +1,198 @@
+import { BG3HUD_REGISTRY } from '../utils/registry.js';
+
+/**
+ * Migration Manager
+ * Ordered, pluggable migration steps for the unified HUD state
+ *
+ * Versions are tracked per scope: 'core' uses state.version, every other scope
+ * (an adapter's MODULE_ID) uses state.schemaVersions[scope], starting at 0.
+ * Steps move one scope from one version to a higher one:
+ *   { scope, from, to, label, migrate(state, context) }
+ * Core steps are listed in CORE_STEPS; adapters add theirs via BG3HUD_API.registerMigration().
+ * migrate() may mutate the state or return a replacement, and may be async.
+ */
+export class MigrationManager {
+    /**
+     * forEachCell viewId of the shared panels parked in state.views.shared
+     */
+    static SHARED_PANELS = '@shared';
+
+    /**
+     * Core state migrations
+     */
+    static CORE_STEPS = [
+        {
+            scope: 'core',
+            from: 1,
+            to: 2,
+            label: 'Add hotbar views',
+            migrate: (state, { persistenceManager }) => persistenceManager._migrateToVersion2(state)
+        },
+        {
+            scope: 'core',
+            from: 2,
+            to: 3,
+            label: 'Store grid and view lists keyed',
+            migrate: (state, { persistenceManager }) => persistenceManager._migrateToVersion3(state)
+        }
+    ];
+
+    /**
+     * All known steps (core first, then adapter registrations in order)
+     * @returns {Array<Object>}
+     */
+    static getSteps() {
+        return [...this.CORE_STEPS, ...(BG3HUD_REGISTRY.migrations ?? [])];
+    }
+
+    /**
+     * Highest version any registered step reaches for a scope
+     * @param {string} scope - 'core' or an adapter MODULE_ID
+     * @returns {number}
+     */
+    static getLatestVersion(scope) {
+        return this.getSteps()
+            .filter(step => step.scope === scope)
+            .reduce((latest, step) => Math.max(latest, step.to), 0);
+    }
+
+    /**
+     * Version a state is at for a scope
+     * @param {Object} state - HUD state
+     * @param {string} scope - 'core' or an adapter MODULE_ID
+     * @returns {number}
+     */
+    static getVersion(state, scope) {
+        if (scope === 'core') return state?.version ?? 0;
+        return state?.schemaVersions?.[scope] ?? 0;
+    }
+
+    /**
+     * Whether any registered step applies to this state
+     * @param {Object} state - HUD state
+     * @returns {boolean}
+     */
+    static needsMigration(state) {
+        return this.getSteps().some(step => step.from === this.getVersion(state, step.scope));
+    }
+
+    /**
+     * Mark a freshly built state as current for every scope, so no step runs on it
+     * @param {Object} state - HUD state (mutated)
+     * @returns {Object} The same state
+     */
+    static stampLatest(state) {
+        const scopes = new Set(this.getSteps().map(step => step.scope));
+        scopes.delete('core');
+        if (scopes.size === 0) return state;
+
+        state.schemaVersions = state.schemaVersions ?? {};
+        for (const scope of scopes) {
+            state.schemaVersions[scope] = Math.max(state.schemaVersions[scope] ?? 0, this.getLatestVersion(scope));
+        }
+        return state;
+    }
+
+    /**
+     * Run every applicable step, scope by scope ('core' first)
+     * Each step runs on a copy; a failing step leaves its scope at the last good version
+     * and the remaining scopes still migrate.
+     * @param {Object} state - HUD state (not mutated)
+     * @param {Object} context - Passed to each step ({actor, persistenceManager})
+     * @returns {Promise<{state: Object, applied: Array<Object>, failed: Array<Object>}>}
+     *   applied/failed: [{scope, from, to, label, error?}]
+     */
+    static async run(state, context = {}) {
+        let working = foundry.utils.deepClone(state);
+        const applied = [];
+        const failed = [];
+
+        const steps = this.getSteps();
+        const scopes = [...new Set(steps.map(step => step.scope))]
+            .sort((a, b) => (a === 'core' ? -1 : b === 'core' ? 1 : a.localeCompare(b)));
+
+        for (const scope of scopes) {
+            let step;
+            while ((step = this._nextStep(steps, scope, this.getVersion(working, scope)))) {
+                const info = { scope, from: step.from, to: step.to, label: step.label ?? '' };
+                try {
+                    const candidate = foundry.utils.deepClone(working);
+                    const result = await step.migrate(candidate, { ...context, scope, from: step.from, to: step.to });
+                    working = result ?? candidate;
+                    this._setVersion(working, scope, step.to);
+                    applied.push(info);
+                } catch (error) {
+                    failed.push({ ...info, error });
+                    break;
+                }
+            }
+        }
+
+        return { state: working, applied, failed };
+    }
+
+    /**
+     * Visit every filled cell in a state, including inactive views' hotbars
+     * Convenience for adapter steps that rewrite per-cell fields, and the one walk over a
+     * layout's cells used throughout core. A view's hotbarState can be passed as the state.
+     * @param {Object} state - HUD state
+     * @param {Function} fn - fn(cell, slotKey, items, ref); return a value to replace the cell
+     *   ref: {panel, gridIndex, slotKey, viewId, location}; panel is 'hotbar', 'weaponSets'
+     *   or 'quickAccess', viewId is null for the live panels and SHARED_PANELS for the
+     *   shared ones, location is a readable label such as "Combat: Hotbar 2"
+     * @param {Object} [options]
+     * @param {boolean} [options.skipActiveView=false] - Skip the active view's copies (they mirror the live panels)
+     */
+    static forEachCell(state, fn, { skipActiveView = false } = {}) {
+        const labels = {
+            hotbar: 'bg3-hud-core.Location.Hotbar',
+            weaponSets: 'bg3-hud-core.Location.WeaponSet',
+            quickAccess: 'bg3-hud-core.Location.QuickAccess'
+        };
+        const visit = (panels, viewId, prefix) => {
+            const gridLists = {
+                hotbar: panels?.hotbar?.grids,
+                weaponSets: panels?.weaponSets?.sets,
+                quickAccess: panels?.quickAccess?.grids
+            };
+            for (const [panel, grids] of Object.entries(gridLists)) {
+                (grids ?? []).forEach((grid, gridIndex) => {
+                    for (const [slotKey, cell] of Object.entries(grid?.items ?? {})) {
+                        if (!cell) continue;
+                        const location = game.i18n.format(labels[panel], { prefix, index: gridIndex + 1 });
+                        const replacement = fn(cell, slotKey, grid.items, { panel, gridIndex, slotKey, viewId, location });
+                        if (replacement !== undefined) grid.items[slotKey] = replacement;
+                    }
+                });
+            }
+        };
+
+        // The live panels, the parked shared panels and every view's copies
+        visit(state, null, '');
+        visit(state?.views?.shared, this.SHARED_PANELS, game.i18n.localize('bg3-hud-core.Location.Shared'));
+        for (const view of state?.views?.list ?? []) {
+            if (skipActiveView && view?.id === state.views.activeViewId) continue;
+            visit(view?.hotbarState, view?.id ?? null, game.i18n.format('bg3-hud-core.Location.View', { name: view?.name ?? '' }));
+        }
+    }
+
+    /**
+     * Step that starts at a version (the one reaching furthest if several do)
+     * @private
+     */
+    static _nextStep(steps, scope, version) {
+        return steps
+            .filter(step => step.scope === scope && step.from === version)
+            .sort((a, b) => b.to - a.to)[0] ?? null;
+    }
+
+    /** @private */
+    static _setVersion(state, scope, version) {
+        if (scope === 'core') {
+            state.version = version;
+            return;
+        }
+        state.schemaVersions = state.schemaVersions ?? {};
+        state.schemaVersions[scope] = version;
+    }
+}
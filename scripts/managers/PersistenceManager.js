@@ -1,29 +1,96 @@
+import { HistoryManager } from './HistoryManager.js';
+import { StateMerger } from './StateMerger.js';
+import { StateValidator } from './StateValidator.js';
+import { MigrationManager } from './MigrationManager.js';
+import { StateDiff } from './StateDiff.js';
+import { ViewPanels } from '../utils/ViewPanels.js';
+import { CellOverrides } from '../utils/CellOverrides.js';
+
 /**
  * Persistence Manager
  * Single source of truth for all HUD state
  * Uses unified flag: bg3-hud-core.hudState
+ *
+ * Storage (world setting layoutStorageMode):
+ * - 'actor': one layout per actor, in the actor's hudState flag
+ * - 'user': one layout per user and actor, in the user's hudLayouts flag keyed by actor UUID
+ * - 'userFallback': per user, but a user with no layout of their own starts from the actor's
+ *
+ * Unlinked tokens (getTokenLayoutPolicy, per base actor or world setting tokenLayoutPolicy):
+ * - 'inherit': the base actor's layout, read-only; 'share': the base actor's layout, editable
+ *   (as 'copy' for users who can't write the base actor's flag)
+ * - 'copy': the base actor's layout until the first edit, then the token's own (token delta)
+ *
+ * Views (state.views):
+ * - Each view owns some of hotbar, weapon sets, quick access and the passives selection
+ *   (ViewPanels); switchView() swaps every owned panel in one save, parking the shared
+ *   value of a panel in views.shared while a view that owns it is active
  * 
  * Multi-user sync strategy:
- * - State is saved via actor.setFlag() which Foundry broadcasts to all clients
+ * - Saves send only the flag paths that differ from the stored state (StateDiff), with
+ *   removed keys deleted via `-=`; Foundry broadcasts the update to all clients
+ * - Grid lists are stored keyed by index and the view list keyed by view ID (plus
+ *   views.order), so a single slot or view has an update path (see _toStoredForm)
  * - Other clients receive the update via the 'updateActor' hook
- * - UpdateCoordinator._reconcileWithServerState() updates the UI on remote clients
- * - _lastSaveTimestamp prevents self-triggered hook reloads
+ * - Every slot carries a revision stamp (state.slotRevisions); local edits are stamped
+ *   against _syncedState (the last state known to be on the server) before saving
+ * - Saves and incoming remote updates are merged per slot by StateMerger, so users
+ *   editing different cells keep both changes; same-slot conflicts resolve by stamp
+ *   and the losing client is notified
+ * - UpdateCoordinator._reconcileWithServerState() re-renders only what the merge changed
+ *
+ * Migrations:
+ * - Core and adapter steps (MigrationManager) run lazily in loadState() when a stored
+ *   state is behind; the old state is backed up once (hudStateBackup) before the
+ *   migrated state is saved, and the applied steps are logged per actor
+ *
+ * Validation:
+ * - Every loaded or imported state is checked against StateValidator's schema and
+ *   repaired in memory; the repair report is kept in lastValidationReport for the
+ *   diagnostics dialog and is persisted with the next save
+ *
+ * Undo/redo:
+ * - Every layout mutation records the slots (StateMerger registers) it changed into a
+ *   per-actor HistoryManager
+ * - undo()/redo() write only those slots back, so cells other users edited meanwhile
+ *   are left alone; callers re-render via UpdateCoordinator.reconcileComponents()
  */
 export class PersistenceManager {
+    /**
+     * Grid lists ([panel, key]) stored as objects keyed by index (see _toStoredForm)
+     */
+    static STORED_GRID_LISTS = [['hotbar', 'grids'], ['weaponSets', 'sets'], ['quickAccess', 'grids']];
+
+    /**
+     * Maximum number of views per layout (world setting maxViews, 0 = unlimited)
+     * @returns {number}
+     */
+    static getMaxViews() {
+        const max = game.settings.get('bg3-hud-core', 'maxViews');
+        return max > 0 ? max : Infinity;
+    }
+
     constructor() {
         this.MODULE_ID = 'bg3-hud-core';
         this.FLAG_NAME = 'hudState';
-        this.VERSION = 2; // Bumped for views feature
+        this.USER_FLAG_NAME = 'hudLayouts';
+        this.TOKEN_POLICY_FLAG = 'tokenLayoutPolicy';
+        this.VERSION = 3; // Bumped for keyed grid and view lists
         this.currentToken = null;
         this.currentActor = null;
+        this.storageModeOverride = null; // Storage mode used instead of the world setting (see saveActorLayout)
         this.state = null; // Cached state
+        this._syncedState = null; // Last state known to be on the server (merge base)
         this._saveInProgress = false; // Prevent concurrent saves
         this._lastSaveTimestamp = 0; // Track when we last saved locally
+        this._readOnlyWarned = false;
         this._queuedSaveTimer = null;
         this._queuedSavePromise = null;
         this._queuedSaveResolve = null;
         this._queuedSaveReject = null;
         this.SAVE_DEBOUNCE_MS = 100;
+        this.history = new HistoryManager();
+        this.lastValidationReport = null; // {source, timestamp, entries} from the last validateState()
 
         // Default grid configuration - can be overridden by system adapters
         this.DEFAULT_GRID_CONFIG = {
@@ -44,6 +111,8 @@ export class PersistenceManager {
         // Accept either a Token(ish) object or an Actor directly
         this.currentActor = token?.actor || (token instanceof Actor ? token : null);
         this.state = null; // Clear cache
+        this._syncedState = null;
+        this._readOnlyWarned = false;
     }
 
     /**
@@ -67,11 +136,10 @@ export class PersistenceManager {
         if (this.isGMHotbarMode()) {
             const gmHotbarData = game.settings.get(this.MODULE_ID, 'gmHotbarData');
             if (gmHotbarData) {
-                this.state = foundry.utils.deepClone(gmHotbarData);
                 // Ensure GM hotbar state has proper structure
-                if (!this.state.hotbar || !this.state.hotbar.grids) {
-                    this.state = this._getDefaultGMHotbarState();
-                }
+                this.state = this.validateState(
+                    foundry.utils.deepClone(gmHotbarData), 'load', StateValidator.GM_HOTBAR_SCHEMA
+                );
                 return this.state;
             }
             // No GM hotbar data, return default GM hotbar state
@@ -85,22 +153,24 @@ export class PersistenceManager {
         }
 
         // Try to load unified state
-        let savedState = this.currentActor.getFlag(this.MODULE_ID, this.FLAG_NAME);
+        let savedState = this._readStoredState();
+
+        // Run pending core/adapter migration steps
+        if (savedState && MigrationManager.needsMigration(savedState)) {
+            savedState = await this._migrateStoredState(savedState);
+        }
 
         if (savedState && savedState.version === this.VERSION) {
             this.state = foundry.utils.deepClone(savedState);
+            this._syncedState = foundry.utils.deepClone(savedState);
             // Migrate quickAccess from array to object if needed
             this._migrateQuickAccessFormat(this.state);
+            // Repair anything the schema rejects before it reaches the grids
+            this.state = this.validateState(this.state, 'load');
             // Ensure views structure exists
             this._ensureViewsStructure(this.state);
-            return this.state;
-        }
-
-        // Check for version 1 state (needs views migration)
-        if (savedState && savedState.version === 1) {
-            console.info('[bg3-hud-core] PersistenceManager: Migrating from version 1 to version 2 (views)');
-            this.state = await this._migrateToVersion2(savedState);
-            await this.saveState(this.state);
+            // The stored copy of the active view can lag behind the hotbar (see _toStoredForm)
+            this._syncCurrentStateToActiveView(this.state);
             return this.state;
         }
 
@@ -117,10 +187,13 @@ export class PersistenceManager {
             // Save migrated state
             await this.saveState(this.state);
 
-            // Clean up old flags
-            await this._cleanupOldFlags();
-
-            console.info('[bg3-hud-core] PersistenceManager: Migration complete, old flags cleaned');
+            // Clean up old flags (other users may still need them when layouts are per user)
+            if (this.usesActorLayout()) {
+                await this._cleanupOldFlags();
+                console.info('[bg3-hud-core] PersistenceManager: Migration complete, old flags cleaned');
+            } else {
+                console.info('[bg3-hud-core] PersistenceManager: Migration complete, old flags kept for other users');
+            }
             return this.state;
         }
 
@@ -213,7 +286,7 @@ export class PersistenceManager {
                         // Re-transform using adapter to get fresh data
                         const freshData = await adapter.transformItemToCellData(item);
                         if (freshData) {
-                            items[slotKey] = freshData;
+                            items[slotKey] = CellOverrides.carry(cellData, freshData);
                             hydrated++;
                         } else {
                             console.warn(`[bg3-hud-core] ✗ Transform returned null for ${containerPath}[${slotKey}]`);
@@ -251,6 +324,13 @@ export class PersistenceManager {
             return;
         }
 
+        // Tokens inheriting their base actor's layout keep edits for this session only
+        if (this.isLayoutReadOnly()) {
+            this._warnReadOnlyLayout();
+            this.state = foundry.utils.deepClone(state);
+            return;
+        }
+
         // Wait for any in-progress save
         while (this._saveInProgress) {
             await new Promise(resolve => setTimeout(resolve, 10));
@@ -262,8 +342,18 @@ export class PersistenceManager {
             // Mark that we're saving locally (to prevent reload on updateActor hook)
             this._lastSaveTimestamp = Date.now();
 
-            await this.currentActor.setFlag(this.MODULE_ID, this.FLAG_NAME, state);
+            // Stamp our edits, then fold in anything another user saved meanwhile
+            StateMerger.stampChanges(this._syncedState, state, game.user.id);
+            const serverState = this._readStoredState();
+            if (serverState?.version === this.VERSION) {
+                const { state: merged, lost } = StateMerger.merge(state, serverState, game.user.id, this._syncedState);
+                this._notifyLostEdits(lost);
+                state = merged;
+            }
+
+            await this._writeStoredState(state);
             this.state = foundry.utils.deepClone(state);
+            this._syncedState = foundry.utils.deepClone(state);
         } catch (error) {
             console.error('[bg3-hud-core] PersistenceManager: Error saving state:', error);
             throw error;
@@ -272,6 +362,59 @@ export class PersistenceManager {
         }
     }
 
+    /**
+     * Merge a state received from the server into the local state
+     * Local edits not yet saved survive; if the merge kept any of them, they are re-saved.
+     * @param {Object} remoteState - hudState flag as received from the server
+     * @returns {Object} The merged state (also cached as this.state)
+     */
+    mergeRemoteState(remoteState) {
+        if (!remoteState) return this.state;
+
+        const local = this.state ? foundry.utils.deepClone(this.state) : null;
+        if (local) {
+            StateMerger.stampChanges(this._syncedState, local, game.user.id);
+        }
+
+        const { state, lost, changed } = StateMerger.merge(local, remoteState, game.user.id, this._syncedState);
+        this._syncedState = foundry.utils.deepClone(remoteState);
+        this.state = state;
+        this._notifyLostEdits(lost);
+
+        if (local && changed) {
+            this.queueSaveState(state).catch(error => {
+                console.error('[bg3-hud-core] PersistenceManager: Error re-saving merged state:', error);
+            });
+        }
+
+        return state;
+    }
+
+    /**
+     * Tell the user their unsaved edits lost a same-slot conflict
+     * @param {Array<{path: string, userId: string}>} lost - Lost edits from StateMerger.merge
+     * @private
+     */
+    _notifyLostEdits(lost) {
+        if (!lost?.length) return;
+
+        const byUser = new Map();
+        for (const { path, userId } of lost) {
+            if (!byUser.has(userId)) byUser.set(userId, []);
+            byUser.get(userId).push(StateMerger.describePath(path));
+        }
+
+        for (const [userId, slots] of byUser) {
+            const user = game.users.get(userId)?.name ?? game.i18n.localize('bg3-hud-core.Notifications.UnknownUser');
+            console.info(`[bg3-hud-core] PersistenceManager: Edits overridden by ${user}:`, slots);
+            ui.notifications.warn(game.i18n.format('bg3-hud-core.Notifications.EditConflictLost', {
+                count: slots.length,
+                user,
+                slots: slots.slice(0, 3).join(', ')
+            }));
+        }
+    }
+
     /**
      * Queue a state save so rapid HUD edits collapse into one Foundry document update.
      * @param {Object} state - Complete HUD state
@@ -327,7 +470,8 @@ export class PersistenceManager {
 
     /**
      * Update multiple cells with one cached state mutation and one queued save.
-     * @param {Array<Object>} updates - Cell updates in updateCell option format
+     * An update with a viewId other than the active view's changes that view's copy.
+     * @param {Array<Object>} updates - Cell updates in updateCell option format, plus optional viewId
      * @returns {Promise<void>}
      */
     async updateCells(updates) {
@@ -338,11 +482,23 @@ export class PersistenceManager {
             state = await this.loadState();
         }
 
+        const before = this._snapshotHistoryPanels(state);
         for (const update of updates) {
+            // Updates for another view go into that view's panel copies
+            if (update.viewId && update.viewId !== state.views?.activeViewId) {
+                const view = state.views?.list?.find(v => v.id === update.viewId);
+                if (!view?.hotbarState) {
+                    console.warn('[bg3-hud-core] PersistenceManager: View not found for cell update:', update.viewId);
+                    continue;
+                }
+                this._applyCellUpdate(view.hotbarState, update);
+                continue;
+            }
             this._applyCellUpdate(state, update);
         }
 
         this._syncCurrentStateToActiveView(state);
+        this._recordHistory('updateCells', before, state);
         await this.queueSaveState(state);
     }
 
@@ -474,6 +630,7 @@ export class PersistenceManager {
             return;
         }
 
+        const before = this._snapshotHistoryPanels(state);
         if (config.rows !== undefined) {
             state.hotbar.grids[gridIndex].rows = config.rows;
         }
@@ -483,6 +640,46 @@ export class PersistenceManager {
 
         // Sync to active view
         this._syncCurrentStateToActiveView(state);
+        this._recordHistory('updateGridConfig', before, state);
+
+        await this.queueSaveState(state);
+    }
+
+    /**
+     * Pin or unpin a slot
+     * Pinned slot keys are kept in the grid's `pinned` list.
+     * @param {string} containerType - Container type: 'hotbar', 'weaponSet', 'quickAccess'
+     * @param {number} containerIndex - Grid index
+     * @param {string} slotKey - Slot key "col-row"
+     * @param {boolean} pinned - Whether the slot is pinned
+     * @returns {Promise<void>}
+     */
+    async setSlotPinned(containerType, containerIndex, slotKey, pinned) {
+        let state = this.state;
+        if (!state) {
+            state = await this.loadState();
+        }
+
+        const grids = {
+            hotbar: state.hotbar?.grids,
+            weaponSet: state.weaponSets?.sets,
+            quickAccess: state.quickAccess?.grids
+        }[containerType];
+        const grid = grids?.[containerIndex];
+        if (!grid) {
+            console.warn('[bg3-hud-core] PersistenceManager: Grid not found for pin:', containerType, containerIndex);
+            return;
+        }
+
+        const before = this._snapshotHistoryPanels(state);
+        const keys = (grid.pinned ?? []).filter(key => key !== slotKey);
+        if (pinned) keys.push(slotKey);
+        if (keys.length > 0) grid.pinned = keys;
+        else delete grid.pinned;
+
+        // Sync to active view
+        this._syncCurrentStateToActiveView(state);
+        this._recordHistory('setSlotPinned', before, state);
 
         await this.queueSaveState(state);
     }
@@ -507,12 +704,14 @@ export class PersistenceManager {
         }
 
         // Apply change to all grids
+        const before = this._snapshotHistoryPanels(state);
         for (const grid of grids) {
             grid.rows += rowChange;
         }
 
         // Sync to active view
         this._syncCurrentStateToActiveView(state);
+        this._recordHistory('updateAllGridsRows', before, state);
 
         // Single save for all grids
         await this.queueSaveState(state);
@@ -540,6 +739,7 @@ export class PersistenceManager {
             return;
         }
 
+        const before = this._snapshotHistoryPanels(state);
         const n = Math.min(state.hotbar.grids.length, runtimeGrids.length);
         for (let i = 0; i < n; i++) {
             const rt = runtimeGrids[i];
@@ -550,6 +750,7 @@ export class PersistenceManager {
         }
 
         this._syncCurrentStateToActiveView(state);
+        this._recordHistory('persistHotbarGrids', before, state);
         await this.queueSaveState(state);
     }
 
@@ -562,6 +763,7 @@ export class PersistenceManager {
      */
     async updateContainer(containerType, containerIndex, items) {
         const state = await this.loadState();
+        const before = this._snapshotHistoryPanels(state);
 
         switch (containerType) {
             case 'hotbar':
@@ -602,6 +804,7 @@ export class PersistenceManager {
 
         // Sync to active view
         this._syncCurrentStateToActiveView(state);
+        this._recordHistory('updateContainer', before, state);
 
         await this.saveState(state);
     }
@@ -612,6 +815,7 @@ export class PersistenceManager {
      */
     async clearAll() {
         const state = await this.loadState();
+        const before = this._snapshotHistoryPanels(state);
 
         // Clear hotbar grids
         for (const grid of state.hotbar.grids) {
@@ -632,8 +836,124 @@ export class PersistenceManager {
 
         // Sync to active view
         this._syncCurrentStateToActiveView(state);
+        this._recordHistory('clearAll', before, state);
+
+        await this.saveState(state);
+    }
+
+    /**
+     * Replace whole panels of the current state with copies from another state
+     * (snapshot restore). Recorded in undo history like any other layout edit.
+     * @param {Object} sourceState - Unified state to copy from
+     * @param {Array<string>} panels - Panel names: 'hotbar', 'weaponSets', 'quickAccess', 'views'
+     * @param {string} label - History label
+     * @returns {Promise<void>}
+     */
+    async replacePanels(sourceState, panels, label = 'replacePanels') {
+        let state = this.state;
+        if (!state) {
+            state = await this.loadState();
+        }
+
+        const before = this._snapshotHistoryPanels(state);
+        for (const panel of panels) {
+            if (sourceState?.[panel] === undefined) continue;
+            state[panel] = foundry.utils.deepClone(sourceState[panel]);
+        }
+
+        // Keep the active view in step with the hotbar that is now showing
+        this._syncCurrentStateToActiveView(state);
+        this._recordHistory(label, before, state);
+
+        await this.saveState(state);
+    }
+
+    /**
+     * Apply an edit that spans panels or views to the current state and save it
+     * Recorded in undo history like any other layout edit.
+     * @param {Function} mutator - (state) => void; edits the state in place
+     * @param {string} label - History label
+     * @returns {Promise<void>}
+     */
+    async editState(mutator, label = 'editState') {
+        let state = this.state;
+        if (!state) {
+            state = await this.loadState();
+        }
+
+        const before = this._snapshotHistoryPanels(state);
+        mutator(state);
+
+        this._syncCurrentStateToActiveView(state);
+        this._recordHistory(label, before, state);
+
+        await this.saveState(state);
+    }
+
+    /**
+     * Run pending migration steps on a stored state and save the result
+     * The stored state is backed up first; if the backup can't be written the
+     * migrated state is used for this session only and nothing is saved.
+     * @param {Object} savedState - State as stored
+     * @returns {Promise<Object>} Migrated state, or savedState if no step succeeded
+     * @private
+     */
+    async _migrateStoredState(savedState) {
+        const actorName = this.currentActor.name;
+        const { state, applied, failed } = await MigrationManager.run(savedState, {
+            actor: this.currentActor,
+            persistenceManager: this
+        });
+
+        for (const step of failed) {
+            console.error(`[bg3-hud-core] PersistenceManager: Migration '${step.scope}' ${step.from} → ${step.to} failed for ${actorName}:`, step.error);
+        }
+        if (applied.length === 0) return savedState;
+
+        const summary = applied
+            .map(step => `${step.scope} ${step.from} → ${step.to}${step.label ? ` (${step.label})` : ''}`)
+            .join(', ');
+
+        try {
+            await this._writeBackup(savedState);
+        } catch (error) {
+            console.warn(`[bg3-hud-core] PersistenceManager: Could not back up HUD state for ${actorName}; migration not saved:`, error);
+            return state;
+        }
 
+        // Stamp only what the migration changed
+        this._syncedState = foundry.utils.deepClone(savedState);
         await this.saveState(state);
+        console.info(`[bg3-hud-core] PersistenceManager: Migrated HUD state for ${actorName}: ${summary}`);
+        return this.state;
+    }
+
+    /**
+     * Keep a copy of the stored state from before a migration
+     * Written where the state itself is written (actor flag, or the user's flag in per-user modes).
+     * @param {Object} state - Pre-migration state
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _writeBackup(state) {
+        const backup = {
+            timestamp: Date.now(),
+            versions: { core: state.version, ...(state.schemaVersions ?? {}) },
+            state
+        };
+
+        const actor = this.getLayoutActor({ write: true });
+        if (!actor) return;
+
+        // Unset first: setFlag merges into an existing object instead of replacing it
+        if (this.getStorageMode() === 'actor') {
+            await actor.unsetFlag(this.MODULE_ID, 'hudStateBackup');
+            await actor.setFlag(this.MODULE_ID, 'hudStateBackup', backup);
+            return;
+        }
+        const key = `${this.USER_FLAG_NAME}Backup.${this._getUserLayoutKey(actor)}`;
+        await game.user.unsetFlag(this.MODULE_ID, key);
+        await game.user.setFlag(this.MODULE_ID, key, backup);
     }
 
     /**
@@ -736,7 +1056,7 @@ export class PersistenceManager {
 
         const defaultViewId = this._generateViewId();
 
-        return {
+        return MigrationManager.stampLatest({
             version: this.VERSION,
             views: {
                 list: [
@@ -751,7 +1071,7 @@ export class PersistenceManager {
             },
             // Current hotbar state (synced with active view)
             ...hotbarState
-        };
+        });
     }
 
     /**
@@ -839,6 +1159,337 @@ export class PersistenceManager {
         return this.state ? foundry.utils.deepClone(this.state) : null;
     }
 
+    /**
+     * Current layout storage mode
+     * @returns {'actor'|'user'|'userFallback'}
+     */
+    getStorageMode() {
+        return this.storageModeOverride ?? game.settings.get(this.MODULE_ID, 'layoutStorageMode') ?? 'actor';
+    }
+
+    /**
+     * Whether the current actor's layout is read from (and shared via) the actor flag
+     * True in 'actor' mode, and in 'userFallback' mode until this user saves a layout of their own.
+     * @returns {boolean}
+     */
+    usesActorLayout() {
+        const mode = this.getStorageMode();
+        if (mode === 'actor') return true;
+        if (mode === 'user') return false;
+        return !this._getUserLayout();
+    }
+
+    /**
+     * Layout policy for the current actor when it is an unlinked token's synthetic actor
+     * - 'inherit': show the base actor's layout read-only
+     * - 'copy': start from the base actor's layout and keep a token copy from the first edit
+     * - 'share': read and write the base actor's layout; users who can't write the base
+     *   actor's flag get 'copy' instead (read-only if they can't write the token either)
+     * Set per base actor (flag), falling back to the world setting.
+     * @param {Actor} [actor] - Actor to check, defaults to the current actor
+     * @returns {'inherit'|'copy'|'share'}
+     */
+    getTokenLayoutPolicy(actor = this.currentActor) {
+        const base = this.getBaseActor(actor);
+        return base?.getFlag(this.MODULE_ID, this.TOKEN_POLICY_FLAG)
+            ?? game.settings.get(this.MODULE_ID, 'tokenLayoutPolicy')
+            ?? 'copy';
+    }
+
+    /**
+     * World actor behind an actor (itself unless it is a synthetic token actor)
+     * @param {Actor} [actor] - Actor, defaults to the current actor
+     * @returns {Actor|null}
+     */
+    getBaseActor(actor = this.currentActor) {
+        if (!actor) return null;
+        if (!actor.isToken) return actor;
+        return game.actors?.get(actor.id) ?? null;
+    }
+
+    /**
+     * Actor whose layout is used for the current actor under the token layout policy
+     * @param {Object} [options]
+     * @param {boolean} [options.write=false] - Resolve the save target instead of the read source
+     * @returns {Actor|null} null when writing is not allowed ('inherit')
+     */
+    getLayoutActor({ write = false } = {}) {
+        const actor = this.currentActor;
+        const base = actor?.isToken ? this.getBaseActor(actor) : null;
+        if (!base) return actor;
+
+        switch (this.getTokenLayoutPolicy(actor)) {
+            case 'share':
+                // Per-user modes save to the user; 'actor' mode needs ownership of the base actor
+                if (base.isOwner || this.getStorageMode() !== 'actor') return base;
+                if (!actor.isOwner) return write ? null : base;
+                break;
+            case 'inherit':
+                return write ? null : base;
+        }
+        return write || this._hasOwnTokenLayout() ? actor : base;
+    }
+
+    /**
+     * Whether the current layout is read-only (token inheriting its base actor's layout)
+     * @returns {boolean}
+     */
+    isLayoutReadOnly() {
+        return !this.isGMHotbarMode() && !!this.currentActor && !this.getLayoutActor({ write: true });
+    }
+
+    /**
+     * Copy the current layout onto the base actor of an unlinked token
+     * Written to the actor's own layout (see saveActorLayout), whatever the storage mode.
+     * @returns {Promise<boolean>} False when there is no separate base actor
+     */
+    async pushLayoutToBaseActor() {
+        const base = this.getBaseActor();
+        if (!base || base === this.currentActor) return false;
+
+        await this.saveActorLayout(base, this.state ?? await this.loadState());
+
+        console.info(`[bg3-hud-core] PersistenceManager: Pushed token layout to base actor ${base.name}`);
+        return true;
+    }
+
+    /**
+     * Write a layout to an actor's hudState flag, whatever the storage mode
+     * That is the layout 'actor' mode shares and per-user modes fall back to, so it is
+     * what "save as actor default" and pushing a token layout must update; a per-user
+     * save would only change the current user's own copy.
+     * @param {Actor} actor - World actor
+     * @param {Object} layout - HUD state to write
+     * @returns {Promise<void>}
+     */
+    async saveActorLayout(actor, layout) {
+        const copy = foundry.utils.deepClone(layout);
+        // Revision stamps belong to the source's edit history, not the actor's
+        delete copy.slotRevisions;
+
+        const pm = new PersistenceManager();
+        pm.storageModeOverride = 'actor';
+        pm.setToken(actor);
+        await pm.loadState();
+        await pm.saveState(copy);
+    }
+
+    /**
+     * Whether the current (synthetic) actor already has a layout of its own
+     * @returns {boolean}
+     * @private
+     */
+    _hasOwnTokenLayout() {
+        const mode = this.getStorageMode();
+        if (mode !== 'actor' && this._getUserLayout(this.currentActor)) return true;
+        if (mode !== 'user' && this._getActorLayout(this.currentActor)) return true;
+        return false;
+    }
+
+    /**
+     * Layout stored on an actor
+     * Synthetic actors merge their delta's flags over the base actor's, which would blend
+     * two layouts, so only the token's own delta is read for them.
+     * @param {Actor} actor - Actor
+     * @returns {Object|undefined}
+     * @private
+     */
+    _getActorLayout(actor) {
+        if (actor.isToken) {
+            return foundry.utils.getProperty(actor.token?.delta?._source ?? {}, `flags.${this.MODULE_ID}.${this.FLAG_NAME}`);
+        }
+        return actor.getFlag(this.MODULE_ID, this.FLAG_NAME);
+    }
+
+    /**
+     * Warn (once per actor) that edits to an inherited layout are not saved
+     * @private
+     */
+    _warnReadOnlyLayout() {
+        if (this._readOnlyWarned) return;
+        this._readOnlyWarned = true;
+        ui.notifications?.warn(game.i18n.localize('bg3-hud-core.Notifications.TokenLayoutReadOnly'));
+    }
+
+    /**
+     * Read the stored (server) state for the current actor according to the storage mode
+     * and token layout policy, converted back from its stored form (see _fromStoredForm)
+     * @returns {Object|undefined} Stored hudState, or undefined if none
+     * @private
+     */
+    _readStoredState() {
+        const actor = this.getLayoutActor();
+        if (!actor) return undefined;
+        if (this.usesActorLayout()) {
+            return this._fromStoredForm(this._getActorLayout(actor));
+        }
+        return this._fromStoredForm(this._getUserLayout(actor));
+    }
+
+    /**
+     * Write state for the current actor according to the storage mode and token layout policy
+     * Per-user modes always write to the user, even when the layout came from the actor.
+     * Only what differs from the stored state is sent (see StateDiff).
+     * @param {Object} state - Complete HUD state
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _writeStoredState(state) {
+        const actor = this.getLayoutActor({ write: true });
+        if (!actor) return;
+
+        const perActor = this.getStorageMode() === 'actor';
+        const target = perActor ? actor : game.user;
+        const root = perActor
+            ? `flags.${this.MODULE_ID}.${this.FLAG_NAME}`
+            : `flags.${this.MODULE_ID}.${this.USER_FLAG_NAME}.${this._getUserLayoutKey(actor)}`;
+        const stored = perActor ? this._getActorLayout(actor) : this._getUserLayout(actor);
+
+        if (!stored) {
+            await target.update({ [root]: this._toStoredForm(state, null) });
+            return;
+        }
+
+        const changes = StateDiff.diff(stored, this._toStoredForm(state, stored), root);
+        if (StateDiff.isEmpty(changes)) return;
+
+        await target.update(changes);
+    }
+
+    /**
+     * State in the form it is stored in
+     * Foundry replaces arrays whole on update, so grid lists are stored as objects keyed
+     * by index and the view list as an object keyed by view ID with the order kept in
+     * views.order: a slot edit then sends one slot and a view edit one view.
+     * The active view's hotbar copy mirrors the panels and is re-synced on load, so it
+     * keeps its stored value instead of making every hotbar edit rewrite the view.
+     * @param {Object} state - Complete HUD state
+     * @param {Object|null} stored - Stored state (as read from the flag)
+     * @returns {Object} Shallow copy of state
+     * @private
+     */
+    _toStoredForm(state, stored) {
+        const form = { ...state };
+        for (const [panel, key] of PersistenceManager.STORED_GRID_LISTS) {
+            const grids = state[panel]?.[key];
+            if (Array.isArray(grids)) form[panel] = { ...state[panel], [key]: { ...grids } };
+        }
+
+        const list = state.views?.list;
+        if (Array.isArray(list)) {
+            const activeViewId = state.views.activeViewId;
+            const storedList = stored?.views?.list;
+            const storedCopy = foundry.utils.getType(storedList) === 'Object'
+                ? storedList[activeViewId]?.hotbarState
+                : undefined;
+            form.views = {
+                ...state.views,
+                list: Object.fromEntries(list.map(view => [
+                    view.id,
+                    view.id === activeViewId && storedCopy !== undefined ? { ...view, hotbarState: storedCopy } : view
+                ])),
+                order: list.map(view => view.id)
+            };
+        }
+        return form;
+    }
+
+    /**
+     * State from its stored form (see _toStoredForm)
+     * Version 2 layouts still hold arrays and are read as is until _migrateToVersion3 rewrites them.
+     * @param {Object|undefined} stored - Stored state (as read from the flag)
+     * @returns {Object|undefined} Shallow copy of stored
+     * @private
+     */
+    _fromStoredForm(stored) {
+        if (!stored) return stored;
+
+        const state = { ...stored };
+        for (const [panel, key] of PersistenceManager.STORED_GRID_LISTS) {
+            const grids = stored[panel]?.[key];
+            if (foundry.utils.getType(grids) !== 'Object') continue;
+            const indexes = Object.keys(grids).map(Number).filter(Number.isInteger).sort((a, b) => a - b);
+            state[panel] = { ...stored[panel], [key]: indexes.map(index => grids[index]) };
+        }
+
+        const list = stored.views?.list;
+        if (foundry.utils.getType(list) === 'Object') {
+            const { order, ...views } = stored.views;
+            const ids = new Set([...(Array.isArray(order) ? order : []).filter(id => id in list), ...Object.keys(list)]);
+            state.views = { ...views, list: [...ids].map(id => list[id]) };
+        }
+        return state;
+    }
+
+    /**
+     * This user's own layout for an actor
+     * @param {Actor} [actor] - Actor, defaults to the actor the token layout policy reads from
+     * @returns {Object|undefined}
+     * @private
+     */
+    _getUserLayout(actor = this.getLayoutActor()) {
+        if (!actor) return undefined;
+        return game.user.getFlag(this.MODULE_ID, this.USER_FLAG_NAME)?.[this._getUserLayoutKey(actor)];
+    }
+
+    /**
+     * Flag key for an actor's per-user layout
+     * UUID dots would be expanded into nested flag objects, so they are replaced.
+     * @param {Actor} [actor] - Actor, defaults to the current actor
+     * @returns {string}
+     * @private
+     */
+    _getUserLayoutKey(actor = this.currentActor) {
+        return actor.uuid.replaceAll('.', '_');
+    }
+
+    /**
+     * Validate and repair a state against the HUD state schema
+     * The report is kept in lastValidationReport (shown by the diagnostics dialog).
+     * @param {Object} state - State to validate (repaired in place)
+     * @param {string} source - What triggered validation ('load', 'import', 'check')
+     * @param {Object} [schema] - Schema node, defaults to the full hudState schema
+     * @returns {Object} Repaired state
+     */
+    validateState(state, source, schema = StateValidator.SCHEMA) {
+        const { state: repaired, report } = StateValidator.validate(state, schema);
+
+        this.lastValidationReport = {
+            source,
+            timestamp: Date.now(),
+            actorName: this.currentActor?.name ?? null,
+            entries: report
+        };
+
+        if (report.length > 0) {
+            console.warn(`[bg3-hud-core] PersistenceManager: Repaired ${report.length} problem(s) in HUD state (${source}):`, report);
+        }
+
+        return repaired;
+    }
+
+    /**
+     * Validate the state as currently stored (actor flag or GM hotbar setting)
+     * without touching the cached state. Used by the diagnostics dialog.
+     * @returns {Object} The new lastValidationReport
+     */
+    checkStoredState() {
+        const gmMode = this.isGMHotbarMode();
+        const stored = gmMode
+            ? game.settings.get(this.MODULE_ID, 'gmHotbarData')
+            : this._readStoredState();
+
+        if (!stored) {
+            this.lastValidationReport = { source: 'check', timestamp: Date.now(), actorName: this.currentActor?.name ?? null, entries: [] };
+            return this.lastValidationReport;
+        }
+
+        const state = foundry.utils.deepClone(stored);
+        if (!gmMode) this._migrateQuickAccessFormat(state);
+        this.validateState(state, 'check', gmMode ? StateValidator.GM_HOTBAR_SCHEMA : StateValidator.SCHEMA);
+        return this.lastValidationReport;
+    }
+
     /**
      * Check if we should skip state reload (because we just saved locally)
      * Prevents flicker from updateActor hook triggering unnecessary re-renders
@@ -851,111 +1502,294 @@ export class PersistenceManager {
         return timeSinceLastSave < 500;
     }
 
+    /* ==========================================================================
+       UNDO / REDO
+       ========================================================================== */
+
+    /**
+     * Revert the most recent layout edit for the current actor (or GM hotbar)
+     * @returns {Promise<Object|null>} The reverted history entry, or null if nothing to undo
+     */
+    async undo() {
+        const entry = this.history.takeUndo(this._getHistoryKey());
+        if (!entry) return null;
+
+        await this._applyHistory(entry.before);
+        return entry;
+    }
+
+    /**
+     * Re-apply the most recently undone layout edit
+     * @returns {Promise<Object|null>} The re-applied history entry, or null if nothing to redo
+     */
+    async redo() {
+        const entry = this.history.takeRedo(this._getHistoryKey());
+        if (!entry) return null;
+
+        await this._applyHistory(entry.after);
+        return entry;
+    }
+
+    /**
+     * @returns {boolean} True if the current actor has an edit to undo
+     */
+    canUndo() {
+        return this.history.canUndo(this._getHistoryKey());
+    }
+
+    /**
+     * @returns {boolean} True if the current actor has an edit to redo
+     */
+    canRedo() {
+        return this.history.canRedo(this._getHistoryKey());
+    }
+
+    /**
+     * Get the history key for the current context
+     * @returns {string|null} Actor UUID, 'gmHotbar', or null when nothing is loaded
+     * @private
+     */
+    _getHistoryKey() {
+        if (this.isGMHotbarMode()) return 'gmHotbar';
+        return this.currentActor?.uuid ?? null;
+    }
+
+    /**
+     * Copy the panels tracked by undo history out of a state
+     * @param {Object} state - HUD state
+     * @returns {Object} Panel copies keyed by panel name
+     * @private
+     */
+    _snapshotHistoryPanels(state) {
+        return foundry.utils.deepClone({
+            hotbar: state?.hotbar,
+            weaponSets: state?.weaponSets,
+            quickAccess: state?.quickAccess,
+            views: state?.views
+        });
+    }
+
+    /**
+     * Record an undo entry containing only the registers (slots, grid sizes, pins, view
+     * list) that changed, plus the grid counts to restore grids added or removed
+     * The active weapon set index is deliberately excluded: it drives equipment on
+     * the adapter side, so undoing it would only move the highlight.
+     * @param {string} label - What caused the change (for debugging)
+     * @param {Object} before - Snapshot taken with _snapshotHistoryPanels before mutating
+     * @param {Object} state - State after the mutation
+     * @private
+     */
+    _recordHistory(label, before, state) {
+        const key = this._getHistoryKey();
+        if (!key || !before) return;
+
+        const paths = StateMerger.changedRegisters(before, state).filter(path => path !== 'weaponSets:@active');
+        if (paths.length === 0) return;
+
+        this.history.record(key, {
+            label,
+            timestamp: Date.now(),
+            before: { grids: this._getGridCounts(before), registers: StateMerger.readRegisters(before, paths) },
+            after: { grids: this._getGridCounts(state), registers: StateMerger.readRegisters(state, paths) }
+        });
+    }
+
+    /**
+     * Number of grids in each grid panel
+     * @param {Object} state - HUD state
+     * @returns {{hotbar: number, weaponSets: number, quickAccess: number}}
+     * @private
+     */
+    _getGridCounts(state) {
+        return {
+            hotbar: state?.hotbar?.grids?.length ?? 0,
+            weaponSets: state?.weaponSets?.sets?.length ?? 0,
+            quickAccess: state?.quickAccess?.grids?.length ?? 0
+        };
+    }
+
+    /**
+     * Write one side of a history entry back into the cached state and queue a save
+     * Only the recorded registers are written, so the save stamps just those slots and
+     * edits other users made to the rest of the layout meanwhile survive the merge.
+     * @param {{grids: Object, registers: Object}} side - entry.before or entry.after
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _applyHistory(side) {
+        let state = this.state;
+        if (!state) {
+            state = await this.loadState();
+        }
+
+        // Add or drop grids first, so the recorded slots have a grid to go into
+        const panels = {
+            hotbar: state.hotbar?.grids,
+            weaponSets: state.weaponSets?.sets,
+            quickAccess: state.quickAccess?.grids
+        };
+        for (const [panel, count] of Object.entries(side.grids ?? {})) {
+            const grids = panels[panel];
+            if (!grids || grids.length === count) continue;
+            grids.length = Math.min(grids.length, count);
+            while (grids.length < count) grids.push({ rows: 1, cols: 1, items: {} });
+        }
+
+        StateMerger.writeRegisters(state, side.registers ?? {});
+        this._syncCurrentStateToActiveView(state);
+
+        await this.queueSaveState(state);
+    }
+
     /* ==========================================================================
        VIEW MANAGEMENT METHODS
        ========================================================================== */
 
     /**
-     * Create a new view with empty hotbar state
+     * Create a new view with an empty hotbar and switch to it
+     * Other owned panels start as a copy of their current value.
      * @param {string} name - View name
      * @param {string|null} icon - Font Awesome icon class (optional)
-     * @returns {Promise<string>} New view ID
+     * @param {Array<string>} [panels=['hotbar']] - Panels the view owns (see ViewPanels)
+     * @param {Object} [options]
+     * @param {*} [options.passives] - Current passives selection, stashed if the view owns passives
+     * @param {string|null} [options.group] - View group to file the view under
+     * @returns {Promise<string|null>} New view ID, or null if the view limit is reached
      */
-    async createView(name, icon = null) {
+    async createView(name, icon = null, panels = ['hotbar'], { passives, group = null } = {}) {
         const state = await this.loadState();
+        if (state.views.list.length >= PersistenceManager.getMaxViews()) {
+            console.warn('[bg3-hud-core] PersistenceManager: View limit reached, not creating view:', name);
+            return null;
+        }
+
+        const before = this._snapshotHistoryPanels(state);
 
         // Generate new view ID
         const viewId = this._generateViewId();
 
-        // Create empty hotbar state for new view
-        const emptyHotbarState = this._getEmptyHotbarState();
-
-        // Create new view
+        // Create new view with an empty hotbar (if owned); _activateView seeds the rest
+        const owned = ViewPanels.get({ panels });
         const newView = {
             id: viewId,
             name: name,
             icon: icon || 'fa-bookmark',
-            hotbarState: emptyHotbarState
+            panels: owned,
+            hotbarState: this._getEmptyHotbarState(owned)
         };
+        if (group) newView.group = group;
 
-        // Add view to list
+        // Add view to list and switch to it
         state.views.list.push(newView);
+        this._activateView(state, newView, passives);
 
-        // Switch to new view (this will load the empty state)
-        state.views.activeViewId = viewId;
-
-        // Load the new view's empty hotbar state into current state
-        state.hotbar = foundry.utils.deepClone(emptyHotbarState.hotbar);
-
+        this._recordHistory('createView', before, state);
         await this.saveState(state);
 
         console.debug('[bg3-hud-core] PersistenceManager: Created empty view:', name);
         return viewId;
     }
 
+    /**
+     * Add a view built elsewhere (imported or copied from another actor) to the end of the list
+     * The view gets a new ID; it is not activated.
+     * @param {Object} view - View data {name, icon, panels?, group?, rules?, link?, hotbarState}
+     * @returns {Promise<string|null>} New view ID, or null if the view limit is reached
+     */
+    async addView(view) {
+        const state = await this.loadState();
+        if (state.views.list.length >= PersistenceManager.getMaxViews()) {
+            console.warn('[bg3-hud-core] PersistenceManager: View limit reached, not adding view:', view?.name);
+            return null;
+        }
+
+        const before = this._snapshotHistoryPanels(state);
+        const newView = {
+            ...foundry.utils.deepClone(view),
+            id: this._generateViewId(),
+            name: view?.name || 'View',
+            icon: view?.icon || 'fa-bookmark'
+        };
+        newView.panels = ViewPanels.get(newView);
+        newView.hotbarState ??= {};
+        state.views.list.push(newView);
+
+        this._recordHistory('addView', before, state);
+        await this.saveState(state);
+
+        console.debug('[bg3-hud-core] PersistenceManager: Added view:', newView.name);
+        return newView.id;
+    }
+
     /**
      * Delete a view
      * @param {string} viewId - View ID to delete
-     * @returns {Promise<void>}
+     * @param {Object} [options] - Passed to switchView when the active view is deleted
+     * @returns {Promise<{passives: *}|null>} switchView's result if the active view was deleted
      */
-    async deleteView(viewId) {
+    async deleteView(viewId, options = {}) {
         let state = await this.loadState();
 
         // Can't delete if it's the only view
         if (state.views.list.length <= 1) {
             console.warn('[bg3-hud-core] PersistenceManager: Cannot delete the only view');
-            return;
+            return null;
         }
 
         // Find view index
         const viewIndex = state.views.list.findIndex(v => v.id === viewId);
         if (viewIndex === -1) {
             console.warn('[bg3-hud-core] PersistenceManager: View not found:', viewId);
-            return;
+            return null;
         }
 
         // If deleting active view, switch to another view first
+        let switched = null;
         if (state.views.activeViewId === viewId) {
             // Switch to first available view that's not this one
             const newActiveView = state.views.list.find(v => v.id !== viewId);
             if (newActiveView) {
-                await this.switchView(newActiveView.id);
+                switched = await this.switchView(newActiveView.id, options);
                 // Reload state after switch
                 state = await this.loadState();
             }
         }
 
         // Remove view from list
+        const before = this._snapshotHistoryPanels(state);
         state.views.list.splice(viewIndex, 1);
 
+        this._recordHistory('deleteView', before, state);
         await this.saveState(state);
 
         console.debug('[bg3-hud-core] PersistenceManager: Deleted view:', viewId);
+        return switched;
     }
 
     /**
-     * Switch to a different view
+     * Switch to a different view, swapping every panel either view owns in one save
      * @param {string} viewId - View ID to switch to
-     * @returns {Promise<void>}
+     * @param {Object} [options]
+     * @param {*} [options.passives] - Current passives selection (from PassivesContainer.getSelectionState)
+     * @returns {Promise<{passives: *}|null>} Passives selection to apply (undefined to leave it),
+     *   or null if the view doesn't exist
      */
-    async switchView(viewId) {
+    async switchView(viewId, { passives } = {}) {
         const state = await this.loadState();
 
         // Find the view
         const view = state.views.list.find(v => v.id === viewId);
         if (!view) {
             console.warn('[bg3-hud-core] PersistenceManager: View not found:', viewId);
-            return;
+            return null;
         }
 
-        // Update active view ID
-        state.views.activeViewId = viewId;
-
-        // Load the view's hotbar state into current state (views only affect hotbar)
-        state.hotbar = foundry.utils.deepClone(view.hotbarState.hotbar);
+        const before = this._snapshotHistoryPanels(state);
+        const result = { passives: this._activateView(state, view, passives) };
 
+        this._recordHistory('switchView', before, state);
         await this.saveState(state);
-
+        return result;
     }
 
     /**
@@ -976,24 +1810,164 @@ export class PersistenceManager {
         }
 
         // Update name and icon
+        const before = this._snapshotHistoryPanels(state);
         view.name = newName;
         if (newIcon !== null) {
             view.icon = newIcon;
         }
 
+        this._recordHistory('renameView', before, state);
         await this.saveState(state);
 
         console.debug('[bg3-hud-core] PersistenceManager: Renamed view to:', newName);
     }
 
+    /**
+     * Move a view within the list, optionally into or out of a group
+     * Groups are shown where their first view sits, so the list order also orders groups.
+     * @param {string} viewId - View to move
+     * @param {Object} [options]
+     * @param {string|null} [options.before=null] - View to insert in front of; the moved view's
+     *   own ID keeps its place, null moves it to the end
+     * @param {string|null} [options.group] - Group to file it under, null to ungroup,
+     *   undefined to leave it
+     * @returns {Promise<void>}
+     */
+    async moveView(viewId, { before = null, group } = {}) {
+        const state = await this.loadState();
+        const list = state.views.list;
+
+        const index = list.findIndex(v => v.id === viewId);
+        if (index === -1) {
+            console.warn('[bg3-hud-core] PersistenceManager: View not found:', viewId);
+            return;
+        }
+
+        const snapshot = this._snapshotHistoryPanels(state);
+        const order = list.map(v => `${v.id}/${v.group ?? ''}`).join();
+
+        const [view] = list.splice(index, 1);
+        if (group !== undefined) {
+            if (group) {
+                view.group = group;
+            } else {
+                delete view.group;
+            }
+        }
+        const target = before === viewId ? index : list.findIndex(v => v.id === before);
+        list.splice(target === -1 ? list.length : target, 0, view);
+
+        if (list.map(v => `${v.id}/${v.group ?? ''}`).join() === order) return;
+
+        this._recordHistory('moveView', snapshot, state);
+        await this.saveState(state);
+    }
+
+    /**
+     * File a view under a group (or ungroup it) without moving it
+     * @param {string} viewId - View ID
+     * @param {string|null} group - Group name, or null/empty to ungroup
+     * @returns {Promise<void>}
+     */
+    async setViewGroup(viewId, group) {
+        await this.moveView(viewId, { before: viewId, group: group || null });
+    }
+
+    /**
+     * Names of the view groups in use, in display order
+     * @returns {Array<string>}
+     */
+    getViewGroups() {
+        const groups = (this.state?.views?.list ?? []).map(v => v.group).filter(Boolean);
+        return [...new Set(groups)];
+    }
+
+    /**
+     * Set a view's activation rules (see ViewRuleManager)
+     * @param {string} viewId - View ID
+     * @param {Array<Object>} rules - Conditions; an empty list removes the rules
+     * @returns {Promise<void>}
+     */
+    async setViewRules(viewId, rules) {
+        const state = await this.loadState();
+
+        const view = state.views.list.find(v => v.id === viewId);
+        if (!view) {
+            console.warn('[bg3-hud-core] PersistenceManager: View not found:', viewId);
+            return;
+        }
+
+        const before = this._snapshotHistoryPanels(state);
+        if (rules?.length) {
+            view.rules = foundry.utils.deepClone(rules);
+        } else {
+            delete view.rules;
+        }
+
+        this._recordHistory('setViewRules', before, state);
+        await this.saveState(state);
+    }
+
+    /**
+     * Set which panels a view owns
+     * Newly owned panels start as a copy of their current shared value. Giving up a
+     * panel on the active view keeps what is shown as the new shared value.
+     * @param {string} viewId - View ID
+     * @param {Array<string>} panels - Panels (see ViewPanels); the hotbar if empty
+     * @param {Object} [options]
+     * @param {*} [options.passives] - Current passives selection
+     * @returns {Promise<void>}
+     */
+    async setViewPanels(viewId, panels, { passives } = {}) {
+        const state = await this.loadState();
+
+        const view = state.views.list.find(v => v.id === viewId);
+        if (!view) {
+            console.warn('[bg3-hud-core] PersistenceManager: View not found:', viewId);
+            return;
+        }
+
+        const before = this._snapshotHistoryPanels(state);
+        const isActive = view.id === state.views.activeViewId;
+        const previous = ViewPanels.get(view);
+        const next = ViewPanels.get({ panels });
+        const shared = state.views.shared ?? {};
+        const hotbarState = { ...view.hotbarState };
+
+        for (const panel of ViewPanels.ALL) {
+            const owned = previous.includes(panel);
+            const owns = next.includes(panel);
+            if (owns && !owned) {
+                const current = panel === 'passives' ? passives : state[panel];
+                const value = isActive ? current : (shared[panel] ?? current);
+                if (value !== undefined) hotbarState[panel] = foundry.utils.deepClone(value);
+                if (isActive && current !== undefined) shared[panel] = foundry.utils.deepClone(current);
+            } else if (owned && !owns) {
+                delete hotbarState[panel];
+                if (isActive) delete shared[panel];
+            }
+        }
+
+        view.panels = next;
+        view.hotbarState = hotbarState;
+        this._setSharedPanels(state, shared);
+
+        this._recordHistory('setViewPanels', before, state);
+        await this.saveState(state);
+    }
+
     /**
      * Duplicate a view
      * @param {string} viewId - View ID to duplicate
      * @param {string|null} newName - Name for duplicated view (optional)
-     * @returns {Promise<string>} New view ID
+     * @returns {Promise<string|null>} New view ID, or null if not found or the view limit is reached
      */
     async duplicateView(viewId, newName = null) {
         const state = await this.loadState();
+        if (state.views.list.length >= PersistenceManager.getMaxViews()) {
+            console.warn('[bg3-hud-core] PersistenceManager: View limit reached, not duplicating view:', viewId);
+            return null;
+        }
 
         // Find the view to duplicate
         const sourceView = state.views.list.find(v => v.id === viewId);
@@ -1010,12 +1984,16 @@ export class PersistenceManager {
             id: newViewId,
             name: newName || `${sourceView.name} (Copy)`,
             icon: sourceView.icon,
+            panels: ViewPanels.get(sourceView),
             hotbarState: foundry.utils.deepClone(sourceView.hotbarState)
         };
+        if (sourceView.group) duplicateView.group = sourceView.group;
 
         // Add to list
+        const before = this._snapshotHistoryPanels(state);
         state.views.list.push(duplicateView);
 
+        this._recordHistory('duplicateView', before, state);
         await this.saveState(state);
 
         console.debug('[bg3-hud-core] PersistenceManager: Duplicated view:', duplicateView.name);
@@ -1023,7 +2001,7 @@ export class PersistenceManager {
     }
 
     /**
-     * Update a view with current hotbar state
+     * Update a view's owned panels with the current state
      * @param {string|null} viewId - View ID to update (null = active view)
      * @returns {Promise<void>}
      */
@@ -1040,13 +2018,11 @@ export class PersistenceManager {
             return;
         }
 
-        // Update view's hotbar state with current state
-        view.hotbarState = {
-            hotbar: foundry.utils.deepClone(state.hotbar),
-            weaponSets: foundry.utils.deepClone(state.weaponSets),
-            quickAccess: foundry.utils.deepClone(state.quickAccess)
-        };
+        // Update the view's copies of the panels it owns with the current state
+        const before = this._snapshotHistoryPanels(state);
+        view.hotbarState = ViewPanels.snapshot(state, view);
 
+        this._recordHistory('updateView', before, state);
         await this.saveState(state);
 
         console.debug('[bg3-hud-core] PersistenceManager: Updated view:', view.name);
@@ -1102,7 +2078,7 @@ export class PersistenceManager {
     }
 
     /**
-     * Sync current hotbar state to the active view's stored hotbarState
+     * Sync current state to the active view's stored copies of the panels it owns
      * This ensures the active view stays up-to-date with any changes
      * @param {Object} state - Current state
      * @private
@@ -1113,18 +2089,104 @@ export class PersistenceManager {
         const activeView = state.views.list.find(v => v.id === state.views.activeViewId);
         if (!activeView) return;
 
-        // Update the active view's hotbar state with current hotbar state only
-        activeView.hotbarState = {
-            hotbar: foundry.utils.deepClone(state.hotbar)
-        };
+        activeView.hotbarState = ViewPanels.snapshot(state, activeView);
+    }
+
+    /**
+     * Make a view active, swapping every panel the old or new view owns
+     * - owned by the new view: load its copy (seeded from the current value if it has none);
+     *   the shared value is parked in views.shared unless the old view owned the panel too
+     * - owned only by the old view: restore the parked shared value
+     * @param {Object} state - HUD state (mutated)
+     * @param {Object} view - View to activate (in state.views.list)
+     * @param {*} [passives] - Current passives selection
+     * @returns {*} Passives selection to apply, or undefined to leave it
+     * @private
+     */
+    _activateView(state, view, passives) {
+        // The outgoing view keeps what is shown now
+        this._syncCurrentStateToActiveView(state);
+        if (state.views.activeViewId === view.id) return undefined;
+
+        const previous = state.views.list.find(v => v.id === state.views.activeViewId);
+        if (previous && passives !== undefined && ViewPanels.owns(previous, 'passives')) {
+            previous.hotbarState.passives = foundry.utils.deepClone(passives);
+        }
+
+        const shared = state.views.shared ?? {};
+        let passivesToApply;
+        for (const panel of ViewPanels.ALL) {
+            const oldOwns = ViewPanels.owns(previous, panel);
+            const newOwns = ViewPanels.owns(view, panel);
+            const current = panel === 'passives' ? passives : state[panel];
+
+            let value;
+            if (newOwns) {
+                if (!oldOwns && current !== undefined) shared[panel] = foundry.utils.deepClone(current);
+                value = view.hotbarState?.[panel] ?? current;
+                if (view.hotbarState?.[panel] === undefined && value !== undefined) {
+                    view.hotbarState = { ...view.hotbarState, [panel]: foundry.utils.deepClone(value) };
+                }
+            } else if (oldOwns) {
+                value = shared[panel] ?? current;
+                delete shared[panel];
+            } else {
+                continue;
+            }
+
+            if (value === undefined) continue;
+            if (panel === 'passives') {
+                passivesToApply = foundry.utils.deepClone(value);
+            } else {
+                state[panel] = foundry.utils.deepClone(value);
+            }
+        }
+
+        this._setSharedPanels(state, shared);
+        state.views.activeViewId = view.id;
+        return passivesToApply;
+    }
+
+    /**
+     * Store the parked shared panels, dropping the key when there are none
+     * @param {Object} state - HUD state
+     * @param {Object} shared - Panel -> value
+     * @private
+     */
+    _setSharedPanels(state, shared) {
+        if (Object.keys(shared).length) {
+            state.views.shared = shared;
+        } else {
+            delete state.views.shared;
+        }
+    }
+
+    /**
+     * Load the active view's owned state panels into the current state (imports)
+     * @param {Object} state - HUD state (mutated)
+     * @private
+     */
+    _loadActiveViewPanels(state) {
+        const activeView = state.views?.list?.find(v => v.id === state.views.activeViewId);
+        if (!activeView) return;
+
+        for (const panel of ViewPanels.STATE_PANELS) {
+            const value = activeView.hotbarState?.[panel];
+            if (ViewPanels.owns(activeView, panel) && value) {
+                state[panel] = foundry.utils.deepClone(value);
+            }
+        }
     }
 
     /**
      * Get empty hotbar state (for new views)
+     * @param {Array<string>} [panels=['hotbar']] - Panels the view owns; without the hotbar it starts empty
      * @returns {Object} Empty hotbar state
      * @private
      */
-    _getEmptyHotbarState() {
+    _getEmptyHotbarState(panels = ['hotbar']) {
+        if (!panels.includes('hotbar')) return {};
+
         const grids = [];
         for (let i = 0; i < this.DEFAULT_GRID_CONFIG.gridCount; i++) {
             grids.push({
@@ -1162,6 +2224,10 @@ export class PersistenceManager {
                 list: [defaultView],
                 activeViewId: defaultView.id
             };
+        } else if (!state.views.list?.length) {
+            // Empty view list (e.g. every view failed validation): rebuild from the current hotbar
+            delete state.views;
+            this._ensureViewsStructure(state);
         } else if (!state.views.activeViewId && state.views.list.length > 0) {
             // Set first view as active if none is set
             state.views.activeViewId = state.views.list[0].id;
@@ -1198,6 +2264,18 @@ export class PersistenceManager {
         };
     }
 
+    /**
+     * Migrate from version 2 to version 3 (grid and view lists stored keyed)
+     * The state is read into the same in-memory form either way (see _fromStoredForm), so
+     * nothing changes here: the bump backs up the array layout and saves it in keyed form.
+     * @param {Object} oldState - Version 2 state
+     * @returns {Object} Version 3 state
+     * @private
+     */
+    _migrateToVersion3(oldState) {
+        return { ...oldState, version: 3 };
+    }
+
     /**
      * Check if a UUID already exists anywhere in the HUD (prevents duplicates)
      * @param {string} uuid - UUID to check
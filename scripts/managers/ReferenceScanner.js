@@ -0,0 +1,187 @@
+import { ItemMatcher } from '../utils/ItemMatcher.js';
+import { MigrationManager } from './MigrationManager.js';
+
+/**
+ * Reference Scanner
+ * Finds cells whose UUID no longer points at a usable document and repairs them
+ *
+ * A reference is reported when:
+ * - 'unresolved': the UUID doesn't resolve (item deleted, re-imported, module removed)
+ * - 'foreign': it resolves to an item embedded in a different actor (actor duplicated,
+ *   unlinked token still pointing at its base actor's items)
+ * Each issue carries a relink candidate from the current actor when one matches by
+ * source ID, name or type (see ItemMatcher).
+ */
+export class ReferenceScanner {
+    /**
+     * Issue viewId for cells in the shared panels (state.views.shared)
+     */
+    static SHARED = MigrationManager.SHARED_PANELS;
+
+    /**
+     * Create a reference scanner
+     * @param {Object} options - Scanner options
+     * @param {PersistenceManager} options.persistenceManager - Persistence manager for the HUD
+     */
+    constructor(options = {}) {
+        this.persistenceManager = options.persistenceManager;
+    }
+
+    /**
+     * Scan every container and view of the current state
+     * @returns {Promise<Array<Object>>} Issues
+     *   [{id, panel, gridIndex, slotKey, viewId, location, cell, reason, candidate}]
+     */
+    async scan() {
+        const pm = this.persistenceManager;
+        const actor = pm?.currentActor;
+        if (!actor) return [];
+
+        const state = pm.getState() ?? await pm.loadState();
+        const issues = [];
+        const jobs = [];
+
+        // The active view mirrors the live panels
+        MigrationManager.forEachCell(state, (cell, slotKey, items, ref) => {
+            if (!cell?.uuid) return;
+            jobs.push(this._checkCell(cell, actor).then(problem => {
+                if (problem) issues.push({ id: `${ref.viewId ?? ''}:${ref.panel}:${ref.gridIndex}:${ref.slotKey}`, ...ref, cell, ...problem });
+            }));
+        }, { skipActiveView: true });
+        await Promise.all(jobs);
+
+        return issues.sort((a, b) => a.location.localeCompare(b.location) || a.slotKey.localeCompare(b.slotKey));
+    }
+
+    /**
+     * Relink or remove references in one save
+     * @param {Array<{issue: Object, action: 'relink'|'remove', itemUuid?: string}>} resolutions
+     *   relink uses itemUuid, or the issue's candidate if omitted
+     * @returns {Promise<{relinked: number, removed: number}>}
+     */
+    async resolve(resolutions) {
+        let relinked = 0;
+        let removed = 0;
+
+        const edits = [];
+        for (const { issue, action, itemUuid } of resolutions) {
+            if (action === 'remove') {
+                edits.push({ issue, data: null });
+                removed++;
+                continue;
+            }
+
+            const item = itemUuid ? fromUuidSync(itemUuid) : issue.candidate;
+            const uuid = item ? this._relinkedUuid(issue.cell.uuid, item) : null;
+            if (!uuid) continue;
+            edits.push({ issue, data: { ...issue.cell, uuid } });
+            relinked++;
+        }
+        if (edits.length === 0) return { relinked, removed };
+
+        await this.persistenceManager.editState((state) => {
+            for (const { issue, data } of edits) {
+                const grid = this._getGrid(state, issue);
+                if (!grid) continue;
+                if (data) {
+                    grid.items[issue.slotKey] = data;
+                } else {
+                    delete grid.items[issue.slotKey];
+                }
+            }
+        }, 'resolveReferences');
+
+        console.info(`[bg3-hud-core] ReferenceScanner: Relinked ${relinked}, removed ${removed} reference(s)`);
+        return { relinked, removed };
+    }
+
+    /**
+     * Relink every issue that has a candidate; optionally remove the rest
+     * @param {Object} [options]
+     * @param {boolean} [options.removeUnmatched=false] - Remove references with no candidate
+     * @returns {Promise<{relinked: number, removed: number, remaining: number}>}
+     */
+    async repairAll({ removeUnmatched = false } = {}) {
+        const issues = await this.scan();
+        const resolutions = issues
+            .filter(issue => issue.candidate || removeUnmatched)
+            .map(issue => ({ issue, action: issue.candidate ? 'relink' : 'remove' }));
+
+        const result = await this.resolve(resolutions);
+        return { ...result, remaining: issues.length - resolutions.length };
+    }
+
+    /**
+     * Check a single cell
+     * @param {Object} cell - Cell data
+     * @param {Actor} actor - Current actor
+     * @returns {Promise<{reason: string, candidate: Item|null}|null>} null if the reference is fine
+     * @private
+     */
+    async _checkCell(cell, actor) {
+        let doc = null;
+        try {
+            doc = await fromUuid(cell.uuid);
+        } catch (error) {
+            doc = null;
+        }
+
+        const embedded = ItemMatcher.parseEmbeddedUuid(cell.uuid);
+        if (doc) {
+            const owner = doc.actor ?? doc.item?.actor ?? null;
+            if (!embedded || !owner || owner.uuid === actor.uuid) return null;
+
+            const item = doc.documentName === 'Item' ? doc : doc.item;
+            const candidate = this._findCandidate(actor, ItemMatcher.describe(item), embedded.suffix);
+            return { reason: 'foreign', candidate };
+        }
+
+        // Macros and world documents can only be removed; items can be matched by name
+        const candidate = cell.type === 'Macro'
+            ? null
+            : this._findCandidate(actor, ItemMatcher.describe(null, cell.name), embedded?.suffix ?? '');
+        return { reason: 'unresolved', candidate };
+    }
+
+    /**
+     * Candidate item on the actor, only if any sub-document path (activity) exists on it too
+     * @private
+     */
+    _findCandidate(actor, match, suffix) {
+        const item = ItemMatcher.findItem(actor, match);
+        if (!item) return null;
+        return !suffix || fromUuidSync(`${item.uuid}${suffix}`) ? item : null;
+    }
+
+    /**
+     * UUID for a relinked cell: the new item plus any sub-document path of the old UUID
+     * @param {string} oldUuid - Broken UUID
+     * @param {Item} item - Replacement item
+     * @returns {string|null}
+     * @private
+     */
+    _relinkedUuid(oldUuid, item) {
+        const suffix = ItemMatcher.parseEmbeddedUuid(oldUuid)?.suffix ?? '';
+        const uuid = `${item.uuid}${suffix}`;
+        return !suffix || fromUuidSync(uuid) ? uuid : null;
+    }
+
+    /**
+     * Grid an issue points at
+     * @private
+     */
+    _getGrid(state, { panel, gridIndex, viewId }) {
+        let panels = state;
+        if (viewId === ReferenceScanner.SHARED) {
+            panels = state.views?.shared;
+        } else if (viewId) {
+            panels = state.views?.list?.find(v => v.id === viewId)?.hotbarState;
+        }
+        const grids = {
+            hotbar: panels?.hotbar?.grids,
+            weaponSets: panels?.weaponSets?.sets,
+            quickAccess: panels?.quickAccess?.grids
+        }[panel];
+        return grids?.[gridIndex] ?? null;
+    }
+}
@@ -0,0 +1,172 @@
+/**
+ * Snapshot Manager
+ * Keeps named and automatic copies of the unified HUD state on the actor
+ * Uses flag: bg3-hud-core.snapshots (object keyed by snapshot ID), so taking or
+ * deleting a snapshot only sends that snapshot instead of rewriting the whole list
+ *
+ * Automatic snapshots ("Before import", "Before auto-populate", ...) are pruned
+ * first when the list grows past MAX_AUTOMATIC or the serialized list exceeds
+ * MAX_BYTES; named snapshots are only dropped if automatic ones alone can't
+ * bring the list back under budget.
+ *
+ * Snapshots stay on the actor in every layout storage mode: they are one shared
+ * history of the actor's layouts (each records who took it), and a restore writes
+ * into whatever layout the restoring user edits - their own in per-user modes.
+ */
+export class SnapshotManager {
+    static MAX_BYTES = 256 * 1024;
+    static MAX_AUTOMATIC = 10;
+
+    /**
+     * Panels that can be restored individually
+     */
+    static PANELS = ['hotbar', 'weaponSets', 'quickAccess'];
+
+    /**
+     * Create a snapshot manager
+     * @param {Object} options - Manager options
+     * @param {PersistenceManager} options.persistenceManager - Persistence manager for the HUD
+     */
+    constructor(options = {}) {
+        this.persistenceManager = options.persistenceManager;
+        this.MODULE_ID = 'bg3-hud-core';
+        this.FLAG_NAME = 'snapshots';
+    }
+
+    /**
+     * Actor the snapshots belong to (snapshots are not kept for the GM hotbar)
+     * @returns {Actor|null}
+     */
+    get actor() {
+        if (this.persistenceManager?.isGMHotbarMode()) return null;
+        return this.persistenceManager?.currentActor ?? null;
+    }
+
+    /**
+     * Get all snapshots for the current actor, newest first
+     * @returns {Array<Object>} Snapshots {id, name, automatic, timestamp, userName, state}
+     */
+    getSnapshots() {
+        const snapshots = this.actor?.getFlag(this.MODULE_ID, this.FLAG_NAME) ?? {};
+        return Object.values(foundry.utils.deepClone(snapshots))
+            .filter(snapshot => snapshot?.id)
+            .sort((a, b) => (b.timestamp ?? 0) - (a.timestamp ?? 0));
+    }
+
+    /**
+     * Get one snapshot by ID
+     * @param {string} snapshotId - Snapshot ID
+     * @returns {Object|null}
+     */
+    getSnapshot(snapshotId) {
+        return this.getSnapshots().find(s => s.id === snapshotId) ?? null;
+    }
+
+    /**
+     * Capture the current unified state
+     * Never throws: a failed automatic snapshot must not block the action it guards
+     * @param {string} name - Display name
+     * @param {Object} options - Snapshot options
+     * @param {boolean} options.automatic - Whether this was taken automatically
+     * @returns {Promise<Object|null>} The new snapshot, or null if none was taken
+     */
+    async createSnapshot(name, { automatic = false } = {}) {
+        const actor = this.actor;
+        if (!actor) return null;
+
+        try {
+            const state = this.persistenceManager.getState() ?? await this.persistenceManager.loadState();
+            const snapshot = {
+                id: foundry.utils.randomID(16),
+                name: name || new Date().toLocaleString(),
+                automatic,
+                timestamp: Date.now(),
+                userName: game.user.name,
+                state: foundry.utils.deepClone(state)
+            };
+
+            const existing = this.getSnapshots();
+            const kept = new Set(this._prune([snapshot, ...existing]).map(s => s.id));
+            const changes = { [this._getFlagPath(snapshot.id)]: snapshot };
+            for (const old of existing) {
+                if (!kept.has(old.id)) changes[this._getFlagPath(`-=${old.id}`)] = null;
+            }
+            await actor.update(changes);
+
+            console.info(`[bg3-hud-core] SnapshotManager: Saved snapshot "${snapshot.name}" for ${actor.name}`);
+            return snapshot;
+        } catch (error) {
+            console.error('[bg3-hud-core] SnapshotManager: Failed to create snapshot:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Restore a snapshot into the live state
+     * @param {string} snapshotId - Snapshot ID
+     * @param {string|null} panel - One of PANELS, or null for the whole state
+     * @returns {Promise<boolean>} True if restored
+     */
+    async restoreSnapshot(snapshotId, panel = null) {
+        const snapshot = this.getSnapshot(snapshotId);
+        if (!snapshot?.state) return false;
+
+        const panels = panel ? [panel] : [...SnapshotManager.PANELS, 'views'];
+        await this.persistenceManager.replacePanels(snapshot.state, panels, 'restoreSnapshot');
+        return true;
+    }
+
+    /**
+     * Delete a snapshot
+     * @param {string} snapshotId - Snapshot ID
+     * @returns {Promise<void>}
+     */
+    async deleteSnapshot(snapshotId) {
+        const actor = this.actor;
+        if (!actor) return;
+
+        await actor.update({ [this._getFlagPath(`-=${snapshotId}`)]: null });
+    }
+
+    /**
+     * Update path of one snapshot
+     * @param {string} key - Snapshot ID, or "-=<id>" to delete it
+     * @returns {string}
+     * @private
+     */
+    _getFlagPath(key) {
+        return `flags.${this.MODULE_ID}.${this.FLAG_NAME}.${key}`;
+    }
+
+    /**
+     * Drop old snapshots until the list fits the count and size budget
+     * @param {Array<Object>} snapshots - Snapshots, newest first
+     * @returns {Array<Object>} Pruned list
+     * @private
+     */
+    _prune(snapshots) {
+        const list = [...snapshots];
+
+        const removeOldest = (predicate) => {
+            for (let i = list.length - 1; i > 0; i--) {
+                if (predicate(list[i])) {
+                    list.splice(i, 1);
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        while (list.filter(s => s.automatic).length > SnapshotManager.MAX_AUTOMATIC) {
+            if (!removeOldest(s => s.automatic)) break;
+        }
+
+        // The newest snapshot (index 0) is always kept, even if it alone exceeds the budget
+        while (JSON.stringify(list).length > SnapshotManager.MAX_BYTES) {
+            if (removeOldest(s => s.automatic)) continue;
+            if (!removeOldest(() => true)) break;
+        }
+
+        return list;
+    }
+}
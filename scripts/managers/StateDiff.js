@@ -0,0 +1,74 @@
+/**
+ * State Diff
+ * Turns two versions of a stored HUD state into a targeted Foundry update
+ *
+ * Objects are compared key by key and produce dotted paths for what changed, and
+ * `-=key` paths for removed keys, so a save only sends the parts of the state that
+ * changed. Foundry replaces arrays as a whole on update (no per-index paths), so a
+ * changed array is sent whole - which is why PersistenceManager stores grid and view
+ * lists keyed by index and ID; keys containing dots can't be addressed either, so
+ * their parent object is sent whole.
+ */
+export class StateDiff {
+    /**
+     * Update paths that turn `before` into `after`
+     * @param {Object} before - Stored state
+     * @param {Object} after - State to store
+     * @param {string} [prefix] - Path prefix (e.g. "flags.bg3-hud-core.hudState")
+     * @returns {Object} Flat update object (empty if nothing changed)
+     */
+    static diff(before, after, prefix = '') {
+        const changes = {};
+        this._diffObject(before ?? {}, after ?? {}, prefix, changes);
+        return changes;
+    }
+
+    /**
+     * Whether a diff has no changes
+     * @param {Object} changes - Result of diff()
+     * @returns {boolean}
+     */
+    static isEmpty(changes) {
+        return Object.keys(changes).length === 0;
+    }
+
+    /** @private */
+    static _diffObject(before, after, prefix, changes) {
+        const join = (key) => (prefix ? `${prefix}.${key}` : key);
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+        if (prefix && [...keys].some(key => key.includes('.'))) {
+            if (!this._equal(before, after)) changes[prefix] = foundry.utils.deepClone(after);
+            return;
+        }
+
+        for (const key of keys) {
+            if (!(key in after)) {
+                changes[join(`-=${key}`)] = null;
+                continue;
+            }
+
+            const a = before[key];
+            const b = after[key];
+            if (!(key in before)) {
+                changes[join(key)] = foundry.utils.deepClone(b);
+            } else if (this._isPlainObject(a) && this._isPlainObject(b)) {
+                this._diffObject(a, b, join(key), changes);
+            } else if (!this._equal(a, b)) {
+                changes[join(key)] = foundry.utils.deepClone(b);
+            }
+        }
+    }
+
+    /** @private */
+    static _isPlainObject(value) {
+        return foundry.utils.getType(value) === 'Object';
+    }
+
+    /** @private */
+    static _equal(a, b) {
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || !a || !b) return false;
+        return foundry.utils.objectsEqual(a, b);
+    }
+}
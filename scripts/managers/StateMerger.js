@@ -0,0 +1,431 @@
+import { ViewPanels } from '../utils/ViewPanels.js';
+
+/**
+ * State Merger
+ * Per-slot, revision-stamped merging of unified HUD state for multi-user editing
+ *
+ * The state is treated as a set of independent registers (one per grid slot, plus
+ * grid sizes and pinned slots, the active weapon set, and one per view plus the active
+ * view, view order and shared panels). Every register carries a stamp {rev, userId} in
+ * state.slotRevisions. Only local edits the server hasn't seen (stamps that differ from
+ * the merge base) compete with the server; merging keeps, per register, the value
+ * with the greater stamp - rev first, then userId, then the serialized value - so
+ * every client resolves the same conflict the same way regardless of arrival order.
+ * Register paths use ':' (e.g. "hotbar:0:2-1"): dots in flag keys would be expanded
+ * into nested objects by Foundry and can't be targeted by an update path.
+ * A slot missing from a state counts as null, so removing a slot is an edit like any
+ * other: it is stamped and wins or loses the merge by its stamp. Emptied slots keep
+ * their stamp while their grid exists; stamps of deleted views and of grids or slots
+ * that are gone are dropped once merged.
+ */
+export class StateMerger {
+    /**
+     * Cell fields refreshed from the item on hydration; not treated as user edits
+     */
+    static VOLATILE_CELL_FIELDS = ['uses', 'quantity', 'depleted', 'expended'];
+
+    /**
+     * Stamp every register that differs from the last synced state as a new edit by userId
+     * Registers already re-stamped since the base are left alone (still newer than base).
+     * @param {Object|null} base - Last state known to be on the server
+     * @param {Object} state - Local state to stamp (mutated)
+     * @param {string} userId - Editing user
+     * @returns {Object} The stamped state
+     */
+    static stampChanges(base, state, userId) {
+        if (!state) return state;
+
+        const baseRegisters = this._getRegisters(base);
+        const localRegisters = this._getRegisters(state);
+        const baseStamps = base?.slotRevisions ?? {};
+        const stamps = state.slotRevisions ?? (state.slotRevisions = {});
+
+        // Slots in the base but gone locally were removed: stamp them as null
+        for (const path of new Set([...baseRegisters.keys(), ...localRegisters.keys()])) {
+            if (this._valueKey(localRegisters.get(path)) === this._valueKey(baseRegisters.get(path))) continue;
+
+            const baseStamp = baseStamps[path];
+            const localStamp = stamps[path];
+            if (localStamp && !this._sameStamp(localStamp, baseStamp)) continue;
+
+            stamps[path] = {
+                rev: Math.max(localStamp?.rev ?? 0, baseStamp?.rev ?? 0) + 1,
+                userId
+            };
+        }
+
+        return state;
+    }
+
+    /**
+     * Merge a (stamped) local state with a remote state
+     * @param {Object} local - Local state, already stamped via stampChanges
+     * @param {Object} remote - State received from the server
+     * @param {string} userId - Local user, used to report lost edits
+     * @param {Object|null} [base] - State local was stamped against; without it every
+     *   stamped local register counts as an edit
+     * @returns {{state: Object, lost: Array<{path: string, userId: string}>, changed: boolean}}
+     *   state: merged result; lost: local edits overridden by a remote edit;
+     *   changed: true if the result differs from remote (local edits must be saved)
+     */
+    static merge(local, remote, userId, base = null) {
+        if (!remote) return { state: local, lost: [], changed: true };
+        if (!local) return { state: foundry.utils.deepClone(remote), lost: [], changed: false };
+
+        const result = foundry.utils.deepClone(remote);
+        for (const [key, value] of Object.entries(local)) {
+            if (!(key in result)) result[key] = foundry.utils.deepClone(value);
+        }
+
+        const baseStamps = base?.slotRevisions ?? {};
+        const localStamps = local.slotRevisions ?? {};
+        const remoteStamps = remote.slotRevisions ?? {};
+        result.slotRevisions = { ...remoteStamps };
+
+        const localRegisters = this._getRegisters(local);
+        const remoteRegisters = this._getRegisters(remote);
+        const lost = [];
+        let changed = false;
+
+        const paths = new Set([...localRegisters.keys(), ...remoteRegisters.keys()]);
+        for (const path of this._inWriteOrder(paths)) {
+            const localStamp = localStamps[path];
+            const remoteStamp = remoteStamps[path];
+            // Registers not edited since the base follow the server
+            if (this._sameStamp(localStamp, baseStamps[path])) continue;
+
+            const localValue = localRegisters.get(path) ?? null;
+            const remoteValue = remoteRegisters.get(path);
+
+            const sameValue = this._valueKey(localValue) === this._valueKey(remoteValue);
+            if (sameValue) {
+                // Same content: keep the greater stamp so the register doesn't regress
+                if (this._compare(localStamp, localValue, remoteStamp, remoteValue) > 0) {
+                    result.slotRevisions[path] = localStamp;
+                    changed = true;
+                }
+                continue;
+            }
+
+            if (this._compare(localStamp, localValue, remoteStamp, remoteValue) > 0) {
+                if (this._writeRegister(result, path, localValue)) {
+                    result.slotRevisions[path] = localStamp;
+                    changed = true;
+                }
+            } else if (localStamp?.userId === userId && remoteStamp?.userId !== userId) {
+                // Someone else's edit beat one of ours the server hadn't seen
+                lost.push({ path, userId: remoteStamp?.userId });
+            }
+        }
+
+        // Format versions only move forward (see MigrationManager)
+        if ((local.version ?? 0) > (result.version ?? 0)) {
+            result.version = local.version;
+            changed = true;
+        }
+        for (const [scope, version] of Object.entries(local.schemaVersions ?? {})) {
+            if (version > (result.schemaVersions?.[scope] ?? 0)) {
+                result.schemaVersions = { ...result.schemaVersions, [scope]: version };
+                changed = true;
+            }
+        }
+
+        this._syncActiveView(result);
+        this._pruneStamps(result);
+        return { state: result, lost, changed };
+    }
+
+    /**
+     * Register paths whose value differs between two states
+     * @param {Object|null} before - Previous state
+     * @param {Object|null} after - New state
+     * @returns {Array<string>} Register paths (see _getRegisters)
+     */
+    static changedRegisters(before, after) {
+        const a = this._getRegisters(before);
+        const b = this._getRegisters(after);
+        const paths = new Set([...a.keys(), ...b.keys()]);
+        return [...paths].filter(path => this._valueKey(a.get(path)) !== this._valueKey(b.get(path)));
+    }
+
+    /**
+     * Values of some registers of a state
+     * @param {Object|null} state - HUD state
+     * @param {Array<string>} paths - Register paths
+     * @returns {Object} path -> value (null for a register the state doesn't have)
+     */
+    static readRegisters(state, paths) {
+        const registers = this._getRegisters(state);
+        return Object.fromEntries(paths.map(path => [path, foundry.utils.deepClone(registers.get(path) ?? null)]));
+    }
+
+    /**
+     * Write register values into a state (registers of grids it doesn't have are skipped)
+     * @param {Object} state - HUD state (mutated)
+     * @param {Object} values - path -> value, as returned by readRegisters
+     */
+    static writeRegisters(state, values) {
+        for (const path of this._inWriteOrder(Object.keys(values))) {
+            this._writeRegister(state, path, values[path]);
+        }
+    }
+
+    /**
+     * Human readable label for a register path (for notifications)
+     * @param {string} path - Register path
+     * @returns {string}
+     */
+    static describePath(path) {
+        const [panel, index, key] = path.split(':');
+        if (panel === 'views') return 'Views';
+        const names = { hotbar: 'Hotbar', weaponSet: 'Weapon Set', quickAccess: 'Quick Access' };
+        if (!names[panel]) return path;
+        const number = Number(index) + 1;
+        return key.startsWith('@') ? `${names[panel]} ${number}` : `${names[panel]} ${number} [${key}]`;
+    }
+
+    /**
+     * Flatten a state into registers
+     * @param {Object|null} state - HUD state
+     * @returns {Map<string, *>} path -> value
+     * @private
+     */
+    static _getRegisters(state) {
+        const registers = new Map();
+        if (!state) return registers;
+
+        const addGrids = (panel, grids) => {
+            if (!Array.isArray(grids)) return;
+            grids.forEach((grid, index) => {
+                if (!grid) return;
+                registers.set(`${panel}:${index}:@size`, { rows: grid.rows, cols: grid.cols });
+                registers.set(`${panel}:${index}:@pinned`, [...(grid.pinned ?? [])].sort());
+                for (const [slotKey, cell] of Object.entries(grid.items || {})) {
+                    registers.set(`${panel}:${index}:${slotKey}`, cell ?? null);
+                }
+            });
+        };
+
+        addGrids('hotbar', state.hotbar?.grids);
+        addGrids('weaponSet', state.weaponSets?.sets);
+        addGrids('quickAccess', state.quickAccess?.grids);
+
+        if (state.weaponSets) {
+            registers.set('weaponSets:@active', state.weaponSets.activeSet ?? 0);
+        }
+        if (state.views) {
+            const { list = [], activeViewId = null, shared = null } = state.views;
+            registers.set('views:@active', activeViewId);
+            registers.set('views:@order', list.map(view => view.id));
+            registers.set('views:@shared', shared);
+            // The active view's copies of its owned state panels follow the panels' own slot registers
+            for (const view of list) {
+                registers.set(`views:${view.id}`, view.id === activeViewId
+                    ? { ...view, hotbarState: ViewPanels.snapshot({}, view) }
+                    : view);
+            }
+        }
+
+        return registers;
+    }
+
+    /**
+     * Write a register value into a state
+     * @param {Object} state - Target state
+     * @param {string} path - Register path
+     * @param {*} value - Register value
+     * @returns {boolean} False if the target grid doesn't exist in the state
+     * @private
+     */
+    static _writeRegister(state, path, value) {
+        if (path.startsWith('views:')) {
+            return this._writeViewRegister(state, path.slice('views:'.length), value);
+        }
+
+        if (path === 'weaponSets:@active') {
+            if (!state.weaponSets) return false;
+            state.weaponSets.activeSet = value;
+            return true;
+        }
+
+        const [panel, index, slotKey] = path.split(':');
+        const grid = this._getGrid(state, panel, index);
+        if (!grid) return false;
+
+        if (slotKey === '@size') {
+            grid.rows = value?.rows ?? grid.rows;
+            grid.cols = value?.cols ?? grid.cols;
+            return true;
+        }
+
+        if (slotKey === '@pinned') {
+            if (value?.length) grid.pinned = [...value];
+            else delete grid.pinned;
+            return true;
+        }
+
+        if (!grid.items) grid.items = {};
+        if (value === null || value === undefined) delete grid.items[slotKey];
+        else grid.items[slotKey] = foundry.utils.deepClone(value);
+        return true;
+    }
+
+    /**
+     * Write a views register (see _getRegisters)
+     * @param {Object} state - Target state
+     * @param {string} key - '@active', '@order', '@shared' or a view ID
+     * @param {*} value - Register value
+     * @returns {boolean} False if the state has no views
+     * @private
+     */
+    static _writeViewRegister(state, key, value) {
+        const views = state.views;
+        if (!views) return false;
+        views.list = views.list ?? [];
+
+        if (key === '@active') {
+            views.activeViewId = value;
+            return true;
+        }
+        if (key === '@shared') {
+            if (value) views.shared = foundry.utils.deepClone(value);
+            else delete views.shared;
+            return true;
+        }
+        if (key === '@order') {
+            const rank = new Map((value ?? []).map((id, index) => [id, index]));
+            views.list.sort((a, b) => (rank.get(a.id) ?? Infinity) - (rank.get(b.id) ?? Infinity));
+            return true;
+        }
+
+        const index = views.list.findIndex(view => view.id === key);
+        if (value === null || value === undefined) {
+            if (index >= 0) views.list.splice(index, 1);
+            return true;
+        }
+
+        // An active view's register leaves out its panel copies: keep the ones the state has
+        const view = foundry.utils.deepClone(value);
+        const existing = views.list[index]?.hotbarState ?? {};
+        view.hotbarState = view.hotbarState ?? {};
+        for (const panel of ViewPanels.STATE_PANELS) {
+            if (ViewPanels.owns(view, panel) && !view.hotbarState[panel] && existing[panel]) {
+                view.hotbarState[panel] = existing[panel];
+            }
+        }
+
+        if (index >= 0) views.list[index] = view;
+        else views.list.push(view);
+        return true;
+    }
+
+    /**
+     * Grid of a grid register's panel and index
+     * @param {Object} state - HUD state
+     * @param {string} panel - 'hotbar', 'weaponSet' or 'quickAccess'
+     * @param {string|number} index - Grid index
+     * @returns {Object|undefined}
+     * @private
+     */
+    static _getGrid(state, panel, index) {
+        const grids = {
+            hotbar: state?.hotbar?.grids,
+            weaponSet: state?.weaponSets?.sets,
+            quickAccess: state?.quickAccess?.grids
+        }[panel];
+        return grids?.[Number(index)];
+    }
+
+    /**
+     * Register paths with the view order last, so views added by the same write are sorted too
+     * @param {Iterable<string>} paths - Register paths
+     * @returns {Array<string>}
+     * @private
+     */
+    static _inWriteOrder(paths) {
+        return [...paths].sort((a, b) => (a === 'views:@order') - (b === 'views:@order'));
+    }
+
+    /**
+     * Drop stamps of registers that are gone for good: deleted views, and grids or
+     * slots outside the state's grids (emptied slots of existing grids keep theirs)
+     * @param {Object} state - HUD state (mutated)
+     * @private
+     */
+    static _pruneStamps(state) {
+        const stamps = state.slotRevisions;
+        if (!stamps) return;
+
+        const registers = this._getRegisters(state);
+        for (const path of Object.keys(stamps)) {
+            if (registers.has(path)) continue;
+
+            const [panel, index, slotKey] = path.split(':');
+            const grid = this._getGrid(state, panel, index);
+            if (grid && slotKey && !slotKey.startsWith('@')) {
+                const [col, row] = slotKey.split('-').map(Number);
+                if (col < grid.cols && row < grid.rows) continue;
+            }
+            delete stamps[path];
+        }
+    }
+
+    /**
+     * Copy the merged panels into the active view's stored copies of the panels it owns
+     * @param {Object} state - HUD state
+     * @private
+     */
+    static _syncActiveView(state) {
+        const activeView = state.views?.list?.find(v => v.id === state.views.activeViewId);
+        if (activeView) {
+            activeView.hotbarState = ViewPanels.snapshot(state, activeView);
+        }
+    }
+
+    /**
+     * Total order on (stamp, value) so all clients pick the same winner
+     * @returns {number} > 0 if a wins, < 0 if b wins, 0 if identical
+     * @private
+     */
+    static _compare(stampA, valueA, stampB, valueB) {
+        const revA = stampA?.rev ?? 0;
+        const revB = stampB?.rev ?? 0;
+        if (revA !== revB) return revA - revB;
+
+        const userA = stampA?.userId ?? '';
+        const userB = stampB?.userId ?? '';
+        if (userA !== userB) return userA > userB ? 1 : -1;
+
+        const keyA = this._valueKey(valueA);
+        const keyB = this._valueKey(valueB);
+        if (keyA === keyB) return 0;
+        return keyA > keyB ? 1 : -1;
+    }
+
+    /**
+     * @returns {boolean} True if two stamps are the same revision by the same user
+     * @private
+     */
+    static _sameStamp(a, b) {
+        return (a?.rev ?? 0) === (b?.rev ?? 0) && (a?.userId ?? '') === (b?.userId ?? '');
+    }
+
+    /**
+     * Comparison key for a register value, ignoring volatile cell fields
+     * @param {*} value - Register value
+     * @returns {string}
+     * @private
+     */
+    static _valueKey(value) {
+        if (value === undefined || value === null) return 'null';
+        if (typeof value !== 'object' || !('uuid' in value || 'type' in value)) {
+            return JSON.stringify(value);
+        }
+
+        const stable = { ...value };
+        for (const field of this.VOLATILE_CELL_FIELDS) {
+            delete stable[field];
+        }
+        return JSON.stringify(stable);
+    }
+}
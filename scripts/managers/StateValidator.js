@@ -0,0 +1,397 @@
+import { ViewPanels } from '../utils/ViewPanels.js';
+
+/**
+ * State Validator
+ * Declarative schema for the unified HUD state, with validation and auto-repair
+ *
+ * Each schema node describes one value:
+ * - { type: 'integer', min, max, default }
+ * - { type: 'string', default }            default may be a function returning a fresh value
+ * - { type: 'object', properties, check }  check(value, path, report) runs after properties
+ * - { type: 'array', items, minLength }
+ * - { type: 'slots' }                      grid items keyed "col-row"
+ * Add `optional: true` to leave a missing property missing instead of filling the default.
+ * Properties not described by the schema are kept untouched.
+ *
+ * Validation repairs in place where it can and returns a report of what changed:
+ * [{ path, action: 'repaired'|'dropped', reason, value }]
+ */
+export class StateValidator {
+    /**
+     * Hard bound on grid rows/cols; slot keys outside it can never be shown
+     */
+    static MAX_GRID_SIZE = 50;
+
+    /**
+     * Schema node for one grid
+     * @param {number} rows - Default rows
+     * @param {number} cols - Default cols
+     * @returns {Object} Schema node
+     */
+    static grid(rows, cols) {
+        return {
+            type: 'object',
+            default: () => ({ rows, cols, items: {} }),
+            properties: {
+                rows: { type: 'integer', min: 0, max: this.MAX_GRID_SIZE, default: rows },
+                cols: { type: 'integer', min: 0, max: this.MAX_GRID_SIZE, default: cols },
+                items: { type: 'slots' },
+                pinned: { type: 'array', optional: true, items: { type: 'string' } }
+            }
+        };
+    }
+
+    /**
+     * Schema node for the hotbar panel
+     * @returns {Object} Schema node
+     */
+    static hotbar() {
+        return {
+            type: 'object',
+            default: () => ({ grids: [] }),
+            properties: {
+                grids: { type: 'array', minLength: 1, items: this.grid(3, 5) }
+            }
+        };
+    }
+
+    /**
+     * Schema node for the weapon sets panel
+     * @returns {Object} Schema node
+     */
+    static weaponSets() {
+        return {
+            type: 'object',
+            default: () => ({ sets: [], activeSet: 0 }),
+            properties: {
+                sets: { type: 'array', minLength: 3, items: this.grid(1, 2) },
+                activeSet: { type: 'integer', min: 0, max: 2, default: 0 }
+            }
+        };
+    }
+
+    /**
+     * Schema node for the quick access panel
+     * @returns {Object} Schema node
+     */
+    static quickAccess() {
+        return {
+            type: 'object',
+            default: () => ({ grids: [] }),
+            properties: {
+                grids: { type: 'array', minLength: 1, items: this.grid(2, 3) }
+            }
+        };
+    }
+
+    /**
+     * Schema node for one hotbar view
+     * @returns {Object} Schema node
+     */
+    static view() {
+        return {
+            type: 'object',
+            properties: {
+                id: { type: 'string', default: () => foundry.utils.randomID() },
+                name: { type: 'string', default: 'View' },
+                icon: { type: 'string', default: 'fa-bookmark' },
+                panels: { type: 'array', optional: true, items: { type: 'string' } },
+                group: { type: 'string', optional: true },
+                // Copies of the panels the view owns (see ViewPanels)
+                hotbarState: {
+                    type: 'object',
+                    default: () => ({}),
+                    properties: {
+                        hotbar: { ...this.hotbar(), optional: true },
+                        weaponSets: { ...this.weaponSets(), optional: true },
+                        quickAccess: { ...this.quickAccess(), optional: true }
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Schema for a full actor hudState (version 3)
+     * @returns {Object} Schema node
+     */
+    static get SCHEMA() {
+        return {
+            type: 'object',
+            properties: {
+                version: { type: 'integer', min: 3, max: 3, default: 3 },
+                hotbar: this.hotbar(),
+                weaponSets: this.weaponSets(),
+                quickAccess: this.quickAccess(),
+                // Missing views are created by PersistenceManager._ensureViewsStructure
+                views: {
+                    type: 'object',
+                    optional: true,
+                    properties: {
+                        list: {
+                            type: 'array',
+                            default: () => [],
+                            items: this.view()
+                        },
+                        // Shared panels parked while the active view owns them
+                        shared: {
+                            type: 'object',
+                            optional: true,
+                            properties: {
+                                hotbar: { ...this.hotbar(), optional: true },
+                                weaponSets: { ...this.weaponSets(), optional: true },
+                                quickAccess: { ...this.quickAccess(), optional: true }
+                            }
+                        }
+                    },
+                    check: (views, path, report) => this._checkViews(views, path, report)
+                },
+                slotRevisions: {
+                    type: 'object',
+                    optional: true,
+                    properties: {},
+                    check: (revisions, path, report) => this._checkRevisions(revisions, path, report)
+                },
+                schemaVersions: { type: 'object', optional: true, properties: {} }
+            }
+        };
+    }
+
+    /**
+     * Schema for the GM hotbar (gmHotbarData setting), which only has a hotbar
+     * @returns {Object} Schema node
+     */
+    static get GM_HOTBAR_SCHEMA() {
+        return {
+            type: 'object',
+            properties: {
+                // The setting is never keyed, so hotbars saved at version 2 stay valid
+                version: { type: 'integer', min: 2, max: 3, default: 3 },
+                hotbar: this.hotbar()
+            }
+        };
+    }
+
+    /**
+     * Validate and repair a state in place
+     * @param {Object} state - State to validate (mutated)
+     * @param {Object} [schema] - Schema node, defaults to the actor hudState schema
+     * @returns {{state: Object, report: Array<Object>}} Repaired state and report
+     */
+    static validate(state, schema = this.SCHEMA) {
+        const report = [];
+        const add = (path, action, reason, value) => {
+            report.push({ path, action, reason, value: this._describeValue(value) });
+        };
+
+        const repaired = this._validateNode(state, schema, '', add);
+        return { state: repaired, report };
+    }
+
+    /**
+     * Validate one node
+     * @param {*} value - Value to validate
+     * @param {Object} schema - Schema node
+     * @param {string} path - Dotted path for the report
+     * @param {Function} report - report(path, action, reason, value)
+     * @returns {*} Valid (possibly replaced) value
+     * @private
+     */
+    static _validateNode(value, schema, path, report) {
+        switch (schema.type) {
+            case 'integer': return this._validateInteger(value, schema, path, report);
+            case 'string': return this._validateString(value, schema, path, report);
+            case 'array': return this._validateArray(value, schema, path, report);
+            case 'slots': return this._validateSlots(value, path, report);
+            case 'object': return this._validateObject(value, schema, path, report);
+            default: return value;
+        }
+    }
+
+    /** @private */
+    static _validateInteger(value, schema, path, report) {
+        let number = value;
+        if (typeof number === 'string' && number.trim() !== '') number = Number(number);
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            report(path, 'repaired', 'type', value);
+            return schema.default;
+        }
+        if (!Number.isInteger(number)) number = Math.round(number);
+
+        const clamped = Math.min(Math.max(number, schema.min ?? -Infinity), schema.max ?? Infinity);
+        if (clamped !== number) {
+            report(path, 'repaired', 'range', value);
+        } else if (clamped !== value) {
+            report(path, 'repaired', 'type', value);
+        }
+        return clamped;
+    }
+
+    /** @private */
+    static _validateString(value, schema, path, report) {
+        if (typeof value === 'string' && value.length > 0) return value;
+        if (typeof value === 'number') {
+            report(path, 'repaired', 'type', value);
+            return String(value);
+        }
+        report(path, 'repaired', value === undefined ? 'missing' : 'type', value);
+        return this._default(schema);
+    }
+
+    /** @private */
+    static _validateArray(value, schema, path, report) {
+        let list = value;
+        if (!Array.isArray(list)) {
+            // Objects keyed "0", "1", ... are what Foundry makes of arrays merged into flags
+            if (list && typeof list === 'object' && Object.keys(list).every(k => /^\d+$/.test(k))) {
+                list = Object.keys(list).sort((a, b) => a - b).map(k => value[k]);
+            } else {
+                list = [];
+            }
+            report(path, 'repaired', 'type', value);
+        }
+
+        const items = list.map((item, index) => {
+            if (item !== null && item !== undefined) {
+                return this._validateNode(item, schema.items, `${path}.${index}`, report);
+            }
+
+            const fallback = this._default(schema.items);
+            if (fallback === undefined) {
+                report(`${path}.${index}`, 'dropped', 'missing', item);
+                return undefined;
+            }
+            report(`${path}.${index}`, 'repaired', 'missing', item);
+            return fallback;
+        }).filter(item => item !== undefined);
+
+        for (let i = items.length; i < (schema.minLength ?? 0); i++) {
+            report(`${path}.${i}`, 'repaired', 'missing', undefined);
+            items.push(this._default(schema.items));
+        }
+
+        return items;
+    }
+
+    /** @private */
+    static _validateObject(value, schema, path, report) {
+        let object = value;
+        if (!object || typeof object !== 'object' || Array.isArray(object)) {
+            report(path || 'state', 'repaired', value === undefined ? 'missing' : 'type', value);
+            object = this._default(schema) ?? {};
+        }
+
+        for (const [key, child] of Object.entries(schema.properties ?? {})) {
+            const childPath = path ? `${path}.${key}` : key;
+            if (object[key] === undefined) {
+                if (child.optional) continue;
+                const fallback = this._default(child);
+                if (fallback === undefined) continue;
+                report(childPath, 'repaired', 'missing', undefined);
+                object[key] = child.type === 'object' || child.type === 'array'
+                    ? this._validateNode(fallback, child, childPath, () => {})
+                    : fallback;
+                continue;
+            }
+            object[key] = this._validateNode(object[key], child, childPath, report);
+        }
+
+        schema.check?.(object, path, report);
+        return object;
+    }
+
+    /**
+     * Grid items: keys must be "col-row" within MAX_GRID_SIZE, values an object or null
+     * Keys beyond the grid's current rows/cols are kept - shrinking a grid hides slots
+     * without deleting them.
+     * @private
+     */
+    static _validateSlots(value, path, report) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            report(path, 'repaired', value === undefined ? 'missing' : 'type', value);
+            return {};
+        }
+
+        for (const [slotKey, cell] of Object.entries(value)) {
+            const slotPath = `${path}.${slotKey}`;
+            const match = /^(\d+)-(\d+)$/.exec(slotKey);
+            if (!match) {
+                report(slotPath, 'dropped', 'slotKey', cell);
+                delete value[slotKey];
+                continue;
+            }
+            if (Number(match[1]) >= this.MAX_GRID_SIZE || Number(match[2]) >= this.MAX_GRID_SIZE) {
+                report(slotPath, 'dropped', 'range', cell);
+                delete value[slotKey];
+                continue;
+            }
+            if (cell !== null && (typeof cell !== 'object' || Array.isArray(cell))) {
+                report(slotPath, 'dropped', 'cell', cell);
+                delete value[slotKey];
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Views: unique IDs, known panel names, and activeViewId must name a view in the list
+     * @private
+     */
+    static _checkViews(views, path, report) {
+        const seen = new Set();
+        views.list = views.list.filter((view, index) => {
+            if (!seen.has(view.id)) {
+                seen.add(view.id);
+                return true;
+            }
+            report(`${path}.list.${index}`, 'dropped', 'duplicateId', view.id);
+            return false;
+        });
+
+        views.list.forEach((view, index) => {
+            if (!view.panels) return;
+            const panels = view.panels.filter(panel => ViewPanels.ALL.includes(panel));
+            if (panels.length === view.panels.length) return;
+            report(`${path}.list.${index}.panels`, 'repaired', 'panel', view.panels);
+            view.panels = panels;
+        });
+
+        if (views.list.length > 0 && !views.list.some(v => v.id === views.activeViewId)) {
+            report(`${path}.activeViewId`, 'repaired', views.activeViewId ? 'reference' : 'missing', views.activeViewId);
+            views.activeViewId = views.list[0].id;
+        }
+    }
+
+    /**
+     * Drop revision entries that aren't {rev, userId} stamps
+     * (stamps keyed by dotted paths were expanded into nested objects when saved)
+     * Register paths always contain ':' (see StateMerger).
+     * @private
+     */
+    static _checkRevisions(revisions, path, report) {
+        for (const [key, stamp] of Object.entries(revisions)) {
+            if (Number.isInteger(stamp?.rev) && key.includes(':')) continue;
+            report(`${path}.${key}`, 'dropped', 'type', stamp);
+            delete revisions[key];
+        }
+    }
+
+    /**
+     * Fresh default value for a schema node
+     * @private
+     */
+    static _default(schema) {
+        return typeof schema.default === 'function' ? schema.default() : schema.default;
+    }
+
+    /**
+     * Short printable form of a value for the report
+     * @private
+     */
+    static _describeValue(value) {
+        if (value === undefined) return undefined;
+        const text = typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+        return text && text.length > 60 ? `${text.slice(0, 57)}...` : text;
+    }
+}
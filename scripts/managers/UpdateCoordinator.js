@@ -6,6 +6,8 @@
  */
 import { BG3HUD_REGISTRY } from '../utils/registry.js';
 import { ControlsManager } from './ControlsManager.js';
+import { StateMerger } from './StateMerger.js';
+import { CellCooldowns } from '../utils/CellCooldowns.js';
 
 export class UpdateCoordinator {
     constructor(options = {}) {
@@ -35,6 +37,8 @@ export class UpdateCoordinator {
         this._hookIds.set('combatRound', Hooks.on('combatRound', this._onCombatStateChange.bind(this)));
         this._hookIds.set('combatTurn', Hooks.on('combatTurn', this._onCombatStateChange.bind(this)));
         this._hookIds.set('deleteCombat', Hooks.on('deleteCombat', this._onCombatStateChange.bind(this)));
+        this._hookIds.set('createCombatant', Hooks.on('createCombatant', this._onCombatantChange.bind(this)));
+        this._hookIds.set('deleteCombatant', Hooks.on('deleteCombatant', this._onCombatantChange.bind(this)));
 
         // Canvas ready hook - check for pre-selected tokens on page load
         this._hookIds.set('canvasReady', Hooks.on('canvasReady', this._onCanvasReady.bind(this)));
@@ -196,6 +200,8 @@ export class UpdateCoordinator {
         if (contextUnchanged
             && this.hotbarApp.rendered
             && this.hotbarApp.components?.hotbar) {
+            // Same actor on a new scene: scene rules may pick another view
+            this._evaluateViewRules();
             return;
         }
 
@@ -239,22 +245,38 @@ export class UpdateCoordinator {
      * @param {Object} changes
      * @private
      */
-    async _onUpdateActor(actor, changes) {
-        // Only handle updates for the current actor
-        if (actor !== this.hotbarApp.currentActor) return;
+    async _onUpdateActor(actor, changes, options, userId) {
+        // Only handle updates for the current actor, or the base actor an unlinked
+        // token takes its layout from
+        if (actor !== this.hotbarApp.currentActor) {
+            const layoutChanged = changes?.flags?.[this.moduleId]?.[this.flagName];
+            if (layoutChanged && userId !== game.user.id
+                && this.persistenceManager.usesActorLayout()
+                && actor === this.persistenceManager.getLayoutActor()) {
+                await this._reconcileWithServerState(actor);
+            }
+            return;
+        }
+
+        // Flags, statuses and the weapon set can all drive view activation rules
+        this._evaluateViewRules();
 
         // Check if hudState flag changed
         const hudStateChanged = changes?.flags?.[this.moduleId]?.[this.flagName];
 
         if (hudStateChanged) {
-            // If we just saved locally, skip reload to prevent flicker
-            if (this.persistenceManager.shouldSkipReload()) {
+            // Our own save echoing back - the UI already shows it
+            if (userId === game.user.id) {
                 return;
             }
 
-            // Server state changed from another source (another user saved)
-            // This is our authoritative reconciliation point
-            // The server state is the source of truth - reconcile our UI to match
+            // Per-user layouts don't follow the actor's shared layout
+            if (!this.persistenceManager.usesActorLayout()) {
+                return;
+            }
+
+            // Another user saved: merge their edits with ours slot by slot
+            // and reconcile our UI to the merged result
             await this._reconcileWithServerState(actor);
             return;
         }
@@ -520,10 +542,12 @@ export class UpdateCoordinator {
     async _onUpdateCombat(combat, changes) {
         // Update action button visibility (no need for full refresh)
         this._updateActionButtonsVisibility();
+        this._evaluateViewRules();
 
-        // Reset filters when turn changes
+        // Reset filters and count cooldowns down when turn changes
         if (changes.turn !== undefined || changes.round !== undefined) {
             this._resetFilters();
+            CellCooldowns.refresh();
         }
     }
 
@@ -535,6 +559,27 @@ export class UpdateCoordinator {
     _onCombatStateChange() {
         this._updateActionButtonsVisibility();
         this._resetFilters();
+        this._evaluateViewRules();
+        CellCooldowns.refresh();
+    }
+
+    /**
+     * Handle combatants joining or leaving a combat
+     * @param {Combatant} combatant
+     * @private
+     */
+    _onCombatantChange(combatant) {
+        if (combatant?.actor !== this.hotbarApp.currentActor) return;
+        this._updateActionButtonsVisibility();
+        this._evaluateViewRules();
+    }
+
+    /**
+     * Re-check view activation rules (see ViewRuleManager)
+     * @private
+     */
+    _evaluateViewRules() {
+        this.hotbarApp.viewRuleManager?.evaluate();
     }
 
     /**
@@ -684,30 +729,128 @@ export class UpdateCoordinator {
             }
             // Also update info container - active effects can change ability scores, skills, etc.
             await this._handleAbilityChange();
+            // Status effects can drive view activation rules
+            this._evaluateViewRules();
         }
     }
 
     /**
-     * Reconcile local UI state with authoritative server state
-     * Called when hudState flag changes from another user's save
+     * Reconcile local UI state with server state saved by another user
      * This is the core multi-user sync mechanism: Foundry broadcasts flag changes
-     * to all clients via updateActor hook, and we update the UI to match.
+     * to all clients via updateActor hook. The remote state is merged per slot with
+     * any unsaved local edits (see StateMerger) and the UI is updated to match.
      * @param {Actor} actor - The actor whose state changed
      * @private
      */
     async _reconcileWithServerState(actor) {
-        // Get the authoritative server state
-        const serverState = actor.getFlag(this.moduleId, this.flagName);
+        // Get the authoritative server state (wherever the token layout policy reads it from)
+        const serverState = this.persistenceManager._readStoredState();
         if (!serverState) return;
 
-        // Update persistence manager's cached state
-        this.persistenceManager.state = foundry.utils.deepClone(serverState);
+        // Merge into persistence manager's cached state
+        const previous = this.persistenceManager.getState();
+        const merged = this.persistenceManager.mergeRemoteState(serverState);
 
-        // Compare and update UI components to match server state
-        // This is a lightweight reconciliation - only update what differs
-        await this._reconcileHotbarGrids(serverState);
-        await this._reconcileWeaponSets(serverState);
-        await this._reconcileQuickAccess(serverState);
+        // Update only the slots the merge changed
+        if (!previous) {
+            await this.reconcileComponents(merged);
+            return;
+        }
+        await this.reconcileRegisters(merged, StateMerger.changedRegisters(previous, merged));
+    }
+
+    /**
+     * Apply changed registers (see StateMerger) to the grids cell by cell
+     * Grid size and view changes reshape whole grids, so they fall back to reconcileComponents().
+     * @param {Object} state - Full hudState object
+     * @param {Array<string>} paths - Changed register paths
+     */
+    async reconcileRegisters(state, paths) {
+        if (!state || paths.length === 0) return;
+        if (paths.some(path => path.startsWith('views:') || path.endsWith(':@size'))) {
+            await this.reconcileComponents(state);
+            return;
+        }
+
+        const updates = [];
+        for (const path of paths) {
+            if (path === 'weaponSets:@active') {
+                const weaponSets = this.hotbarApp.components?.weaponSets;
+                const activeSet = state.weaponSets?.activeSet ?? 0;
+                if (weaponSets?.getActiveSet && weaponSets.getActiveSet() !== activeSet) {
+                    updates.push(weaponSets.setActiveSet(activeSet, true));
+                }
+                continue;
+            }
+
+            const [panel, index, slotKey] = path.split(':');
+            const target = this._getReconcileTarget(state, panel, Number(index));
+            if (!target) continue;
+
+            const { grid, data, gridContainer } = target;
+            if (slotKey === '@pinned') {
+                if (data) data.pinned = grid.pinned;
+                gridContainer.pinned = grid.pinned ?? [];
+                for (const cell of gridContainer.cells) {
+                    cell.setPinned(gridContainer.isPinned(cell.getSlotKey()));
+                }
+                continue;
+            }
+
+            if (data) data.items = grid.items;
+            gridContainer.items = grid.items || {};
+
+            const [col, row] = slotKey.split('-').map(Number);
+            if (col >= gridContainer.cols || row >= gridContainer.rows) continue;
+            const cell = gridContainer.getCell(col, row);
+            if (cell) {
+                updates.push(cell.setData(gridContainer.items[slotKey] || null, {
+                    decorateCellElement: gridContainer.decorateCellElement
+                }));
+            }
+        }
+
+        if (updates.length > 0) {
+            await Promise.all(updates);
+        }
+    }
+
+    /**
+     * Grid state, component grid data and GridContainer for a register's panel/index
+     * @private
+     */
+    _getReconcileTarget(state, panel, index) {
+        const components = this.hotbarApp.components ?? {};
+        const sources = {
+            hotbar: [state.hotbar?.grids, components.hotbar?.grids, components.hotbar],
+            weaponSet: [state.weaponSets?.sets, components.weaponSets?.weaponSets, components.weaponSets],
+            quickAccess: [state.quickAccess?.grids, components.quickAccess?.grids, components.quickAccess]
+        }[panel];
+        if (!sources) return null;
+
+        const [grids, componentGrids, component] = sources;
+        const grid = grids?.[index];
+        const gridContainer = component?.gridContainers?.[index];
+        if (!grid || !gridContainer) return null;
+        return { grid, data: componentGrids?.[index], gridContainer };
+    }
+
+    /**
+     * Bring grid components in line with a state object, re-rendering only the
+     * GridContainers whose contents differ. Used for remote saves and undo/redo.
+     * @param {Object} state - Full hudState object
+     */
+    async reconcileComponents(state) {
+        if (!state) return;
+
+        await this._reconcileHotbarGrids(state);
+        await this._reconcileWeaponSets(state);
+        await this._reconcileQuickAccess(state);
+
+        // View buttons are cheap to rebuild and reflect the active view / list
+        if (state.views && this.hotbarApp.components?.views) {
+            await this.hotbarApp.components.views.render();
+        }
     }
 
     /**
@@ -733,18 +876,22 @@ export class UpdateCoordinator {
 
             // Check if items differ (deep comparison would be expensive, so just replace)
             const itemsChanged = JSON.stringify(gridContainer.items) !== JSON.stringify(serverGrid.items);
+            const pinnedChanged = this._pinnedChanged(gridContainer, serverGrid);
 
-            if (configChanged || itemsChanged) {
+            if (configChanged || itemsChanged || pinnedChanged) {
                 // Update grid container
                 if (hotbar.grids[i]) {
                     hotbar.grids[i].rows = serverGrid.rows;
                     hotbar.grids[i].cols = serverGrid.cols;
                     hotbar.grids[i].items = serverGrid.items;
+                    hotbar.grids[i].pinned = serverGrid.pinned;
                 }
 
                 gridContainer.rows = serverGrid.rows;
                 gridContainer.cols = serverGrid.cols;
                 gridContainer.items = serverGrid.items || {};
+                gridContainer.pinned = serverGrid.pinned ?? [];
+                gridContainer.element.style.display = serverGrid.cols === 0 ? 'none' : '';
 
                 updates.push(gridContainer.render());
             }
@@ -775,11 +922,13 @@ export class UpdateCoordinator {
             // Check if items differ
             const itemsChanged = JSON.stringify(gridContainer.items) !== JSON.stringify(serverSet.items);
 
-            if (itemsChanged) {
+            if (itemsChanged || this._pinnedChanged(gridContainer, serverSet)) {
                 if (weaponSets.weaponSets[i]) {
                     weaponSets.weaponSets[i].items = serverSet.items;
+                    weaponSets.weaponSets[i].pinned = serverSet.pinned;
                 }
                 gridContainer.items = serverSet.items || {};
+                gridContainer.pinned = serverSet.pinned ?? [];
                 updates.push(gridContainer.render());
             }
         }
@@ -813,14 +962,27 @@ export class UpdateCoordinator {
         // Check if items differ
         const itemsChanged = JSON.stringify(gridContainer.items) !== JSON.stringify(serverGrid.items);
 
-        if (itemsChanged) {
+        if (itemsChanged || this._pinnedChanged(gridContainer, serverGrid)) {
             if (quickAccess.grids?.[0]) {
                 quickAccess.grids[0].items = serverGrid.items;
+                quickAccess.grids[0].pinned = serverGrid.pinned;
             }
             gridContainer.items = serverGrid.items || {};
+            gridContainer.pinned = serverGrid.pinned ?? [];
             await gridContainer.render();
         }
     }
 
+    /**
+     * Whether a grid's pinned slots differ from a GridContainer's
+     * @param {GridContainer} gridContainer
+     * @param {Object} grid - Grid state
+     * @returns {boolean}
+     * @private
+     */
+    _pinnedChanged(gridContainer, grid) {
+        return JSON.stringify(gridContainer.pinned ?? []) !== JSON.stringify(grid.pinned ?? []);
+    }
+
 }
 
@@ -0,0 +1,145 @@
+/**
+ * View Rule Manager
+ * Switches hotbar views automatically from per-view activation rules
+ *
+ * A view's rules (view.rules) are a list of conditions that must all hold:
+ *   { type: 'combat', value: true|false }          actor is (not) in the active combat
+ *   { type: 'weaponSet', value: 0|1|2 }            active weapon set
+ *   { type: 'status', value: 'rage' }              actor has a status effect
+ *   { type: 'flag', path: 'flags.x.y', value? }    actor property is truthy (or equals value)
+ *   { type: 'scene', value: sceneId }              currently viewed scene
+ * The first view in list order whose rules all hold is selected. Views without rules
+ * are only selected manually.
+ *
+ * Rules only act on transitions: a switch happens when the matching view changes, so a
+ * view picked by hand stays until the next time the rule outcome changes. The last
+ * outcome is remembered per actor.
+ */
+export class ViewRuleManager {
+    /**
+     * Condition types: test(actor, rule, state) and how the rules dialog edits them
+     *   input: 'boolean' | 'weaponSet' | 'status' | 'flag' | 'scene'
+     */
+    static CONDITIONS = {
+        combat: {
+            input: 'boolean',
+            test: (actor, rule) => !!actor.inCombat === (rule.value !== false)
+        },
+        weaponSet: {
+            input: 'weaponSet',
+            test: (actor, rule, state) => (state.weaponSets?.activeSet ?? 0) === Number(rule.value)
+        },
+        status: {
+            input: 'status',
+            test: (actor, rule) => !!rule.value && !!actor.statuses?.has(rule.value)
+        },
+        flag: {
+            input: 'flag',
+            test: (actor, rule) => {
+                if (!rule.path) return false;
+                const value = foundry.utils.getProperty(actor, rule.path);
+                if (rule.value === undefined || rule.value === '') return !!value;
+                return String(value) === String(rule.value);
+            }
+        },
+        scene: {
+            input: 'scene',
+            test: (actor, rule) => !!rule.value && canvas?.scene?.id === rule.value
+        }
+    };
+
+    /**
+     * Create a view rule manager
+     * @param {Object} options - Manager options
+     * @param {BG3Hotbar} options.hotbarApp - Main hotbar app
+     */
+    constructor(options = {}) {
+        this.hotbarApp = options.hotbarApp;
+        this._lastMatches = new Map(); // actor UUID -> view ID (or null) from the last evaluation
+        this._queue = Promise.resolve();
+    }
+
+    /**
+     * Keep only well-formed conditions of known types
+     * @param {Array<Object>} rules - Conditions
+     * @returns {Array<Object>}
+     */
+    static sanitizeRules(rules) {
+        if (!Array.isArray(rules)) return [];
+        return rules
+            .filter(rule => rule && ViewRuleManager.CONDITIONS[rule.type])
+            .map(({ type, value, path }) => (path === undefined ? { type, value } : { type, path, value }));
+    }
+
+    /**
+     * First view whose rules all hold for an actor
+     * @param {Object} state - HUD state
+     * @param {Actor} actor - Actor
+     * @returns {string|null} View ID
+     */
+    findMatchingView(state, actor) {
+        const view = (state?.views?.list ?? []).find(v => this.matches(v, actor, state));
+        return view?.id ?? null;
+    }
+
+    /**
+     * Whether a view's rules all hold
+     * @param {Object} view - View data
+     * @param {Actor} actor - Actor
+     * @param {Object} state - HUD state
+     * @returns {boolean} False for views without rules
+     */
+    matches(view, actor, state) {
+        const rules = view?.rules;
+        if (!Array.isArray(rules) || rules.length === 0) return false;
+        return rules.every(rule => {
+            try {
+                return !!ViewRuleManager.CONDITIONS[rule.type]?.test(actor, rule, state);
+            } catch (error) {
+                console.warn('[bg3-hud-core] ViewRuleManager: Rule check failed:', rule, error);
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Re-evaluate rules for the HUD actor and switch view on a transition
+     * Calls are serialized so overlapping hooks can't switch twice.
+     * @returns {Promise<void>}
+     */
+    evaluate() {
+        this._queue = this._queue
+            .then(() => this._evaluate())
+            .catch(error => console.error('[bg3-hud-core] ViewRuleManager: Evaluation failed:', error));
+        return this._queue;
+    }
+
+    /**
+     * Forget the last outcome for an actor (next evaluation counts as a transition)
+     * @param {Actor} [actor] - Actor, or every actor if omitted
+     */
+    reset(actor) {
+        if (actor) {
+            this._lastMatches.delete(actor.uuid);
+        } else {
+            this._lastMatches.clear();
+        }
+    }
+
+    /** @private */
+    async _evaluate() {
+        const app = this.hotbarApp;
+        const actor = app?.currentActor;
+        const views = app?.components?.views;
+        const state = app?.persistenceManager?.state;
+        if (!actor || !views || !state?.views) return;
+
+        const match = this.findMatchingView(state, actor);
+        if (this._lastMatches.has(actor.uuid) && this._lastMatches.get(actor.uuid) === match) return;
+        this._lastMatches.set(actor.uuid, match);
+
+        if (!match || match === state.views.activeViewId) return;
+        console.debug('[bg3-hud-core] ViewRuleManager: Switching to view', match);
+        await views.switchToView(match);
+    }
+}
@@ -0,0 +1,374 @@
+import { PersistenceManager } from './PersistenceManager.js';
+import { StateValidator } from './StateValidator.js';
+import { ItemMatcher } from '../utils/ItemMatcher.js';
+import { ViewPanels } from '../utils/ViewPanels.js';
+
+/**
+ * View Transfer Manager
+ * Moves single hotbar views between actors: file export/import, copying to other
+ * actors, and linked views that follow a world view template
+ * (setting: bg3-hud-core.viewTemplates)
+ *
+ * A packed view carries its own copies of the panels it owns. Cells that point at the
+ * source actor's embedded items are annotated with match criteria (ItemMatcher.describeCell)
+ * and re-pointed at the target actor's items when unpacked; slots with no matching item
+ * are left empty and reported. Macros and world/compendium documents are kept unchanged.
+ *
+ * Linked views (view.link = {templateId, timestamp}) take the template's panels whenever
+ * the template is newer than the view's copy, so local edits last until the template is
+ * next updated.
+ */
+export class ViewTransferManager {
+    /**
+     * Version of the single-view export file
+     */
+    static FORMAT_VERSION = 1;
+
+    /**
+     * Create a view transfer manager
+     * @param {Object} options - Manager options
+     * @param {BG3Hotbar} options.hotbarApp - Main hotbar app (its persistence manager is used for the HUD actor)
+     */
+    constructor(options = {}) {
+        this.hotbarApp = options.hotbarApp;
+        this.MODULE_ID = 'bg3-hud-core';
+        this.SETTING_NAME = 'viewTemplates';
+    }
+
+    /* ==========================================================================
+       PACKING
+       ========================================================================== */
+
+    /**
+     * Pack one of an actor's views for another actor
+     * @param {Actor} actor - Actor the view belongs to
+     * @param {string} viewId - View ID
+     * @returns {Promise<Object|null>} Packed view {name, icon, panels, group?, rules?, link?, hotbarState}
+     */
+    async packView(actor, viewId) {
+        const state = await this._loadActorState(actor);
+        const view = state?.views?.list?.find(v => v.id === viewId);
+        if (!view) return null;
+
+        const packed = foundry.utils.deepClone(view);
+        delete packed.id;
+        // The active view's copies can lag behind what is shown; the live panels are current
+        if (view.id === state.views.activeViewId) {
+            packed.hotbarState = ViewPanels.snapshot(state, view);
+        }
+        packed.panels = ViewPanels.get(view);
+
+        ItemMatcher.pack(packed.hotbarState);
+        return packed;
+    }
+
+    /**
+     * Unpack a view for an actor, re-pointing item cells at the actor's items
+     * @param {Object} packed - Packed view
+     * @param {Actor} actor - Target actor
+     * @returns {{view: Object, unmatched: Array<{location: string, slotKey: string, name: string}>}}
+     */
+    unpackView(packed, actor) {
+        const view = foundry.utils.deepClone(packed);
+        const unmatched = ItemMatcher.relink(view.hotbarState, actor);
+
+        return { view, unmatched };
+    }
+
+    /**
+     * Add a packed view to an actor's views
+     * @param {Actor} actor - Target actor
+     * @param {Object} packed - Packed view
+     * @returns {Promise<{viewId: string|null, unmatched: Array<Object>}>} viewId is null at the view limit
+     */
+    async addPackedView(actor, packed) {
+        const { view, unmatched } = this.unpackView(packed, actor);
+        const pm = this._getPersistenceManager(actor);
+        if (!pm.state) await pm.loadState();
+
+        const viewId = await pm.addView(view);
+        if (viewId && actor === this.hotbarApp?.currentActor) {
+            await this.hotbarApp.components?.views?.render();
+        }
+        return { viewId, unmatched };
+    }
+
+    /**
+     * Copy one of the HUD actor's views to other actors
+     * Each actor is handled independently; a failure on one doesn't stop the others.
+     * @param {string} viewId - View ID on the HUD actor
+     * @param {Array<Actor>} actors - Target actors
+     * @returns {Promise<Array<{actor: Actor, viewId: string|null, unmatched: Array<Object>, error?: Error}>>}
+     */
+    async copyViewToActors(viewId, actors) {
+        const packed = await this.packView(this.hotbarApp?.currentActor, viewId);
+        if (!packed) return [];
+
+        const results = [];
+        for (const actor of actors) {
+            try {
+                results.push({ actor, ...await this.addPackedView(actor, packed) });
+            } catch (error) {
+                console.error(`[bg3-hud-core] ViewTransferManager: Failed to copy view to ${actor.name}:`, error);
+                results.push({ actor, viewId: null, unmatched: [], error });
+            }
+        }
+        return results;
+    }
+
+    /* ==========================================================================
+       FILE EXPORT / IMPORT
+       ========================================================================== */
+
+    /**
+     * Download one of the HUD actor's views as JSON
+     * @param {string} viewId - View ID
+     * @returns {Promise<void>}
+     */
+    async exportView(viewId) {
+        const actor = this.hotbarApp?.currentActor;
+        const view = await this.packView(actor, viewId);
+        if (!view) return;
+
+        const exportPayload = {
+            meta: {
+                module: this.MODULE_ID,
+                type: 'view',
+                version: ViewTransferManager.FORMAT_VERSION,
+                timestamp: new Date().toISOString(),
+                actorName: actor?.name ?? null
+            },
+            view
+        };
+
+        const slug = view.name.slugify?.() || 'view';
+        foundry.utils.saveDataToFile(JSON.stringify(exportPayload, null, 2), 'application/json', `bg3-hud-view-${slug}.json`);
+    }
+
+    /**
+     * Read a single-view export file and add the view to the HUD actor
+     * @param {File} file - JSON file
+     * @returns {Promise<{viewId: string|null, unmatched: Array<Object>}>}
+     * @throws {Error} If the file isn't a view export
+     */
+    async importViewFile(file) {
+        const data = JSON.parse(await foundry.utils.readTextFromFile(file));
+        if (data?.meta?.module !== this.MODULE_ID || data.meta.type !== 'view' || !data.view) {
+            throw new Error('Not a BG3 HUD view export');
+        }
+
+        // Imported files may be hand-edited: repair before anything is saved
+        const { state: view, report } = StateValidator.validate(data.view, StateValidator.view());
+        if (report.length) {
+            console.warn('[bg3-hud-core] ViewTransferManager: Repaired imported view:', report);
+        }
+
+        return this.addPackedView(this.hotbarApp.currentActor, view);
+    }
+
+    /* ==========================================================================
+       VIEW TEMPLATES AND LINKED VIEWS
+       ========================================================================== */
+
+    /**
+     * Get all view templates, newest first
+     * @returns {Array<Object>} Templates {id, name, timestamp, sourceActorName, view}
+     */
+    getTemplates() {
+        const templates = game.settings.get(this.MODULE_ID, this.SETTING_NAME);
+        return Array.isArray(templates) ? foundry.utils.deepClone(templates) : [];
+    }
+
+    /**
+     * Get one view template by ID
+     * @param {string} templateId - Template ID
+     * @returns {Object|null}
+     */
+    getTemplate(templateId) {
+        return this.getTemplates().find(t => t.id === templateId) ?? null;
+    }
+
+    /**
+     * Save one of the HUD actor's views as a world template and link the view to it
+     * @param {string} viewId - View ID
+     * @param {string} [name] - Template name (defaults to the view name)
+     * @returns {Promise<Object|null>} The new template
+     */
+    async saveViewTemplate(viewId, name) {
+        const actor = this.hotbarApp?.currentActor;
+        const view = await this.packView(actor, viewId);
+        if (!view) return null;
+        delete view.link;
+
+        const template = {
+            id: foundry.utils.randomID(16),
+            name: name || view.name,
+            timestamp: Date.now(),
+            sourceActorName: actor.name,
+            view
+        };
+        await game.settings.set(this.MODULE_ID, this.SETTING_NAME, [template, ...this.getTemplates()]);
+        await this._setLink(viewId, { templateId: template.id, timestamp: template.timestamp });
+
+        console.info(`[bg3-hud-core] ViewTransferManager: Saved view template "${template.name}"`);
+        return template;
+    }
+
+    /**
+     * Push a linked view's current panels to its template; other linked views follow
+     * @param {string} viewId - Linked view on the HUD actor
+     * @returns {Promise<boolean>} False if the view isn't linked to an existing template
+     */
+    async updateTemplateFromView(viewId) {
+        const link = this.hotbarApp?.persistenceManager?.getView(viewId)?.link;
+        const templates = this.getTemplates();
+        const template = templates.find(t => t.id === link?.templateId);
+        if (!template) return false;
+
+        const view = await this.packView(this.hotbarApp.currentActor, viewId);
+        delete view.link;
+        template.view = { ...view, name: template.view?.name ?? view.name };
+        template.timestamp = Date.now();
+        template.sourceActorName = this.hotbarApp.currentActor.name;
+
+        // Mark this view current first, so the setting change doesn't sync it back
+        await this._setLink(viewId, { templateId: template.id, timestamp: template.timestamp });
+        await game.settings.set(this.MODULE_ID, this.SETTING_NAME, templates);
+        return true;
+    }
+
+    /**
+     * Delete a view template; views linked to it keep their panels and become unlinked on next sync
+     * @param {string} templateId - Template ID
+     * @returns {Promise<void>}
+     */
+    async deleteTemplate(templateId) {
+        const templates = this.getTemplates().filter(t => t.id !== templateId);
+        await game.settings.set(this.MODULE_ID, this.SETTING_NAME, templates);
+    }
+
+    /**
+     * Add a new view to the HUD actor that follows a template
+     * @param {string} templateId - Template ID
+     * @returns {Promise<{viewId: string|null, unmatched: Array<Object>}|null>} null if the template doesn't exist
+     */
+    async addLinkedView(templateId) {
+        const template = this.getTemplate(templateId);
+        if (!template) return null;
+
+        const packed = { ...template.view, link: { templateId, timestamp: template.timestamp } };
+        return this.addPackedView(this.hotbarApp.currentActor, packed);
+    }
+
+    /**
+     * Link an existing view to a template; its panels are replaced by the template's now
+     * @param {string} viewId - View on the HUD actor
+     * @param {string} templateId - Template ID
+     * @returns {Promise<Array<Object>>} Unmatched slots
+     */
+    async linkView(viewId, templateId) {
+        await this._setLink(viewId, { templateId, timestamp: 0 });
+        return this.syncLinkedViews();
+    }
+
+    /**
+     * Stop a view following its template; it keeps its current panels
+     * @param {string} viewId - View on the HUD actor
+     * @returns {Promise<void>}
+     */
+    async unlinkView(viewId) {
+        await this._setLink(viewId, null);
+    }
+
+    /**
+     * Bring the HUD actor's linked views up to date with their templates
+     * Views whose template was deleted are unlinked.
+     * @returns {Promise<Array<Object>>} Unmatched slots across all updated views
+     */
+    async syncLinkedViews() {
+        const pm = this.hotbarApp?.persistenceManager;
+        const actor = this.hotbarApp?.currentActor;
+        const state = pm?.getState();
+        if (!actor || !state?.views || pm.isLayoutReadOnly()) return [];
+
+        const templates = new Map(this.getTemplates().map(t => [t.id, t]));
+        const updates = [];
+        for (const view of state.views.list) {
+            if (!view.link) continue;
+            const template = templates.get(view.link.templateId);
+            if (!template) {
+                updates.push({ viewId: view.id, template: null });
+            } else if (template.timestamp > (view.link.timestamp ?? 0)) {
+                updates.push({ viewId: view.id, template, ...this.unpackView(template.view, actor) });
+            }
+        }
+        if (updates.length === 0) return [];
+
+        await pm.editState((draft) => {
+            for (const { viewId, template, view: source } of updates) {
+                const view = draft.views.list.find(v => v.id === viewId);
+                if (!view) continue;
+                if (!template) {
+                    delete view.link;
+                    continue;
+                }
+                view.panels = ViewPanels.get(source);
+                view.hotbarState = source.hotbarState;
+                view.link = { templateId: template.id, timestamp: template.timestamp };
+                if (view.id === draft.views.activeViewId) pm._loadActiveViewPanels(draft);
+            }
+        }, 'syncLinkedViews');
+
+        await this.hotbarApp.updateCoordinator?.reconcileComponents(pm.getState());
+        console.debug(`[bg3-hud-core] ViewTransferManager: Synced ${updates.length} linked view(s)`);
+        return updates.flatMap(u => u.unmatched ?? []);
+    }
+
+    /**
+     * Set or clear a view's template link on the HUD actor
+     * @param {string} viewId - View ID
+     * @param {Object|null} link - {templateId, timestamp}, or null to unlink
+     * @private
+     */
+    async _setLink(viewId, link) {
+        await this.hotbarApp.persistenceManager.editState((state) => {
+            const view = state.views.list.find(v => v.id === viewId);
+            if (!view) return;
+            if (link) {
+                view.link = link;
+            } else {
+                delete view.link;
+            }
+        }, 'linkView');
+    }
+
+    /* ==========================================================================
+       HELPERS
+       ========================================================================== */
+
+    /**
+     * Load an actor's state, preferring the live HUD state when it is the HUD actor
+     * @param {Actor} actor - Actor
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async _loadActorState(actor) {
+        const pm = this._getPersistenceManager(actor);
+        return pm.getState() ?? await pm.loadState();
+    }
+
+    /**
+     * Persistence manager for an actor: the HUD's own for the HUD actor, otherwise a fresh one
+     * @param {Actor} actor - Actor
+     * @returns {PersistenceManager}
+     * @private
+     */
+    _getPersistenceManager(actor) {
+        if (actor === this.hotbarApp?.currentActor) {
+            return this.hotbarApp.persistenceManager;
+        }
+        const pm = new PersistenceManager();
+        pm.setToken(actor);
+        return pm;
+    }
+}
@@ -3,6 +3,7 @@ import { BG3HUD_REGISTRY, BG3HUD_API } from './utils/registry.js';
 import { registerSettings, applyMacrobarCollapseSetting, applyContainerRowSettings, applyTheme } from './utils/settings.js';
 import { TooltipManager } from './managers/TooltipManager.js';
 import { TargetSelectorManager } from './managers/TargetSelectorManager.js';
+import { SlotKeybindings } from './utils/SlotKeybindings.js';
 
 /**
  * BG3 HUD Core Module
@@ -107,6 +108,9 @@ Hooks.once('ready', async () => {
     console.info('[bg3-hud-core] Initialization complete');
 });
 
+// Slot key labels show the current bindings
+Hooks.on('closeControlsConfig', () => SlotKeybindings.refreshLabels());
+
 // ========================================
 // Scene Controls Hook
 // ========================================
@@ -0,0 +1,74 @@
+import { BG3HUD_REGISTRY } from './registry.js';
+
+/**
+ * Cell Cooldowns
+ * Cooldown and recharge overlays on cells, reported by the active adapter
+ *
+ * Adapters implement getCellCooldown(cellData, actor, combat) and return a
+ * BG3HudCellCooldown for cells that are cooling down (null otherwise). Cells draw it
+ * as a radial sweep with the remaining rounds or turns. Cooldowns are asked for when
+ * a cell renders and again on every combat round/turn change; adapters tracking other
+ * state call BG3HUD_API.refreshCooldowns() when it changes.
+ */
+export class CellCooldowns {
+    /**
+     * Label keys of the remaining time, by unit
+     */
+    static UNIT_LABELS = {
+        round: 'bg3-hud-core.Cooldown.Rounds',
+        turn: 'bg3-hud-core.Cooldown.Turns'
+    };
+
+    /**
+     * Cooldown of a cell, as reported by the adapter
+     * @param {Object|null} cellData - Cell data
+     * @returns {Promise<{remaining: number, progress: number, label: string}|null>}
+     *   progress is the share of the cooldown still to go (0-1)
+     */
+    static async get(cellData) {
+        const adapter = BG3HUD_REGISTRY.activeAdapter;
+        if (!cellData || typeof adapter?.getCellCooldown !== 'function') return null;
+
+        let cooldown;
+        try {
+            cooldown = await adapter.getCellCooldown(cellData, ui.BG3HUD_APP?.currentActor ?? null, game.combat ?? null);
+        } catch (error) {
+            console.warn('[bg3-hud-core] getCellCooldown failed:', error);
+            return null;
+        }
+        return this.normalize(cooldown);
+    }
+
+    /**
+     * Validate an adapter's cooldown and work out its sweep and label
+     * @param {BG3HudCellCooldown|null} cooldown
+     * @returns {{remaining: number, progress: number, label: string}|null} null if not cooling down
+     */
+    static normalize(cooldown) {
+        const remaining = Number(cooldown?.remaining);
+        if (!Number.isFinite(remaining) || remaining <= 0) return null;
+
+        const total = Number(cooldown.total);
+        const progress = Number.isFinite(total) && total > 0 ? Math.min(remaining / total, 1) : 1;
+        const labelKey = this.UNIT_LABELS[cooldown.unit] ?? this.UNIT_LABELS.round;
+        const label = typeof cooldown.label === 'string'
+            ? cooldown.label
+            : game.i18n.format(labelKey, { count: remaining });
+
+        return { remaining, progress, label };
+    }
+
+    /**
+     * Ask for the cooldowns of every cell on the HUD again
+     * Calls in the same tick are coalesced into one refresh.
+     */
+    static refresh() {
+        if (this._queued) return;
+        this._queued = true;
+        queueMicrotask(async () => {
+            this._queued = false;
+            const grids = ui.BG3HUD_APP?.interactionCoordinator?.getGridContainers() ?? [];
+            await Promise.all(grids.flatMap(grid => grid.cells.map(cell => cell.updateCooldown())));
+        });
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * Cell Overrides
+ * Per-cell display overrides: a custom name, icon and tint colour
+ *
+ * Overrides live on the cell data as `overrides: {name, img, color}` (every field
+ * optional), so they move, copy and export with the cell. Cell data rebuilt from the
+ * item (hydration, item updates, container syncs) must carry them over with carry().
+ */
+export class CellOverrides {
+    /**
+     * Fields a cell can override
+     */
+    static FIELDS = ['name', 'img', 'color'];
+
+    /**
+     * Clean up overrides: blank fields are dropped, colours must be #rrggbb
+     * @param {Object|null} overrides - Raw overrides
+     * @returns {Object|null} Overrides, or null if none are left
+     */
+    static sanitize(overrides) {
+        const clean = {};
+        for (const field of this.FIELDS) {
+            const value = typeof overrides?.[field] === 'string' ? overrides[field].trim() : '';
+            if (!value) continue;
+            if (field === 'color' && !/^#[0-9a-f]{6}$/i.test(value)) continue;
+            clean[field] = value;
+        }
+        return Object.keys(clean).length > 0 ? clean : null;
+    }
+
+    /**
+     * Cell data with new overrides (or without any)
+     * @param {Object} data - Cell data
+     * @param {Object|null} overrides - New overrides
+     * @returns {Object} New cell data
+     */
+    static apply(data, overrides) {
+        const { overrides: _previous, ...rest } = data;
+        const clean = this.sanitize(overrides);
+        return clean ? { ...rest, overrides: clean } : rest;
+    }
+
+    /**
+     * Carry the overrides of old cell data over to data rebuilt from the item
+     * @param {Object|null} previous - Cell data being replaced
+     * @param {Object|null} fresh - Rebuilt cell data
+     * @returns {Object|null} fresh, with the old overrides if there were any
+     */
+    static carry(previous, fresh) {
+        if (!fresh || !previous?.overrides) return fresh;
+        return { ...fresh, overrides: previous.overrides };
+    }
+
+    /**
+     * What a cell shows: overrides where set, else the cell data
+     * @param {Object} data - Cell data
+     * @returns {{name: string, img: string, color: string|null}}
+     */
+    static resolve(data) {
+        const overrides = data?.overrides ?? {};
+        return {
+            name: overrides.name || data?.name || '',
+            img: overrides.img || data?.img || '',
+            color: overrides.color || null
+        };
+    }
+
+    /**
+     * Whether two cell datas have the same overrides
+     * @param {Object|null} a
+     * @param {Object|null} b
+     * @returns {boolean}
+     */
+    static equals(a, b) {
+        return this.FIELDS.every(field => (a?.overrides?.[field] ?? null) === (b?.overrides?.[field] ?? null));
+    }
+}
@@ -0,0 +1,138 @@
+import { MigrationManager } from '../managers/MigrationManager.js';
+
+/**
+ * Item Matcher
+ * Finds the item on an actor that corresponds to an item referenced elsewhere
+ * (another actor, a template, or a cell whose item no longer exists)
+ *
+ * Matching order: compendium/world source ID, then name and type, then name alone
+ * when the type is unknown.
+ *
+ * Layouts moved to another actor (templates, copied views, portable exports) are
+ * packed with pack(), which notes on each item cell how to find its item (cell.portable),
+ * and re-pointed at the target actor's items with relink().
+ */
+export class ItemMatcher {
+    /**
+     * Cell field pack() stores a cell's describeCell() match in
+     */
+    static CELL_FIELD = 'portable';
+
+    /**
+     * Split a UUID that points into an actor's embedded items
+     * @param {string} uuid - Document UUID
+     * @returns {{itemUuid: string, suffix: string}|null} Item UUID and anything below it
+     *   (e.g. ".Activity.abc"), or null if the UUID isn't an embedded item
+     */
+    static parseEmbeddedUuid(uuid) {
+        const parsed = /^((?:Scene\.[^.]+\.Token\.[^.]+\.)?Actor\.[^.]+\.Item\.[^.]+)(.*)$/.exec(uuid ?? '');
+        return parsed ? { itemUuid: parsed[1], suffix: parsed[2] } : null;
+    }
+
+    /**
+     * Compendium/world source an item was created from
+     * @param {Item} item - Item document
+     * @returns {string|null}
+     */
+    static getSourceId(item) {
+        return item?._stats?.compendiumSource ?? item?.flags?.core?.sourceId ?? null;
+    }
+
+    /**
+     * Build match criteria for an item
+     * @param {Item|null} item - Item document, if it still exists
+     * @param {string} [fallbackName] - Name to use when the item is gone (e.g. the cell's name)
+     * @returns {{name: string, type: string|null, sourceId: string|null}}
+     */
+    static describe(item, fallbackName = '') {
+        return {
+            name: item?.name ?? fallbackName ?? '',
+            type: item?.type ?? null,
+            sourceId: item ? this.getSourceId(item) : null
+        };
+    }
+
+    /**
+     * Find the item on an actor that best matches the criteria
+     * @param {Actor} actor - Actor to search
+     * @param {{name: string, type?: string|null, sourceId?: string|null}} match - Criteria
+     * @returns {Item|null}
+     */
+    static findItem(actor, match) {
+        const items = actor?.items ?? [];
+        if (match.sourceId) {
+            const bySource = items.find(i => this.getSourceId(i) === match.sourceId);
+            if (bySource) return bySource;
+        }
+        if (!match.name) return null;
+        return items.find(i => i.name === match.name && (!match.type || i.type === match.type)) ?? null;
+    }
+
+    /**
+     * Describe how to find a cell's item on another actor
+     * Only cells pointing into an actor's embedded items need matching.
+     * @param {Object} cell - Cell data
+     * @returns {{name: string, type: string|null, sourceId: string|null, img: string|null, suffix: string}|null}
+     */
+    static describeCell(cell) {
+        if (!cell?.uuid || cell.type === 'Macro') return null;
+
+        const parsed = this.parseEmbeddedUuid(cell.uuid);
+        if (!parsed) return null;
+
+        const item = fromUuidSync(parsed.itemUuid);
+        return { ...this.describe(item, cell.name), img: item?.img ?? cell.img ?? null, suffix: parsed.suffix };
+    }
+
+    /**
+     * UUID on an actor for a cell described by describeCell()
+     * @param {Actor} actor - Target actor
+     * @param {Object} match - Result of describeCell()
+     * @returns {string|null} null if no item matches (or it lacks the sub-document)
+     */
+    static resolveCell(actor, match) {
+        const item = this.findItem(actor, match);
+        const uuid = item ? `${item.uuid}${match.suffix ?? ''}` : null;
+        return uuid && (!match.suffix || fromUuidSync(uuid)) ? uuid : null;
+    }
+
+    /**
+     * Note on every item cell of a layout how to find its item on another actor
+     * @param {Object} state - HUD state or a view's hotbarState (mutated)
+     * @param {Object} [options] - MigrationManager.forEachCell options
+     */
+    static pack(state, options = {}) {
+        MigrationManager.forEachCell(state, (cell) => {
+            const match = this.describeCell(cell);
+            if (match) cell[this.CELL_FIELD] = match;
+        }, options);
+    }
+
+    /**
+     * Re-point the cells of a packed layout at an actor's items and drop the notes
+     * Slots with no matching item are removed. Without an actor (GM hotbar) cells are
+     * kept only if the document they point at still exists.
+     * @param {Object} state - Layout packed with pack() (mutated)
+     * @param {Actor|null} actor - Target actor
+     * @param {Object} [options] - MigrationManager.forEachCell options
+     * @returns {Array<{location: string, slotKey: string, name: string}>} Slots left empty
+     */
+    static relink(state, actor, options = {}) {
+        const unmatched = [];
+        MigrationManager.forEachCell(state, (cell, slotKey, items, { location }) => {
+            const match = cell[this.CELL_FIELD];
+            delete cell[this.CELL_FIELD];
+            if (!match) return;
+
+            const uuid = actor ? this.resolveCell(actor, match) : (fromUuidSync(cell.uuid) ? cell.uuid : null);
+            if (uuid) {
+                cell.uuid = uuid;
+                return;
+            }
+
+            unmatched.push({ location, slotKey, name: match.name });
+            delete items[slotKey];
+        }, options);
+        return unmatched;
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * Layout Codec
+ * Text encoding of layout payloads for the clipboard
+ *
+ * Encoded text is "BG3HUD<version>:" followed by the payload as minified JSON,
+ * deflated and base64url encoded. Decoding also accepts plain layout JSON (the
+ * contents of an exported file), so either can be pasted.
+ */
+export class LayoutCodec {
+    /**
+     * Prefix of encoded text
+     */
+    static PREFIX = 'BG3HUD';
+
+    /**
+     * Current encoding version
+     */
+    static VERSION = 1;
+
+    /**
+     * Encode a layout payload
+     * Empty slots are dropped; they carry no information.
+     * @param {Object} payload - Layout file data
+     * @returns {Promise<string>}
+     */
+    static async encode(payload) {
+        const json = JSON.stringify(payload, (key, value) => value === null && key.includes('-') ? undefined : value);
+        const bytes = await this._pipe(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+        return `${this.PREFIX}${this.VERSION}:${this._toBase64Url(bytes)}`;
+    }
+
+    /**
+     * Decode pasted text into a layout payload
+     * @param {string} text - Encoded text or layout JSON
+     * @returns {Promise<Object|Array>} Layout file data, still to be validated (LayoutTransferManager.readImport)
+     * @throws {Error} If the text isn't an encoded layout or layout JSON
+     */
+    static async decode(text) {
+        const trimmed = (text ?? '').trim();
+        if (/^[[{]/.test(trimmed)) return JSON.parse(trimmed);
+
+        const parsed = new RegExp(`^${this.PREFIX}(\\d+):([A-Za-z0-9_-]+)$`).exec(trimmed.replace(/\s+/g, ''));
+        if (!parsed) throw new Error('Not an encoded layout');
+
+        const version = Number(parsed[1]);
+        if (version > this.VERSION) throw new Error(`Layout encoding version ${version} is newer than this module supports`);
+
+        const bytes = await this._pipe(this._fromBase64Url(parsed[2]), new DecompressionStream('deflate-raw'));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    /**
+     * Whether text looks like an encoded layout (without decoding it)
+     * @param {string} text - Text to check
+     * @returns {boolean}
+     */
+    static isEncoded(text) {
+        return new RegExp(`^\\s*${this.PREFIX}\\d+:`).test(text ?? '');
+    }
+
+    /**
+     * Run bytes through a compression or decompression stream
+     * @param {Uint8Array} bytes - Input
+     * @param {CompressionStream|DecompressionStream} stream - Transform
+     * @returns {Promise<Uint8Array>}
+     * @private
+     */
+    static async _pipe(bytes, stream) {
+        const output = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @returns {string}
+     * @private
+     */
+    static _toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * @param {string} text
+     * @returns {Uint8Array}
+     * @private
+     */
+    static _fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+}
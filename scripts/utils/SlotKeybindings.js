@@ -0,0 +1,102 @@
+/**
+ * Slot Keybindings
+ * Keys that use hotbar slots, and the key labels drawn on the cells
+ *
+ * Keybindings useSlot1..useSlotN stand for the Nth cell of a grid (reading order).
+ * Which grid depends on the modifier held: each modifier layer (none, Shift, Control,
+ * Alt) targets a grid chosen in the client settings slotKeyLayer<Layer>. Keys address
+ * grid positions, so they fire whatever the active view shows there.
+ */
+export class SlotKeybindings {
+    /**
+     * Number of useSlot keybindings
+     */
+    static SLOTS = 12;
+
+    /**
+     * Default keys of the useSlot keybindings
+     */
+    static DEFAULT_KEYS = ['Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9', 'Digit0', 'Minus', 'Equal'];
+
+    /**
+     * Modifier layers, in the order they are checked when several modifiers are held
+     */
+    static LAYERS = ['Shift', 'Control', 'Alt', 'Base'];
+
+    /**
+     * Grids a layer can target (setting value → label key)
+     */
+    static TARGETS = {
+        'none': 'bg3-hud-core.Settings.SlotKeys.Targets.None',
+        'hotbar:0': 'bg3-hud-core.Settings.SlotKeys.Targets.Hotbar1',
+        'hotbar:1': 'bg3-hud-core.Settings.SlotKeys.Targets.Hotbar2',
+        'hotbar:2': 'bg3-hud-core.Settings.SlotKeys.Targets.Hotbar3',
+        'quickAccess:0': 'bg3-hud-core.Settings.SlotKeys.Targets.QuickAccess'
+    };
+
+    /**
+     * Prefix shown on the key label of each layer
+     */
+    static LAYER_PREFIXES = { Base: '', Shift: '⇧', Control: '^', Alt: '⌥' };
+
+    /**
+     * Module the settings and keybindings belong to
+     */
+    static MODULE_ID = 'bg3-hud-core';
+
+    /**
+     * Layer of a keybinding context
+     * @param {KeyboardEventContext} context
+     * @returns {string} One of LAYERS
+     */
+    static layerFromContext(context) {
+        if (context?.isShift) return 'Shift';
+        if (context?.isControl) return 'Control';
+        if (context?.isAlt) return 'Alt';
+        return 'Base';
+    }
+
+    /**
+     * Grid a layer targets
+     * @param {string} layer - One of LAYERS
+     * @returns {{containerType: string, containerIndex: number}|null}
+     */
+    static getTarget(layer) {
+        const value = game.settings.get(this.MODULE_ID, `slotKeyLayer${layer}`);
+        if (!value || value === 'none') return null;
+        const [containerType, index] = value.split(':');
+        return { containerType, containerIndex: Number(index) || 0 };
+    }
+
+    /**
+     * Key label for a cell, or null if no layer targets its grid
+     * @param {string} containerType - 'hotbar', 'weaponSet', 'quickAccess'
+     * @param {number} containerIndex - Grid index
+     * @param {number} cellIndex - Cell index in the grid (reading order)
+     * @returns {string|null}
+     */
+    static getLabel(containerType, containerIndex, cellIndex) {
+        if (cellIndex >= this.SLOTS || !game.settings.get(this.MODULE_ID, 'showSlotKeyLabels')) return null;
+
+        for (const layer of [...this.LAYERS].reverse()) {
+            const target = this.getTarget(layer);
+            if (target?.containerType !== containerType || target.containerIndex !== containerIndex) continue;
+
+            const [binding] = game.keybindings.get(this.MODULE_ID, `useSlot${cellIndex + 1}`) ?? [];
+            if (!binding?.key) return null;
+            const KeyboardManager = foundry.helpers.interaction.KeyboardManager;
+            return `${this.LAYER_PREFIXES[layer]}${KeyboardManager.getKeycodeDisplayString(binding.key)}`;
+        }
+        return null;
+    }
+
+    /**
+     * Redraw the key labels of every cell on the HUD
+     * Called when the layers or the bindings change.
+     */
+    static refreshLabels() {
+        for (const grid of ui.BG3HUD_APP?.interactionCoordinator?.getGridContainers() ?? []) {
+            for (const cell of grid.cells) cell.updateKeyLabel();
+        }
+    }
+}
@@ -0,0 +1,62 @@
+/**
+ * View Panels
+ * Which HUD panels a hotbar view owns
+ *
+ * A view lists its panels in view.panels and keeps its own copy of each in
+ * view.hotbarState[panel]; views saved before panels existed own the hotbar only.
+ * Switching views swaps every owned panel; panels the new view doesn't own keep
+ * the shared value (parked in state.views.shared while an owning view is active).
+ */
+export class ViewPanels {
+    /**
+     * Panels a view can own, in display order
+     */
+    static ALL = ['hotbar', 'weaponSets', 'quickAccess', 'passives'];
+
+    /**
+     * Panels stored in the HUD state itself; the passives selection belongs to the
+     * adapter's PassivesContainer (getSelectionState/setSelectionState)
+     */
+    static STATE_PANELS = ['hotbar', 'weaponSets', 'quickAccess'];
+
+    /**
+     * Panels a view owns
+     * @param {Object} view - View data
+     * @returns {Array<string>} Known panels, never empty
+     */
+    static get(view) {
+        const panels = Array.isArray(view?.panels)
+            ? this.ALL.filter(panel => view.panels.includes(panel))
+            : [];
+        return panels.length ? panels : ['hotbar'];
+    }
+
+    /**
+     * Whether a view owns a panel
+     * @param {Object} view - View data
+     * @param {string} panel - Panel name
+     * @returns {boolean}
+     */
+    static owns(view, panel) {
+        return !!view && this.get(view).includes(panel);
+    }
+
+    /**
+     * Copy of the state's owned panels, for a view's hotbarState
+     * The stored passives selection is kept; it is only captured on switch.
+     * @param {Object} state - HUD state
+     * @param {Object} view - View data
+     * @returns {Object} hotbarState
+     */
+    static snapshot(state, view) {
+        const hotbarState = {};
+        for (const panel of this.get(view)) {
+            if (panel === 'passives') {
+                if (view.hotbarState?.passives !== undefined) hotbarState.passives = view.hotbarState.passives;
+            } else if (state[panel]) {
+                hotbarState[panel] = foundry.utils.deepClone(state[panel]);
+            }
+        }
+        return hotbarState;
+    }
+}
@@ -3,6 +3,8 @@
  * Helper functions for showing standardized dialogs using Foundry's DialogV2
  */
 
+import { ViewPanels } from './ViewPanels.js';
+
 /**
  * Show a button choice dialog with multiple action buttons
  * @param {Object} options - Dialog options
@@ -510,14 +512,20 @@ const PRESET_ICONS = [
  * @param {string} [options.buttonLabel='Create'] - Submit button label
  * @param {string} [options.name='New View'] - Initial name value
  * @param {string} [options.icon='fa-bookmark'] - Initial icon value
- * @returns {Promise<{name: string, icon: string}|null>} Result object or null if cancelled
+ * @param {Array<string>} [options.panels=['hotbar']] - Initially owned panels (see ViewPanels)
+ * @param {string|null} [options.group=null] - Initial view group
+ * @param {Array<string>} [options.groups=[]] - Existing group names to suggest
+ * @returns {Promise<{name: string, icon: string, panels: Array<string>, group: string|null}|null>} Result object or null if cancelled
  */
 export async function showViewDialog(options = {}) {
     const {
         title = game.i18n.localize('bg3-hud-core.Views.CreateTitle'),
         buttonLabel = game.i18n.localize('bg3-hud-core.Views.CreateButton'),
         name: initialName = game.i18n.localize('bg3-hud-core.Views.DefaultNewName'),
-        icon: initialIcon = 'fa-bookmark'
+        icon: initialIcon = 'fa-bookmark',
+        panels: initialPanels = ['hotbar'],
+        group: initialGroup = null,
+        groups = []
     } = options;
 
     // Check if initial icon is a preset or custom
@@ -546,6 +554,28 @@ export async function showViewDialog(options = {}) {
                         <label class="dialog-label dialog-label-small" style="margin-top: 12px;">${game.i18n.localize('bg3-hud-core.Views.CustomIconLabel')}</label>
                         <input type="text" class="dialog-input dialog-input-small" name="customIcon" value="${!isPresetIcon ? initialIcon : ''}" placeholder="${game.i18n.localize('bg3-hud-core.Views.CustomIconPlaceholder')}" autocomplete="off">
                     </div>
+
+                    <div class="dialog-section">
+                        <label class="dialog-label">${game.i18n.localize('bg3-hud-core.Views.GroupLabel')}</label>
+                        <input type="text" class="dialog-input dialog-input-small" name="viewGroup" value="${foundry.utils.escapeHTML(initialGroup ?? '')}" placeholder="${game.i18n.localize('bg3-hud-core.Views.GroupPlaceholder')}" list="bg3-view-groups" autocomplete="off">
+                        <datalist id="bg3-view-groups">
+                            ${groups.map(group => `<option value="${foundry.utils.escapeHTML(group)}"></option>`).join('')}
+                        </datalist>
+                        <p class="dialog-label dialog-label-small">${game.i18n.localize('bg3-hud-core.Views.GroupHint')}</p>
+                    </div>
+
+                    <div class="dialog-section">
+                        <label class="dialog-label">${game.i18n.localize('bg3-hud-core.Views.PanelsLabel')}</label>
+                        <div class="view-panels">
+                            ${ViewPanels.ALL.map(panel => `
+                                <label class="view-panel-option">
+                                    <input type="checkbox" name="viewPanel" value="${panel}" ${initialPanels.includes(panel) ? 'checked' : ''}>
+                                    ${game.i18n.localize(`bg3-hud-core.Views.Panels.${panel}`)}
+                                </label>
+                            `).join('')}
+                        </div>
+                        <p class="dialog-label dialog-label-small">${game.i18n.localize('bg3-hud-core.Views.PanelsHint')}</p>
+                    </div>
                 </div>
             </div>
         </div>
@@ -582,7 +612,9 @@ export async function showViewDialog(options = {}) {
                         ui.notifications.warn(game.i18n.localize('bg3-hud-core.Views.ErrorEmptyName'));
                         throw new Error('Name required');
                     }
-                    return { name, icon: selectedIcon };
+                    const panels = [...dialogEl.querySelectorAll('input[name="viewPanel"]:checked')].map(input => input.value);
+                    const group = dialogEl.querySelector('input[name="viewGroup"]')?.value?.trim() || null;
+                    return { name, icon: selectedIcon, panels: ViewPanels.get({ panels }), group };
                 }
             },
             render: (event, dialog) => {
@@ -636,14 +668,17 @@ export async function showViewDialog(options = {}) {
 /**
  * Show a dialog to create a new hotbar view
  * Convenience wrapper for showViewDialog with create defaults
- * @returns {Promise<{name: string, icon: string}|null>} Result object or null if cancelled
+ * @param {Object} [options]
+ * @param {Array<string>} [options.groups] - Existing group names to suggest
+ * @returns {Promise<{name: string, icon: string, panels: Array<string>, group: string|null}|null>} Result object or null if cancelled
  */
-export async function showCreateViewDialog() {
+export async function showCreateViewDialog({ groups = [] } = {}) {
     return showViewDialog({
         title: game.i18n.localize('bg3-hud-core.Views.CreateTitle'),
         buttonLabel: game.i18n.localize('bg3-hud-core.Views.CreateButton'),
         name: game.i18n.localize('bg3-hud-core.Views.DefaultNewName'),
-        icon: 'fa-bookmark'
+        icon: 'fa-bookmark',
+        groups
     });
 }
 
@@ -653,15 +688,20 @@ export async function showCreateViewDialog() {
  * @param {Object} view - Existing view data
  * @param {string} view.name - Current view name
  * @param {string} [view.icon] - Current view icon
- * @returns {Promise<{name: string, icon: string}|null>} Result object or null if cancelled
+ * @param {Array<string>} [view.panels] - Panels the view owns
+ * @param {string} [view.group] - Current view group
+ * @param {Object} [options]
+ * @param {Array<string>} [options.groups] - Existing group names to suggest
+ * @returns {Promise<{name: string, icon: string, panels: Array<string>, group: string|null}|null>} Result object or null if cancelled
  */
-export async function showEditViewDialog(view) {
+export async function showEditViewDialog(view, { groups = [] } = {}) {
     return showViewDialog({
         title: game.i18n.localize('bg3-hud-core.Views.EditTitle'),
         buttonLabel: game.i18n.localize('bg3-hud-core.Views.SaveButton'),
         name: view.name || game.i18n.localize('bg3-hud-core.Views.DefaultEditName'),
-        icon: view.icon || 'fa-bookmark'
+        icon: view.icon || 'fa-bookmark',
+        panels: ViewPanels.get(view),
+        group: view.group ?? null,
+        groups
     });
 }
-
-
@@ -1,3 +1,5 @@
+import { CellCooldowns } from './CellCooldowns.js';
+
 /**
  * BG3 HUD Component Registry
  * Central storage for system adapter registrations
@@ -29,7 +31,10 @@ export const BG3HUD_REGISTRY = {
     targetSelectorManager: null,
 
     // Menu builders registered by adapters
-    menuBuilders: {}
+    menuBuilders: {},
+
+    // State migration steps registered by adapters (see MigrationManager)
+    migrations: []
 };
 
 /**
@@ -41,6 +46,17 @@ export const BG3HUD_REGISTRY = {
  *   @returns {Promise<null|BG3HudDragResolution>}
  * @property {Function} [onAdapterFlagsChanged] Respond to Foundry deltas under `changes.flags[MODULE_ID]` for the active actor.
  *   @returns {Promise<boolean>} `true` if the adapter handled targeted UI updates for this delta.
+ * @property {Function} [getCellCooldown] `(cellData, actor, combat)` Remaining cooldown of a cell, asked for when the
+ *   cell renders and on every combat round/turn change (see CellCooldowns). May be async.
+ *   @returns {BG3HudCellCooldown|null} `null` if the cell is not cooling down.
+ */
+
+/**
+ * @typedef {Object} BG3HudCellCooldown
+ * @property {number} remaining Rounds or turns left; 0 or less means ready
+ * @property {number} [total] Full cooldown length, for the sweep (without it the sweep stays full)
+ * @property {'round'|'turn'} [unit='round'] Unit of remaining and total
+ * @property {string} [label] Text shown instead of the remaining count (e.g. "5-6" for recharge rolls)
  */
 
 /**
@@ -257,6 +273,73 @@ export const BG3HUD_API = {
         BG3HUD_REGISTRY.menuBuilders[systemId] = builder;
     },
 
+    /**
+     * Register a HUD state migration step
+     * Steps run lazily when an actor's state is loaded, after a backup of the old state is saved.
+     * Use your adapter's MODULE_ID as scope; versions for a new scope start at 0.
+     * @param {Object} step - Migration step
+     * @param {string} step.scope - Adapter MODULE_ID ('core' is reserved)
+     * @param {number} step.from - Version the step migrates from
+     * @param {number} step.to - Version the step migrates to (greater than from)
+     * @param {string} [step.label] - Description for the migration log
+     * @param {Function} step.migrate - (state, context) => state|void, may be async;
+     *   context: {actor, persistenceManager, scope, from, to}
+     *
+     * @example
+     * BG3HUD_API.registerMigration({
+     *   scope: 'bg3-hud-dnd5e', from: 0, to: 1, label: 'Store activity IDs',
+     *   migrate: (state) => {
+     *     for (const grid of state.hotbar.grids) { ... }
+     *   }
+     * });
+     */
+    registerMigration(step) {
+        const valid = step
+            && typeof step.scope === 'string' && step.scope !== 'core'
+            && Number.isInteger(step.from) && Number.isInteger(step.to) && step.to > step.from
+            && typeof step.migrate === 'function';
+        if (!valid) {
+            console.error('[bg3-hud-core] Invalid migration step (needs scope, integer from < to, migrate):', step);
+            return;
+        }
+
+        console.info(`[bg3-hud-core] Registering migration '${step.scope}' ${step.from} → ${step.to}`);
+        BG3HUD_REGISTRY.migrations.push(step);
+    },
+
+    /**
+     * Find HUD cells on the current actor whose UUID is broken or points at another actor's item
+     * @returns {Promise<Array<Object>>} Issues from ReferenceScanner.scan() (empty if no HUD actor)
+     */
+    async findDanglingReferences() {
+        return await ui.BG3HUD_APP?.referenceScanner?.scan() ?? [];
+    },
+
+    /**
+     * Relink dangling references to matching items on the current actor and refresh the HUD
+     * @param {Object} [options]
+     * @param {boolean} [options.removeUnmatched=false] - Remove references with no matching item
+     * @returns {Promise<{relinked: number, removed: number, remaining: number}|null>} null if no HUD actor
+     */
+    async repairDanglingReferences(options = {}) {
+        const app = ui.BG3HUD_APP;
+        if (!app?.referenceScanner || !app.currentActor) return null;
+
+        const result = await app.referenceScanner.repairAll(options);
+        if (result.relinked || result.removed) {
+            await app.refresh();
+        }
+        return result;
+    },
+
+    /**
+     * Ask the adapter for the cooldowns of every cell again
+     * For cooldowns that change outside combat round/turn changes (see getCellCooldown).
+     */
+    refreshCooldowns() {
+        CellCooldowns.refresh();
+    },
+
     /**
      * Get the menu builder for a system
      * @param {string} [systemId] - System ID (defaults to current game system)
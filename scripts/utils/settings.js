@@ -1,6 +1,7 @@
 import { ThemeSettingDialog } from '../components/ui/ThemeSettingDialog.js';
 import { PortraitDataConfigDialog } from '../components/ui/PortraitDataConfigDialog.js';
 import { createSettingsSubmenu } from '../api/SettingsSubmenu.js';
+import { SlotKeybindings } from './SlotKeybindings.js';
 
 /**
  * Base theme CSS variables - defaults that can be overridden
@@ -109,6 +110,28 @@ export const BASE_THEME = {
     "--bg3-background-highlight": "var(--bg3-background-color-hover)"
 };
 
+/**
+ * Number of "switch to view N" keybindings (views beyond this are reached by cycling)
+ */
+const VIEW_KEYBINDINGS = 9;
+
+/**
+ * Number of "switch to weapon set N" keybindings
+ */
+const WEAPON_SET_KEYBINDINGS = 3;
+
+/**
+ * Whether keyboard focus is in a text field, where switching keybindings must not fire
+ * @returns {boolean}
+ */
+function isTextInputFocused() {
+    const element = document.activeElement;
+    if (!element) return false;
+    if (element.isContentEditable || element instanceof HTMLTextAreaElement || element instanceof HTMLSelectElement) return true;
+    return element instanceof HTMLInputElement
+        && !['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'color', 'file'].includes(element.type);
+}
+
 /**
  * Register core module settings
  */
@@ -151,6 +174,30 @@ export function registerSettings() {
         ]
     });
 
+    const LayoutStorageSettingsMenu = createSettingsSubmenu({
+        moduleId: MODULE_ID,
+        titleKey: 'bg3-hud-core.Settings.LayoutStorage.MenuTitle',
+        sections: [
+            { legend: 'bg3-hud-core.Settings.LayoutStorage.Legend', keys: ['layoutStorageMode', 'tokenLayoutPolicy'] },
+            { legend: 'bg3-hud-core.Settings.Views.Legend', keys: ['maxViews'] }
+        ]
+    });
+
+    const SlotKeysSettingsMenu = createSettingsSubmenu({
+        moduleId: MODULE_ID,
+        titleKey: 'bg3-hud-core.Settings.SlotKeys.MenuTitle',
+        sections: [
+            {
+                legend: 'bg3-hud-core.Settings.SlotKeys.Legend',
+                keys: [...SlotKeybindings.LAYERS].reverse().map(layer => `slotKeyLayer${layer}`).concat('showSlotKeyLabels')
+            },
+            {
+                legend: 'bg3-hud-core.Settings.SlotKeys.NavigationLegend',
+                keys: ['gamepadNavigation']
+            }
+        ]
+    });
+
     const TargetSelectorSettingsMenu = createSettingsSubmenu({
         moduleId: MODULE_ID,
         titleKey: 'bg3-hud-core.Settings.TargetSelector.MenuTitle',
@@ -193,6 +240,19 @@ export function registerSettings() {
         precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
     });
 
+    // Arrow keys, Tab, Enter and the Menu key are handled by FocusNavigationManager once the HUD has focus
+    game.keybindings.register(MODULE_ID, "focusHUD", {
+        name: "Focus BG3 HUD",
+        hint: "Move keyboard focus to the HUD to navigate it with the arrow keys (Escape returns to the canvas)",
+        editable: [{ key: "KeyH", modifiers: [foundry.helpers.interaction.KeyboardManager.MODIFIER_KEYS.SHIFT] }],
+        onDown: () => {
+            if (isTextInputFocused()) return false;
+            return ui.BG3HUD_APP?.focusNavigationManager?.focus() ?? false;
+        },
+        restricted: false,
+        precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
+    });
+
     game.keybindings.register(MODULE_ID, "toggleGMHotbar", {
         name: "Toggle GM Hotbar",
         hint: "Switch between Token Hotbar and GM Hotbar (GM only)",
@@ -204,6 +264,121 @@ export function registerSettings() {
         precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
     });
 
+    // Undo/redo only claim the key while the cursor is over the HUD,
+    // so Foundry's own canvas undo keeps working everywhere else
+    game.keybindings.register(MODULE_ID, "undoLayout", {
+        name: "Undo HUD Layout Change",
+        hint: "Undo the last hotbar layout edit while hovering the HUD",
+        editable: [{ key: "KeyZ", modifiers: [foundry.helpers.interaction.KeyboardManager.MODIFIER_KEYS.CONTROL] }],
+        onDown: () => {
+            if (!ui.BG3HUD_APP?.element?.matches(':hover')) return false;
+            ui.BG3HUD_APP.undoLayout();
+            return true;
+        },
+        restricted: false,
+        precedence: CONST.KEYBINDING_PRECEDENCE.PRIORITY
+    });
+
+    game.keybindings.register(MODULE_ID, "redoLayout", {
+        name: "Redo HUD Layout Change",
+        hint: "Redo the last undone hotbar layout edit while hovering the HUD",
+        editable: [{ key: "KeyY", modifiers: [foundry.helpers.interaction.KeyboardManager.MODIFIER_KEYS.CONTROL] }],
+        onDown: () => {
+            if (!ui.BG3HUD_APP?.element?.matches(':hover')) return false;
+            ui.BG3HUD_APP.redoLayout();
+            return true;
+        },
+        restricted: false,
+        precedence: CONST.KEYBINDING_PRECEDENCE.PRIORITY
+    });
+
+    // View and weapon set switching; ignored while typing so the keys stay usable in text fields
+    game.keybindings.register(MODULE_ID, "nextView", {
+        name: "Next Hotbar View",
+        hint: "Switch to the next hotbar view",
+        editable: [{ key: "BracketRight" }],
+        onDown: () => {
+            if (isTextInputFocused()) return false;
+            ui.BG3HUD_APP?.cycleView(1);
+            return true;
+        },
+        restricted: false,
+        precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
+    });
+
+    game.keybindings.register(MODULE_ID, "previousView", {
+        name: "Previous Hotbar View",
+        hint: "Switch to the previous hotbar view",
+        editable: [{ key: "BracketLeft" }],
+        onDown: () => {
+            if (isTextInputFocused()) return false;
+            ui.BG3HUD_APP?.cycleView(-1);
+            return true;
+        },
+        restricted: false,
+        precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
+    });
+
+    for (let i = 1; i <= VIEW_KEYBINDINGS; i++) {
+        game.keybindings.register(MODULE_ID, `selectView${i}`, {
+            name: `Hotbar View ${i}`,
+            hint: `Switch to hotbar view ${i}`,
+            editable: [],
+            onDown: () => {
+                if (isTextInputFocused()) return false;
+                ui.BG3HUD_APP?.selectView(i - 1);
+                return true;
+            },
+            restricted: false,
+            precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
+        });
+    }
+
+    game.keybindings.register(MODULE_ID, "cycleWeaponSet", {
+        name: "Cycle Weapon Set",
+        hint: "Switch to the next weapon set",
+        editable: [],
+        onDown: () => {
+            if (isTextInputFocused()) return false;
+            ui.BG3HUD_APP?.cycleWeaponSet(1);
+            return true;
+        },
+        restricted: false,
+        precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
+    });
+
+    // Slot keys: the modifier held picks the grid (see SlotKeybindings); an empty slot
+    // lets the key through, so Foundry's macro bar still gets it
+    for (let i = 1; i <= SlotKeybindings.SLOTS; i++) {
+        game.keybindings.register(MODULE_ID, `useSlot${i}`, {
+            name: `Use Hotbar Slot ${i}`,
+            hint: `Use slot ${i} of the grid chosen for the modifier held (HUD settings: Slot Keys)`,
+            editable: [{ key: SlotKeybindings.DEFAULT_KEYS[i - 1] }],
+            reservedModifiers: ['Shift', 'Control', 'Alt'],
+            onDown: (context) => {
+                if (isTextInputFocused()) return false;
+                return ui.BG3HUD_APP?.interactionCoordinator?.useSlot(i, SlotKeybindings.layerFromContext(context)) ?? false;
+            },
+            restricted: false,
+            precedence: CONST.KEYBINDING_PRECEDENCE.PRIORITY
+        });
+    }
+
+    for (let i = 1; i <= WEAPON_SET_KEYBINDINGS; i++) {
+        game.keybindings.register(MODULE_ID, `selectWeaponSet${i}`, {
+            name: `Weapon Set ${i}`,
+            hint: `Switch to weapon set ${i}`,
+            editable: [],
+            onDown: () => {
+                if (isTextInputFocused()) return false;
+                ui.BG3HUD_APP?.selectWeaponSet(i - 1);
+                return true;
+            },
+            restricted: false,
+            precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
+        });
+    }
+
     // ========================================
     // Theme Settings
     // ========================================
@@ -286,6 +461,26 @@ export function registerSettings() {
         restricted: false
     });
 
+    // Layout storage submenu (GM only)
+    game.settings.registerMenu(MODULE_ID, 'menuLayoutStorage', {
+        name: 'bg3-hud-core.Settings.LayoutStorage.MenuName',
+        label: 'bg3-hud-core.Settings.LayoutStorage.MenuLabel',
+        hint: 'bg3-hud-core.Settings.LayoutStorage.MenuHint',
+        icon: 'fas fa-users',
+        type: LayoutStorageSettingsMenu,
+        restricted: true
+    });
+
+    // Slot keybindings submenu
+    game.settings.registerMenu(MODULE_ID, 'menuSlotKeys', {
+        name: 'bg3-hud-core.Settings.SlotKeys.MenuName',
+        label: 'bg3-hud-core.Settings.SlotKeys.MenuLabel',
+        hint: 'bg3-hud-core.Settings.SlotKeys.MenuHint',
+        icon: 'fas fa-keyboard',
+        type: SlotKeysSettingsMenu,
+        restricted: false
+    });
+
     // Target selector submenu
     game.settings.registerMenu(MODULE_ID, 'menuTargetSelector', {
         name: 'bg3-hud-core.Settings.TargetSelector.MenuName',
@@ -562,6 +757,120 @@ export function registerSettings() {
         default: null
     });
 
+    // Layout storage settings (submenu-managed)
+    game.settings.register(MODULE_ID, 'layoutStorageMode', {
+        name: 'bg3-hud-core.Settings.LayoutStorage.ModeName',
+        hint: 'bg3-hud-core.Settings.LayoutStorage.ModeHint',
+        scope: 'world',
+        config: false,
+        type: String,
+        choices: {
+            'actor': 'bg3-hud-core.Settings.LayoutStorage.Actor',
+            'user': 'bg3-hud-core.Settings.LayoutStorage.User',
+            'userFallback': 'bg3-hud-core.Settings.LayoutStorage.UserFallback'
+        },
+        default: 'actor',
+        onChange: () => {
+            if (ui.BG3HUD_APP) {
+                ui.BG3HUD_APP.refresh();
+            }
+        }
+    });
+
+    game.settings.register(MODULE_ID, 'tokenLayoutPolicy', {
+        name: 'bg3-hud-core.Settings.LayoutStorage.TokenPolicyName',
+        hint: 'bg3-hud-core.Settings.LayoutStorage.TokenPolicyHint',
+        scope: 'world',
+        config: false,
+        type: String,
+        choices: {
+            'inherit': 'bg3-hud-core.Settings.LayoutStorage.TokenPolicy.inherit',
+            'copy': 'bg3-hud-core.Settings.LayoutStorage.TokenPolicy.copy',
+            'share': 'bg3-hud-core.Settings.LayoutStorage.TokenPolicy.share'
+        },
+        default: 'copy',
+        onChange: () => {
+            if (ui.BG3HUD_APP) {
+                ui.BG3HUD_APP.refresh();
+            }
+        }
+    });
+
+    game.settings.register(MODULE_ID, 'maxViews', {
+        name: 'bg3-hud-core.Settings.Views.MaxViewsName',
+        hint: 'bg3-hud-core.Settings.Views.MaxViewsHint',
+        scope: 'world',
+        config: false,
+        type: Number,
+        range: {
+            min: 0,
+            max: 50,
+            step: 1
+        },
+        default: 5,
+        onChange: () => {
+            ui.BG3HUD_APP?.components?.views?.render();
+        }
+    });
+
+    // Slot key layers (submenu-managed)
+    const slotKeyDefaults = { Base: 'hotbar:0', Shift: 'hotbar:1', Control: 'hotbar:2', Alt: 'none' };
+    for (const layer of SlotKeybindings.LAYERS) {
+        game.settings.register(MODULE_ID, `slotKeyLayer${layer}`, {
+            name: `bg3-hud-core.Settings.SlotKeys.Layer${layer}Name`,
+            hint: `bg3-hud-core.Settings.SlotKeys.Layer${layer}Hint`,
+            scope: 'client',
+            config: false,
+            type: String,
+            choices: SlotKeybindings.TARGETS,
+            default: slotKeyDefaults[layer],
+            onChange: () => SlotKeybindings.refreshLabels()
+        });
+    }
+
+    game.settings.register(MODULE_ID, 'showSlotKeyLabels', {
+        name: 'bg3-hud-core.Settings.SlotKeys.ShowLabelsName',
+        hint: 'bg3-hud-core.Settings.SlotKeys.ShowLabelsHint',
+        scope: 'client',
+        config: false,
+        type: Boolean,
+        default: true,
+        onChange: () => SlotKeybindings.refreshLabels()
+    });
+
+    game.settings.register(MODULE_ID, 'gamepadNavigation', {
+        name: 'bg3-hud-core.Settings.SlotKeys.GamepadName',
+        hint: 'bg3-hud-core.Settings.SlotKeys.GamepadHint',
+        scope: 'client',
+        config: false,
+        type: Boolean,
+        default: true,
+        onChange: () => ui.BG3HUD_APP?.focusNavigationManager?.updateGamepad()
+    });
+
+    game.settings.register(MODULE_ID, 'viewTemplates', {
+        name: 'View Templates',
+        hint: 'World library of single hotbar views that linked views follow (restricted to GM)',
+        restricted: true,
+        scope: 'world',
+        config: false,
+        type: Array,
+        default: [],
+        onChange: () => {
+            ui.BG3HUD_APP?.viewTransferManager?.syncLinkedViews();
+        }
+    });
+
+    game.settings.register(MODULE_ID, 'layoutTemplates', {
+        name: 'Layout Templates',
+        hint: 'World library of named HUD layout templates (restricted to GM)',
+        restricted: true,
+        scope: 'world',
+        config: false,
+        type: Array,
+        default: []
+    });
+
     // ========================================
     // Portrait Data Settings
     // ========================================